@@ -0,0 +1,434 @@
+/*
+ * cstyle.js: parser for the C-like syntax printed by toCStyleString().
+ */
+
+var mod_assert = require('assert-plus');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+
+/* Public interface */
+exports.parseCStyle = parseCStyle;
+exports.quoteCStyle = quoteCStyle;
+exports.validCStyleField = validCStyleField;
+
+
+/*
+ * Relational operators, mapped to the corresponding operator in the JSON
+ * representation.
+ */
+var cstyleRelOps = {
+    '==': 'eq',
+    '!=': 'ne',
+    '<': 'lt',
+    '<=': 'le',
+    '>': 'gt',
+    '>=': 'ge'
+};
+
+/*
+ * Escape sequences recognized inside string constants (in addition to "\xHH"),
+ * and the character each one denotes.
+ */
+var cstyleEscapes = {
+    '\\': '\\',
+    '"': '"',
+    '\'': '\'',
+    'n': '\n',
+    'r': '\r',
+    't': '\t',
+    '0': '\0'
+};
+
+/*
+ * Identifiers that the tokenizer or parser treats specially, and so can't be
+ * used as field names.
+ */
+var cstyleKeywords = [ 'true', 'false', 'strstr' ];
+
+/*
+ * Returns true if "name" can be printed as a field name and parsed back, which
+ * requires it to be a dotted sequence of C identifiers other than the keywords
+ * above.
+ */
+function validCStyleField(name)
+{
+	/* JSSTYLED */
+	var fieldre = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+	mod_assert.string(name, 'name');
+	return (fieldre.test(name) && cstyleKeywords.indexOf(name) == -1);
+}
+
+/*
+ * Returns the string "str" as a double-quoted C string constant.
+ */
+function quoteCStyle(str)
+{
+	var out, ii, c;
+
+	mod_assert.string(str, 'str');
+
+	out = '"';
+	for (ii = 0; ii < str.length; ii++) {
+		c = str.charAt(ii);
+		if (c == '\\' || c == '"')
+			out += '\\' + c;
+		else if (c == '\n')
+			out += '\\n';
+		else if (c == '\r')
+			out += '\\r';
+		else if (c == '\t')
+			out += '\\t';
+		else if (c == '\0')
+			out += '\\0';
+		else
+			out += c;
+	}
+
+	return (out + '"');
+}
+
+/*
+ * Parses the C-style expression "str" (as printed by toCStyleString()) and
+ * returns the equivalent predicate in the JSON representation.  The result has
+ * not been validated.  The grammar, in order of increasing precedence, is:
+ *
+ *     expr	:= and ( "||" and )*
+ *     and	:= unary ( "&&" unary )*
+ *     unary	:= "!" unary | "(" expr ")" | "1" | leaf
+ *     leaf	:= FIELD relop CONSTANT
+ *     		|  FIELD ( "==" | "!=" ) "NULL"
+ *     		|  "strstr" "(" FIELD "," STRING ")" "==" FIELD
+ *     		|  "strstr" "(" FIELD "," STRING ")" "!=" "NULL"
+ *
+ * where "relop" is one of "==", "!=", "<", "<=", ">", or ">=", a FIELD is a
+ * dotted sequence of C identifiers, and a CONSTANT is a double-quoted string,
+ * a number, "true", or "false".  "1" denotes the trivial predicate.  Syntax
+ * errors identify the column (starting from 1) where they were found.
+ */
+function parseCStyle(str)
+{
+	var parser;
+
+	mod_assert.string(str, 'str');
+
+	parser = new CStyleParser(str);
+	return (parser.parse());
+}
+
+function CStyleParser(str)
+{
+	this.cp_tokens = cstyleTokenize(str);
+	this.cp_pos = 0;
+}
+
+CStyleParser.prototype.peek = function ()
+{
+	return (this.cp_tokens[this.cp_pos]);
+};
+
+CStyleParser.prototype.next = function ()
+{
+	var token = this.cp_tokens[this.cp_pos];
+
+	if (token.type != 'eof')
+		this.cp_pos++;
+
+	return (token);
+};
+
+/*
+ * Consumes the next token, which must have type "type" (and, if specified,
+ * value "value").  "what" describes what was expected, for error messages.
+ */
+CStyleParser.prototype.expect = function (type, value, what)
+{
+	var token = this.peek();
+
+	if (token.type != type ||
+	    (value !== undefined && token.value !== value))
+		throw (cstyleUnexpected(token, what));
+
+	return (this.next());
+};
+
+CStyleParser.prototype.parse = function ()
+{
+	var pred = this.parseOr();
+
+	this.expect('eof', undefined, 'end of input');
+	return (pred);
+};
+
+CStyleParser.prototype.parseOr = function ()
+{
+	return (this.parseLogical('||', 'or', this.parseAnd));
+};
+
+CStyleParser.prototype.parseAnd = function ()
+{
+	return (this.parseLogical('&&', 'and', this.parseUnary));
+};
+
+/*
+ * Parses a sequence of one or more operands (each parsed by "parseoperand")
+ * separated by the operator "op", which becomes the logical operator "key" in
+ * the JSON representation.
+ */
+CStyleParser.prototype.parseLogical = function (op, key, parseoperand)
+{
+	var operands, rv;
+
+	operands = [ parseoperand.call(this) ];
+	while (this.peek().type == 'op' && this.peek().value == op) {
+		this.next();
+		operands.push(parseoperand.call(this));
+	}
+
+	if (operands.length == 1)
+		return (operands[0]);
+
+	rv = {};
+	rv[key] = operands;
+	return (rv);
+};
+
+CStyleParser.prototype.parseUnary = function ()
+{
+	var token, pred;
+
+	token = this.peek();
+
+	if (token.type == 'op' && token.value == '!') {
+		this.next();
+		token = this.peek();
+		if (token.type != 'paren' && !(token.type == 'op' &&
+		    token.value == '!'))
+			throw (cstyleUnexpected(token, '"(" or "!"'));
+		return ({ 'not': this.parseUnary() });
+	}
+
+	if (token.type == 'paren' && token.value == '(') {
+		this.next();
+		pred = this.parseOr();
+		this.expect('paren', ')', '")"');
+		return (pred);
+	}
+
+	if (token.type == 'number' && token.value === 1) {
+		this.next();
+		return ({});
+	}
+
+	if (token.type == 'ident' && token.value == 'strstr')
+		return (this.parseStrstr());
+
+	return (this.parseRelational());
+};
+
+CStyleParser.prototype.parseRelational = function ()
+{
+	var field, op, constant, rv;
+
+	field = this.expect('ident', undefined, 'field name').value;
+	op = this.peek();
+	if (op.type != 'op' || !cstyleRelOps.hasOwnProperty(op.value))
+		throw (cstyleUnexpected(op, 'relational operator'));
+	this.next();
+
+	constant = this.peek();
+	rv = {};
+	if (constant.type == 'ident' && constant.value == 'NULL' &&
+	    (op.value == '==' || op.value == '!=')) {
+		this.next();
+		rv[cstyleRelOps[op.value]] = [ field, null ];
+		return (rv);
+	}
+
+	if (constant.type != 'string' && constant.type != 'number' &&
+	    constant.type != 'boolean')
+		throw (cstyleUnexpected(constant,
+		    'string, number, or boolean'));
+	this.next();
+
+	rv[cstyleRelOps[op.value]] = [ field, constant.value ];
+	return (rv);
+};
+
+/*
+ * Parses the two forms that toCStyleString() uses for "prefix" and "contains":
+ *
+ *     strstr(field, "value") == field		(prefix)
+ *     strstr(field, "value") != NULL		(contains)
+ */
+CStyleParser.prototype.parseStrstr = function ()
+{
+	var field, constant, op, token;
+
+	this.next();
+	this.expect('paren', '(', '"("');
+	field = this.expect('ident', undefined, 'field name').value;
+	this.expect('comma', undefined, '","');
+	constant = this.expect('string', undefined, 'string').value;
+	this.expect('paren', ')', '")"');
+
+	op = this.peek();
+	if (op.type == 'op' && op.value == '==') {
+		this.next();
+		token = this.expect('ident', undefined, 'field name');
+		if (token.value != field)
+			throw (new VError('column %d: expected "%s" (to ' +
+			    'match the first argument of strstr), but found ' +
+			    '"%s"', token.column, field, token.value));
+		return ({ 'prefix': [ field, constant ] });
+	}
+
+	if (op.type == 'op' && op.value == '!=') {
+		this.next();
+		this.expect('ident', 'NULL', '"NULL"');
+		return ({ 'contains': [ field, constant ] });
+	}
+
+	throw (cstyleUnexpected(op, '"==" or "!="'));
+};
+
+/*
+ * Returns an error for the unexpected token "token", where "what" describes
+ * what was expected instead.
+ */
+function cstyleUnexpected(token, what)
+{
+	return (new VError('column %d: expected %s, but found %s',
+	    token.column, what,
+	    token.type == 'eof' ? 'end of input' : '"' + token.text + '"'));
+}
+
+/*
+ * Splits "str" into an array of tokens, each of which has properties "type"
+ * ("paren", "comma", "op", "ident", "string", "number", "boolean", or "eof"),
+ * "value", "text" (the text of the token in "str"), and "column" (where the
+ * token begins, starting from 1).  The last token always has type "eof".
+ */
+function cstyleTokenize(str)
+{
+	var tokens, ii, start, c, value, match;
+
+	/* BEGIN JSSTYLED */
+	var identre = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/;
+	var numberre = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+	var opre = /^(&&|\|\||==|!=|<=|>=|<|>|!)/;
+	/* END JSSTYLED */
+
+	tokens = [];
+	ii = 0;
+
+	function push(type, tokvalue, end) {
+		tokens.push({
+		    'type': type,
+		    'value': tokvalue,
+		    'text': str.substring(start, end),
+		    'column': start + 1
+		});
+		ii = end;
+	}
+
+	while (ii < str.length) {
+		start = ii;
+		c = str.charAt(ii);
+
+		if (c == ' ' || c == '\t' || c == '\n' || c == '\r') {
+			ii++;
+			continue;
+		}
+
+		if (c == '(' || c == ')') {
+			push('paren', c, ii + 1);
+			continue;
+		}
+
+		if (c == ',') {
+			push('comma', c, ii + 1);
+			continue;
+		}
+
+		if (c == '"') {
+			value = cstyleScanString(str, ii);
+			push('string', value.value, value.end);
+			continue;
+		}
+
+		if ((match = numberre.exec(str.substr(ii))) !== null) {
+			push('number', parseFloat(match[0]),
+			    ii + match[0].length);
+			continue;
+		}
+
+		if ((match = opre.exec(str.substr(ii))) !== null) {
+			push('op', match[0], ii + match[0].length);
+			continue;
+		}
+
+		if ((match = identre.exec(str.substr(ii))) !== null) {
+			if (match[0] == 'true' || match[0] == 'false')
+				push('boolean', match[0] == 'true',
+				    ii + match[0].length);
+			else
+				push('ident', match[0], ii + match[0].length);
+			continue;
+		}
+
+		throw (new VError('column %d: unexpected character "%s"',
+		    ii + 1, c));
+	}
+
+	start = ii;
+	push('eof', null, ii);
+	return (tokens);
+}
+
+/*
+ * Scans the double-quoted string constant that starts at index "start" of
+ * "str", and returns an object with the string's "value" and the index just
+ * past its closing quote ("end").
+ */
+function cstyleScanString(str, start)
+{
+	var ii, c, value, hex;
+
+	value = '';
+	for (ii = start + 1; ii < str.length; ii++) {
+		c = str.charAt(ii);
+
+		if (c == '"')
+			return ({ 'value': value, 'end': ii + 1 });
+
+		if (c != '\\') {
+			value += c;
+			continue;
+		}
+
+		if (++ii >= str.length)
+			break;
+
+		c = str.charAt(ii);
+		if (cstyleEscapes.hasOwnProperty(c)) {
+			value += cstyleEscapes[c];
+			continue;
+		}
+
+		hex = str.substr(ii + 1, 2);
+		/* JSSTYLED */
+		if (c == 'x' && /^[0-9a-fA-F]{2}$/.test(hex)) {
+			value += String.fromCharCode(parseInt(hex, 16));
+			ii += 2;
+			continue;
+		}
+
+		throw (new VError('column %d: invalid escape sequence "\\%s"',
+		    ii, c));
+	}
+
+	throw (new VError('column %d: unterminated string', start + 1));
+}
@@ -0,0 +1,194 @@
+/*
+ * date.js: parsing and formatting of dates for fields of type "date".
+ */
+
+var mod_assert = require('assert-plus');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+
+/* Public interface */
+exports.parseDateConstant = parseDateConstant;
+exports.resolveDateConstant = resolveDateConstant;
+exports.parseDateValue = parseDateValue;
+exports.formatGeneralizedTime = formatGeneralizedTime;
+exports.parseGeneralizedTime = parseGeneralizedTime;
+exports.dateConstantPattern = dateConstantPattern;
+
+
+/*
+ * We accept ISO 8601 dates in the extended format, either a calendar date alone
+ * (which denotes midnight UTC) or a date and time with an explicit UTC offset.
+ * Times without an offset are rejected because they'd be interpreted in the
+ * local time zone.
+ */
+/* JSSTYLED */
+var dateIsoRe = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+/*
+ * Relative dates are "now" followed by any number of offsets, each of which is
+ * a sign, a number, and a unit (e.g., "now-15m" or "now-1d+12h").
+ */
+/* JSSTYLED */
+var dateRelativeRe = /^now((?:[+-]\d+[smhdw])*)$/;
+/* JSSTYLED */
+var dateOffsetRe = /([+-])(\d+)([smhdw])/g;
+
+var dateUnits = {
+    's': 1000,
+    'm': 60 * 1000,
+    'h': 60 * 60 * 1000,
+    'd': 24 * 60 * 60 * 1000,
+    'w': 7 * 24 * 60 * 60 * 1000
+};
+
+/*
+ * Generalized time (as used by LDAP): "YYYYMMDDHH[MM[SS[.fff]]]" followed by
+ * "Z" or a UTC offset of the form "+HH[MM]".
+ */
+/* JSSTYLED */
+var dateGeneralizedRe = /^(\d{4})(\d{2})(\d{2})(\d{2})(?:(\d{2})(?:(\d{2})([.,]\d+)?)?)?(Z|[+-]\d{2}(?:\d{2})?)$/;
+
+/*
+ * Parses the date constant "str", which is either an ISO 8601 date (see
+ * dateIsoRe) or a date relative to the current time (see dateRelativeRe), and
+ * returns an object with "relative" (true for relative dates) and "offset"
+ * (the number of milliseconds since the epoch, or since the current time for
+ * relative dates).  Throws an error if "str" is not a valid date constant.
+ */
+function parseDateConstant(str)
+{
+	var match, offset;
+
+	mod_assert.string(str, 'str');
+
+	if ((match = dateRelativeRe.exec(str)) !== null) {
+		offset = 0;
+		match[1].replace(dateOffsetRe, function (_, sign, num, unit) {
+			offset += (sign == '-' ? -1 : 1) * parseInt(num, 10) *
+			    dateUnits[unit];
+			return ('');
+		});
+		return ({ 'relative': true, 'offset': offset });
+	}
+
+	if (!dateIsoRe.test(str))
+		throw (new VError('"%s" is neither an ISO 8601 date nor a ' +
+		    'relative date like "now-15m"', str));
+
+	return ({ 'relative': false, 'offset': dateParseIso(str) });
+}
+
+/*
+ * Returns a regular expression (as a string) matching the syntax of date
+ * constants accepted by parseDateConstant().  (It doesn't check that the month
+ * has the given day.)
+ */
+function dateConstantPattern()
+{
+	return (dateIsoRe.source + '|' + dateRelativeRe.source);
+}
+
+/*
+ * Returns the number of milliseconds since the epoch denoted by "date" (as
+ * returned by parseDateConstant()), given that the current time is "now" (also
+ * in milliseconds since the epoch).
+ */
+function resolveDateConstant(date, now)
+{
+	return (date.relative ? now + date.offset : date.offset);
+}
+
+/*
+ * Returns the number of milliseconds since the epoch denoted by the field value
+ * "value", which may be a Date, a number of milliseconds since the epoch, or an
+ * ISO 8601 string.  Throws an error if it's none of these.
+ */
+function parseDateValue(value)
+{
+	if (value instanceof Date) {
+		if (isNaN(value.getTime()))
+			throw (new VError('invalid Date'));
+		return (value.getTime());
+	}
+
+	if (typeof (value) == 'number') {
+		if (!isFinite(value))
+			throw (new VError('%s is not a valid date', value));
+		return (value);
+	}
+
+	if (typeof (value) == 'string')
+		return (dateParseIso(value));
+
+	throw (new VError('%j is not a valid date', value));
+}
+
+function dateParseIso(str)
+{
+	var ms;
+
+	if (!dateIsoRe.test(str) || isNaN(ms = Date.parse(str)) ||
+	    !dateValidDay(parseInt(str.substr(0, 4), 10),
+	    parseInt(str.substr(5, 2), 10), parseInt(str.substr(8, 2), 10)))
+		throw (new VError('"%s" is not a valid ISO 8601 date', str));
+
+	return (ms);
+}
+
+/*
+ * Returns true if "day" is a day of month "month" (from 1 to 12) of "year".
+ * (Date.parse() and Date.UTC() accept days past the end of the month.)
+ */
+function dateValidDay(year, month, day)
+{
+	return (month >= 1 && month <= 12 && day >= 1 &&
+	    day <= new Date(Date.UTC(year, month, 0)).getUTCDate());
+}
+
+/*
+ * Returns the generalized time string (in UTC) for "ms" milliseconds since the
+ * epoch, omitting the fractional seconds if there aren't any.
+ */
+function formatGeneralizedTime(ms)
+{
+	mod_assert.number(ms, 'ms');
+
+	/* JSSTYLED */
+	return (new Date(ms).toISOString().replace(/[-:T]/g, '').
+	    replace('.000Z', 'Z'));
+}
+
+/*
+ * Parses the generalized time string "str" and returns the same date as an ISO
+ * 8601 string (in UTC).  Throws an error if "str" is not a valid generalized
+ * time.
+ */
+function parseGeneralizedTime(str)
+{
+	var match, ms, offset;
+
+	mod_assert.string(str, 'str');
+
+	if ((match = dateGeneralizedRe.exec(str)) === null ||
+	    !dateValidDay(parseInt(match[1], 10), parseInt(match[2], 10),
+	    parseInt(match[3], 10)) || parseInt(match[4], 10) > 23 ||
+	    parseInt(match[5] || '0', 10) > 59 ||
+	    parseInt(match[6] || '0', 10) > 59)
+		throw (new VError('"%s" is not a valid generalized time', str));
+
+	ms = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1,
+	    parseInt(match[3], 10), parseInt(match[4], 10),
+	    parseInt(match[5] || '0', 10), parseInt(match[6] || '0', 10),
+	    match[7] ? Math.round(parseFloat('0.' + match[7].substr(1)) *
+	    1000) : 0);
+
+	if (match[8] != 'Z') {
+		offset = parseInt(match[8].substr(1, 2), 10) * 60 +
+		    parseInt(match[8].substr(3, 2) || '0', 10);
+		ms -= (match[8].charAt(0) == '-' ? -1 : 1) * offset * 60 * 1000;
+	}
+
+	return (new Date(ms).toISOString());
+}
@@ -0,0 +1,277 @@
+/*
+ * ip.js: parsing and formatting of IP addresses for fields of type "ip".
+ */
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+
+/* Public interface */
+exports.parseIP = parseIP;
+exports.normalizeIP = normalizeIP;
+exports.parseCIDR = parseCIDR;
+exports.cidrContains = cidrContains;
+exports.ipPattern = ipPattern;
+exports.cidrPattern = cidrPattern;
+
+
+/*
+ * IPv4 addresses are in dotted-decimal notation.  Octets with leading zeros are
+ * rejected because some systems interpret them as octal.
+ */
+/* JSSTYLED */
+var ipv4Re = /^(0|[1-9]\d{0,2})\.(0|[1-9]\d{0,2})\.(0|[1-9]\d{0,2})\.(0|[1-9]\d{0,2})$/;
+var ipv6GroupRe = /^[0-9a-fA-F]{1,4}$/;
+var ipPrefixRe = /^(0|[1-9]\d*)$/;
+
+/*
+ * Parses the IPv4 or IPv6 address "str" and returns an object with "family"
+ * (4 or 6) and "bytes" (an array of 4 or 16 numbers).  Throws an error if "str"
+ * is not a valid address.
+ */
+function parseIP(str)
+{
+	var bytes;
+
+	if (typeof (str) != 'string')
+		throw (new VError('%j is not a valid IP address', str));
+
+	if ((bytes = ipParseV4(str)) !== null)
+		return ({ 'family': 4, 'bytes': bytes });
+
+	if ((bytes = ipParseV6(str)) !== null)
+		return ({ 'family': 6, 'bytes': bytes });
+
+	throw (new VError('"%s" is not a valid IP address', str));
+}
+
+/*
+ * Returns the array of bytes for the IPv4 address "str", or null if it's not
+ * one.
+ */
+function ipParseV4(str)
+{
+	var match, bytes, ii;
+
+	if ((match = ipv4Re.exec(str)) === null)
+		return (null);
+
+	bytes = [];
+	for (ii = 1; ii <= 4; ii++) {
+		bytes.push(parseInt(match[ii], 10));
+		if (bytes[ii - 1] > 255)
+			return (null);
+	}
+
+	return (bytes);
+}
+
+/*
+ * Returns the array of bytes for the IPv6 address "str" (as described by RFC
+ * 4291, including the "::" shorthand and a trailing IPv4 address), or null if
+ * it's not one.
+ */
+function ipParseV6(str)
+{
+	var halves, head, tail, groups, v4, bytes, ii;
+
+	halves = str.split('::');
+	if (halves.length > 2)
+		return (null);
+
+	head = halves[0].length > 0 ? halves[0].split(':') : [];
+	tail = halves.length == 2 && halves[1].length > 0 ?
+	    halves[1].split(':') : [];
+
+	/* An IPv4 address may take the place of the last two groups. */
+	v4 = null;
+	groups = halves.length == 2 ? tail : head;
+	if (groups.length > 0 &&
+	    groups[groups.length - 1].indexOf('.') != -1) {
+		if ((v4 = ipParseV4(groups.pop())) === null)
+			return (null);
+		groups.push((v4[0] << 8 | v4[1]).toString(16));
+		groups.push((v4[2] << 8 | v4[3]).toString(16));
+	}
+
+	if (!head.concat(tail).every(function (g) {
+		return (ipv6GroupRe.test(g));
+	}))
+		return (null);
+
+	if (halves.length == 2) {
+		if (head.length + tail.length > 7)
+			return (null);
+		groups = head;
+		while (groups.length + tail.length < 8)
+			groups.push('0');
+		groups = groups.concat(tail);
+	} else if (head.length != 8) {
+		return (null);
+	}
+
+	bytes = [];
+	for (ii = 0; ii < 8; ii++) {
+		bytes.push(parseInt(groups[ii], 16) >> 8);
+		bytes.push(parseInt(groups[ii], 16) & 0xff);
+	}
+
+	return (bytes);
+}
+
+/*
+ * Returns the canonical form of the IP address "str": dotted-decimal for IPv4
+ * and the form recommended by RFC 5952 for IPv6 (lowercase, without leading
+ * zeros, with the longest run of two or more zero groups replaced by "::", and
+ * with IPv4-mapped addresses ending in dotted-decimal).  Two strings denote the
+ * same address if and only if their canonical forms are equal.  Throws an error
+ * if "str" is not a valid address.
+ */
+function normalizeIP(str)
+{
+	var addr, groups, best, bestlen, start, ii, mapped;
+
+	addr = parseIP(str);
+	if (addr.family == 4)
+		return (addr.bytes.join('.'));
+
+	groups = [];
+	for (ii = 0; ii < 16; ii += 2)
+		groups.push(addr.bytes[ii] << 8 | addr.bytes[ii + 1]);
+
+	mapped = '';
+	if (groups.slice(0, 5).every(function (g) { return (g === 0); }) &&
+	    groups[5] == 0xffff) {
+		mapped = ':' + addr.bytes.slice(12).join('.');
+		groups = groups.slice(0, 6);
+	}
+
+	best = -1;
+	bestlen = 1;
+	for (ii = 0; ii < groups.length; ii++) {
+		if (groups[ii] !== 0)
+			continue;
+		for (start = ii; ii < groups.length && groups[ii] === 0; ii++)
+			continue;
+		if (ii - start > bestlen) {
+			best = start;
+			bestlen = ii - start;
+		}
+	}
+
+	groups = groups.map(function (g) { return (g.toString(16)); });
+	if (best == -1)
+		return (groups.join(':') + mapped);
+
+	return (groups.slice(0, best).join(':') + '::' +
+	    groups.slice(best + bestlen).join(':') +
+	    (best + bestlen == groups.length ? mapped.substr(1) : mapped));
+}
+
+/*
+ * Parses the CIDR block "str", an IP address followed by "/" and a prefix
+ * length (e.g., "10.0.0.0/8" or "fd00::/8"), and returns an object with
+ * "family", "bytes" (as returned by parseIP()), and "prefix" (the prefix
+ * length).  Bits of the address past the prefix are ignored.  An address
+ * without a prefix length denotes just that address.  Throws an error if "str"
+ * is not a valid CIDR block.
+ */
+function parseCIDR(str)
+{
+	var slash, addr, prefix, max;
+
+	if (typeof (str) != 'string')
+		throw (new VError('%j is not a valid CIDR block', str));
+
+	slash = str.indexOf('/');
+	try {
+		addr = parseIP(slash == -1 ? str : str.substr(0, slash));
+	} catch (ex) {
+		throw (new VError(ex, '"%s" is not a valid CIDR block', str));
+	}
+
+	max = addr.family == 4 ? 32 : 128;
+	if (slash == -1) {
+		prefix = max;
+	} else if (!ipPrefixRe.test(str.substr(slash + 1)) ||
+	    (prefix = parseInt(str.substr(slash + 1), 10)) > max) {
+		throw (new VError('"%s" is not a valid CIDR block: expected ' +
+		    'a prefix length between 0 and %d', str, max));
+	}
+
+	addr.prefix = prefix;
+	return (addr);
+}
+
+/*
+ * Returns true if the IP address "str" is within the CIDR block "cidr" (as
+ * returned by parseCIDR()).  Addresses are never within a block of the other
+ * family.  Throws an error if "str" is not a valid address.
+ */
+function cidrContains(cidr, str)
+{
+	var addr, ii, mask;
+
+	addr = parseIP(str);
+	if (addr.family != cidr.family)
+		return (false);
+
+	for (ii = 0; ii * 8 < cidr.prefix; ii++) {
+		mask = cidr.prefix - ii * 8 >= 8 ?
+		    0xff : (0xff00 >> (cidr.prefix - ii * 8)) & 0xff;
+		if ((addr.bytes[ii] & mask) != (cidr.bytes[ii] & mask))
+			return (false);
+	}
+
+	return (true);
+}
+
+/*
+ * Returns a regular expression (as a string) matching exactly the addresses
+ * accepted by parseIP(), for use in JSON Schemas.
+ */
+function ipPattern()
+{
+	return ('^(' + ipPatternV4() + '|' + ipPatternV6() + ')$');
+}
+
+/*
+ * Returns a regular expression (as a string) matching exactly the CIDR blocks
+ * accepted by parseCIDR(), for use in JSON Schemas.
+ */
+function cidrPattern()
+{
+	return ('^(' + ipPatternV4() + '(/(3[0-2]|[12]?\\d))?|' +
+	    ipPatternV6() + '(/(12[0-8]|1[01]\\d|[1-9]?\\d))?)$');
+}
+
+function ipPatternV4()
+{
+	var octet = '(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+	return (octet + '(\\.' + octet + '){3}');
+}
+
+/*
+ * IPv6 addresses have eight groups, or fewer with "::" standing for the rest,
+ * and an IPv4 address may take the place of the last two groups.  For each
+ * number of groups before the "::", we allow as many after it as will fit.
+ */
+function ipPatternV6()
+{
+	var group = '[0-9a-fA-F]{1,4}';
+	var v4 = ipPatternV4();
+	var alts, head, ii;
+
+	alts = [ '(' + group + ':){7}' + group, '(' + group + ':){6}' + v4 ];
+	for (ii = 0; ii <= 7; ii++) {
+		head = ii === 0 ? '' : '(' + group + ':){' + (ii - 1) + '}' +
+		    group;
+		alts.push(head + '::' + (ii == 7 ? '' :
+		    '(' + group + '(:' + group + '){0,' + (6 - ii) + '})?'));
+		if (ii <= 5)
+			alts.push(head + '::(' + group + ':){0,' + (5 - ii) +
+			    '}' + v4);
+	}
+
+	return ('(' + alts.join('|') + ')');
+}
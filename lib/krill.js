@@ -10,58 +10,476 @@ var mod_jsprim = require('jsprim');
 var mod_verror = require('verror');
 var VError = mod_verror.VError;
 
+var mod_cstyle = require('./cstyle');
+var mod_date = require('./date');
+var mod_ip = require('./ip');
+var mod_ldap = require('./ldap');
+
 
 /* Public interface */
 exports.createPredicate = createPredicate;
+exports.validate = validate;
+exports.jsonSchema = jsonSchema;
 exports.createPredicateStream = createPredicateStream;
+exports.createPredicateSet = createPredicateSet;
+exports.createPredicateSetStream = createPredicateSetStream;
+exports.parse = parse;
+exports.fromLDAPFilter = fromLDAPFilter;
+exports.and = and;
+exports.or = or;
+exports.exists = exists;
+exports.explanationToString = explanationToString;
+exports.nodeStatsToString = nodeStatsToString;
+/* Builders for leaf predicates (e.g., "eq") are exported below krillOps. */
 
 
 /*
  * Construct a predicate based on the JSON-like representation "pred".  "types"
- * maps field names to either "string" or "number".  See README.md for details.
+ * maps field names to either "string", "number", "boolean", "date", or "ip",
+ * or to a nested map of the same form describing the fields of an object.
+ * "options" may contain:
+ *
+ *     now	function returning the current time (as a Date or a number of
+ *     		milliseconds since the epoch), used to evaluate relative
+ *     		dates like "now-15m" (default: the system clock)
+ *
+ *     missing	what to do when evaluating a predicate against an object
+ *     		that's missing a field it uses (other than with "exists"):
+ *     		"error" to throw an error (the default), "false" to
+ *     		evaluate the comparison as false, or "null" to compare
+ *     		null instead
+ *
+ *     strict	if true, evaluating a predicate checks that the value of
+ *     		each field has the field's type (or, without types, the
+ *     		type of the constants it's compared with), and throws an
+ *     		error if it doesn't (default: false)
+ *
+ * Throws an error with a "code" and "path" (see krillValidationError()) for
+ * the first problem found in "pred" or "types".  See README.md for details.
  */
-function createPredicate(pred, types)
+function createPredicate(pred, types, options)
 {
-	krillPrimValidateSyntax(pred);
+	mod_assert.optionalObject(options, 'options');
+	if (options) {
+		mod_assert.optionalFunc(options.now, 'options.now');
+		mod_assert.optionalString(options.missing, 'options.missing');
+		mod_assert.optionalBool(options.strict, 'options.strict');
+		krillValidateMode('options.missing', krillMissingModes,
+		    options.missing);
+	}
 
-	if (arguments.length >= 2 && types !== null) {
-		mod_jsprim.forEachKey(types, function (k, v) {
-			if (v !== 'string' && v !== 'number' && v !== 'boolean')
-				throw (new VError(
-				    'field "%s": unknown type "%s"', k, v));
-		});
+	krillPrimValidateSyntax(pred, '', null);
+
+	if (types !== undefined && types !== null) {
+		krillValidateTypeSchema(types, '');
+		krillPrimValidateTypes(types, pred, '', null);
+	}
+
+	return (new Predicate(mod_jsprim.deepCopy(pred), types, null, options));
+}
+
+/*
+ * Validates the predicate "pred" (and "types") exactly like createPredicate(),
+ * but rather than throwing an error for the first problem, returns an array of
+ * errors for all of them (which is empty if the predicate is valid).  Each
+ * error has a "code", "path", "operator", and "field" (see
+ * krillValidationError()).  Syntax errors come first.  Subpredicates with
+ * invalid syntax aren't checked against the types, and nothing is if the types
+ * map itself is invalid.
+ */
+function validate(pred, types)
+{
+	var errors = [];
+
+	krillPrimValidateSyntax(pred, '', errors);
+
+	if (types !== undefined && types !== null) {
+		try {
+			krillValidateTypeSchema(types, '');
+		} catch (ex) {
+			errors.push(ex);
+			return (errors);
+		}
+
+		krillPrimValidateTypes(types, pred, '', errors);
+	}
+
+	return (errors);
+}
+
+/*
+ * Returns a JSON Schema (draft-07) describing the predicates that are valid for
+ * the types map "types" (or, if it's null or undefined, predicates without
+ * types), including which operators can be used with each field and the types
+ * of their constants.  See krillSchemaLeaf() for what the schema can't check.
+ */
+function jsonSchema(types)
+{
+	var defs, refs;
+
+	if (types !== undefined && types !== null)
+		krillValidateTypeSchema(types, '');
+	else
+		types = null;
+
+	defs = {
+	    'trivial': { 'type': 'object', 'maxProperties': 0 },
+	    'and': krillSchemaOperator('and', {
+		'type': 'array',
+		'items': { '$ref': '#' },
+		'minItems': 2
+	    }),
+	    'or': krillSchemaOperator('or', {
+		'type': 'array',
+		'items': { '$ref': '#' },
+		'minItems': 2
+	    }),
+	    'not': krillSchemaOperator('not', { '$ref': '#' })
+	};
+
+	mod_jsprim.forEachKey(krillOps, function (key, op) {
+		var leaf;
+
+		if (op instanceof LogicalOperator ||
+		    op instanceof NegationOperator)
+			return;
+
+		if ((leaf = krillSchemaLeaf(key, types)) !== null)
+			defs[key] = leaf;
+	});
+
+	refs = Object.keys(defs).map(function (key) {
+		return ({ '$ref': '#/definitions/' + key });
+	});
+
+	return ({
+	    '$schema': 'http://json-schema.org/draft-07/schema#',
+	    'title': 'krill predicate',
+	    'definitions': defs,
+	    'anyOf': refs
+	});
+}
+
+/*
+ * Construct a predicate from a string using the C-like syntax printed by
+ * toCStyleString() (e.g., 'hostname == "spike" || latency > 300').  "types" is
+ * the same as for createPredicate().  Throws an error identifying the column of
+ * any syntax error.  See README.md for details.
+ */
+function parse(str, types)
+{
+	var pred;
+
+	mod_assert.string(str, 'str');
+
+	try {
+		pred = mod_cstyle.parseCStyle(str);
+	} catch (ex) {
+		throw (new VError(ex, 'parse "%s"', str));
+	}
+
+	return (createPredicate(pred, types));
+}
+
+/*
+ * Construct a predicate from an LDAP search filter string (RFC 4515), like
+ * "(|(hostname=spike)(latency>=300))".  "types" is the same as for
+ * createPredicate(), and is also used to convert the string values in the
+ * filter to the appropriate types.  Throws an error for filters that can't be
+ * represented as predicates.  See README.md for details.
+ */
+function fromLDAPFilter(str, types)
+{
+	var pred;
+
+	mod_assert.string(str, 'str');
+
+	try {
+		pred = mod_ldap.parseLDAPFilter(str, types || null);
+	} catch (ex) {
+		throw (new VError(ex, 'parse LDAP filter "%s"', str));
+	}
+
+	return (createPredicate(pred, types));
+}
+
+/*
+ * Construct a predicate that's the "and" of the Predicates passed as arguments.
+ * Trivial arguments are ignored, so with no non-trivial arguments, this returns
+ * the trivial predicate, and with one, it returns an equivalent predicate.  The
+ * result's types are the union of the arguments' types (see
+ * krillMergeTypes()), and its options are those of the first argument.
+ */
+function and()
+{
+	return (krillCombine('and', Array.prototype.slice.call(arguments)));
+}
+
+/*
+ * Construct a predicate that's the "or" of the Predicates passed as arguments.
+ * If any argument is trivial, so is the result.  With no arguments, this
+ * returns a predicate that's always false ({ "not": {} }).  The result's types
+ * are the same as for and().
+ */
+function or()
+{
+	return (krillCombine('or', Array.prototype.slice.call(arguments)));
+}
+
+function krillCombine(key, preds)
+{
+	var types, elts, trivial, pred, options, replaced, rv;
+
+	types = null;
+	elts = [];
+	trivial = false;
+	options = null;
+	replaced = false;
+	preds.forEach(function (p, i) {
+		mod_assert.ok(p instanceof Predicate,
+		    'argument ' + i + ' must be a Predicate');
+
+		if (options === null)
+			options = p.p_options;
+
+		replaced = replaced || p.p_replaced;
+		if (p.p_types !== null)
+			types = krillMergeTypes(types === null ? {} : types,
+			    p.p_types, '');
 
-		krillPrimValidateTypes(types, pred);
+		if (!krillPrimTrivial(p.p_pred))
+			elts.push(p.p_pred);
+		else if (key == 'or')
+			trivial = true;
+	});
+
+	if (trivial || (key == 'and' && elts.length === 0)) {
+		pred = {};
+	} else if (elts.length === 0) {
+		pred = { 'not': {} };
+	} else if (elts.length == 1) {
+		pred = elts[0];
+	} else {
+		pred = {};
+		pred[key] = elts;
 	}
 
-	return (new Predicate(mod_jsprim.deepCopy(pred), types));
+	rv = createPredicate(pred, types, options);
+	rv.p_replaced = replaced;
+	return (rv);
+}
+
+/*
+ * Merges the types map "types" into "into" (which is modified and returned).
+ * "prefix" is the dotted name of the enclosing object, for error messages.  A
+ * field may appear in both maps only if it has the same type in both.
+ */
+function krillMergeTypes(into, types, prefix)
+{
+	mod_jsprim.forEachKey(types, function (k, v) {
+		var name = prefix === '' ? k : prefix + '.' + k;
+
+		if (!krillHasKey(into, k)) {
+			into[k] = mod_jsprim.deepCopy(v);
+			return;
+		}
+
+		if (typeof (into[k]) == 'object' && typeof (v) == 'object') {
+			krillMergeTypes(into[k], v, name);
+			return;
+		}
+
+		if (into[k] !== v)
+			throw (new VError('field "%s": conflicting types ' +
+			    '"%s" and "%s"', name,
+			    typeof (into[k]) == 'object' ? 'object' : into[k],
+			    typeof (v) == 'object' ? 'object' : v));
+	});
+
+	return (into);
+}
+
+/*
+ * Returns a predicate that's true if "field" is present (see ExistsOperator).
+ * "types" and "options" are the same as for createPredicate().
+ */
+function exists(field, types, options)
+{
+	return (createPredicate({ 'exists': [ field ] }, types, options));
+}
+
+/*
+ * Returns a function that constructs a leaf predicate using operator "key"
+ * (e.g., krill.eq(field, value[, types[, options]]), or krill.in(field,
+ * values[, types[, options]])).  The result is validated exactly as
+ * createPredicate() would.
+ */
+function krillLeafBuilder(key)
+{
+	return (function (field, value, types, options) {
+		var pred = {};
+		pred[key] = [ field, value ];
+		return (createPredicate(pred, types, options));
+	});
 }
 
 /*
  * External, immutable representation of a predicate.  This representation just
  * references the JSON-like representation that users pass to createPredicate.
+ * Constants that must be compiled before use (like regular expressions) are
+ * compiled once here and cached in "p_compiled" so that evaluating the
+ * predicate many times doesn't compile them again.  "compiled" may be passed
+ * in by callers that already have a cache for the same constants.  "options"
+ * are the options passed to createPredicate().  "p_converted" maps the fields
+ * whose values and constants must be converted before comparison (those of
+ * type "date" or "ip") to their types, or is null if there aren't any.
+ * "p_strict" is the list of checks made on values in strict mode (see
+ * krillPrimStrictChecks()), or null if the predicate isn't strict.
+ * "p_replaced" is true for predicates derived from the result of
+ * replaceFields(), whose "fields" may be arbitrary expressions.
  */
-function Predicate(pred, types)
+function Predicate(pred, types, compiled, options)
 {
 	this.p_pred = pred;
 	this.p_types = types || null;
+	this.p_options = options || {};
+	this.p_converted = krillPrimConvertedFields(pred, this.p_types);
+	this.p_strict = this.p_options.strict ?
+	    krillPrimStrictChecks(pred, this.p_types) : null;
+	this.p_compiled = compiled ||
+	    krillPrimCompileConstants(pred, this.p_options.strict === true);
+	this.p_evaluator = null;
+	this.p_simplified = null;
+	this.p_replaced = false;
 }
 
 /*
  * Returns true if this predicate obviously always returns true.  (This may
- * return false for some predicates that do always return true.)
+ * return false for some predicates that do always return true.)  Predicates
+ * that simplify() reduces to the trivial predicate are recognized.
  */
 Predicate.prototype.trivial = function ()
 {
-	return (krillPrimTrivial(this.p_pred));
+	return (krillPrimTrivial(this.simplify().p_pred));
+};
+
+/*
+ * Returns a new Predicate that's logically equivalent to this one, but with
+ * nested "and" and "or" expressions flattened, duplicate subpredicates removed,
+ * numeric ranges on the same field merged, and subpredicates whose value is
+ * known ahead of time folded away (so that, for example, an "and" of a
+ * comparison and its negation becomes { "not": {} }).  The result evaluates
+ * identically for any object that this predicate can be evaluated against,
+ * though it may no longer reference all of the same fields.  The result is
+ * cached, so calling simplify() repeatedly is cheap.
+ */
+Predicate.prototype.simplify = function ()
+{
+	if (this.p_simplified === null) {
+		this.p_simplified = new Predicate(
+		    krillPrimSimplify(this.p_pred), this.p_types, null,
+		    this.p_options);
+		this.p_simplified.p_replaced = this.p_replaced;
+	}
+
+	return (this.p_simplified);
+};
+
+/*
+ * Returns false if no object can satisfy this predicate, as determined by
+ * analyzing the constraints that the predicate places on each field (using the
+ * types that were given to createPredicate(), if any).  The analysis is
+ * conservative: it returns true whenever it can't prove that the predicate is
+ * unsatisfiable.  See README.md for what it can prove.
+ */
+Predicate.prototype.isSatisfiable = function ()
+{
+	return (krillPrimSatisfiable([ krillSatGoal(this, true) ],
+	    this.p_types) != 'unsat');
+};
+
+/*
+ * Returns a list of the unsatisfiable subexpressions of this predicate (as
+ * determined by isSatisfiable()).  Each element is an object with "path", a
+ * JSON Pointer (RFC 6901) to the subexpression within the JSON representation
+ * of the predicate, and "predicate", the subexpression itself.  When a
+ * subexpression is unsatisfiable because some of its own subexpressions are,
+ * only those are reported.  The list is empty if no contradictions were found.
+ */
+Predicate.prototype.contradictions = function ()
+{
+	var rv = [];
+	krillPrimContradictions(this.p_pred, this.p_types,
+	    this.p_options.missing || 'error', '', rv);
+	return (rv);
+};
+
+/*
+ * Returns true if every object that satisfies this predicate also satisfies the
+ * predicate "other", which is the case when this predicate and the negation of
+ * "other" can't both be satisfied (see isSatisfiable()).  Like
+ * isSatisfiable(), this is conservative: it returns false whenever it can't
+ * prove the implication.  Field types come from this predicate, or from
+ * "other" if this predicate was created without types.
+ */
+Predicate.prototype.implies = function (other)
+{
+	mod_assert.ok(other instanceof Predicate, 'other must be a Predicate');
+
+	return (krillPrimSatisfiable([
+	    krillSatGoal(this, true),
+	    krillSatGoal(other, false)
+	], this.p_types !== null ? this.p_types : other.p_types) == 'unsat');
+};
+
+/*
+ * Returns true if this predicate and "other" are satisfied by exactly the same
+ * objects.  Like implies(), this returns false if it can't prove it.
+ */
+Predicate.prototype.equivalent = function (other)
+{
+	return (this.implies(other) && other.implies(this));
+};
+
+/*
+ * Returns a new Predicate that's the negation of this one, with the same types.
+ * Negating a negation returns the original predicate.
+ */
+Predicate.prototype.negate = function ()
+{
+	var rv;
+
+	if (krillHasKey(this.p_pred, 'not'))
+		rv = new Predicate(this.p_pred['not'], this.p_types, null,
+		    this.p_options);
+	else
+		rv = new Predicate({ 'not': this.p_pred }, this.p_types, null,
+		    this.p_options);
+
+	rv.p_replaced = this.p_replaced;
+	return (rv);
 };
 
 /*
  * Returns a string representation of this predicate using a C-like syntax.
+ * Date constants are resolved and printed as ISO 8601 strings in UTC.  Fields
+ * whose names can't be parsed back by parse() (like "host-name") are rejected,
+ * except in predicates returned by replaceFields().
  */
 Predicate.prototype.toCStyleString = function ()
 {
-	return (krillPrimPrintCStyle(this.p_pred));
+	if (!this.p_replaced) {
+		krillPrimWalk(function (subpred, key) {
+			var field = krillFieldPrintName(subpred[key][0]);
+
+			if (!mod_cstyle.validCStyleField(field))
+				throw (new VError('field "%s" cannot be ' +
+				    'printed in C-style syntax', field));
+		}, this.p_pred);
+	}
+
+	return (krillPrimPrintCStyle(krillPrimMapDates(this.p_pred,
+	    this.p_converted, krillFormatIso, krillNow(this.p_options))));
 };
 
 /*
@@ -70,12 +488,67 @@ Predicate.prototype.toCStyleString = function ()
  */
 Predicate.prototype.toLDAPFilterString = function ()
 {
-	if (this.trivial()) {
+	if (krillPrimTrivial(this.p_pred)) {
 		throw new Error('Cannot serialize empty predicate to LDAP '
 		    + 'search filter');
 	}
 
-	return (krillPrimPrintLDAP(this.p_pred));
+	return (krillPrimPrintLDAP(krillPrimMapDates(this.p_pred,
+	    this.p_converted, mod_date.formatGeneralizedTime,
+	    krillNow(this.p_options))));
+};
+
+/*
+ * Returns an SQL boolean expression equivalent to this predicate, suitable for
+ * use in a WHERE clause, with constants passed as bound parameters.  Options:
+ *
+ *     dialect		"postgres" (the default), "mysql", or "sqlite"
+ *
+ *     columnMap	object mapping field names to column names.  If
+ *     			specified, every field must be present.  Otherwise,
+ *     			field names are used as column names.  Column names
+ *     			containing "." are treated as qualified names (e.g.,
+ *     			"table.column").
+ *
+ *     placeholderStyle	"$" for numbered placeholders ("$1", "$2", ...), or "?"
+ *     			for positional placeholders.  The default is "$" for
+ *     			"postgres" and "?" otherwise.
+ *
+ * Returns an object with "text" (the SQL expression) and "values" (the array
+ * of values for the placeholders).
+ */
+Predicate.prototype.toSQL = function (options)
+{
+	var dialect, ctx, text;
+
+	mod_assert.optionalObject(options, 'options');
+	options = options || {};
+	mod_assert.optionalString(options.dialect, 'options.dialect');
+	mod_assert.optionalObject(options.columnMap, 'options.columnMap');
+	mod_assert.optionalString(options.placeholderStyle,
+	    'options.placeholderStyle');
+
+	dialect = options.dialect || 'postgres';
+	if (!krillHasKey(krillSqlDialects, dialect))
+		throw (new VError('unsupported SQL dialect "%s"', dialect));
+
+	if (options.placeholderStyle !== undefined &&
+	    options.placeholderStyle != '$' && options.placeholderStyle != '?')
+		throw (new VError('unsupported placeholder style "%s"',
+		    options.placeholderStyle));
+
+	ctx = {
+	    'dialect': krillSqlDialects[dialect],
+	    'dialectName': dialect,
+	    'columnMap': options.columnMap || null,
+	    'placeholderStyle': options.placeholderStyle ||
+		krillSqlDialects[dialect].placeholderStyle,
+	    'values': []
+	};
+
+	text = krillPrimPrintSQL(krillPrimMapDates(this.p_pred,
+	    this.p_converted, krillFormatIso, krillNow(this.p_options)), ctx);
+	return ({ 'text': text, 'values': ctx.values });
 };
 
 /*
@@ -100,12 +573,12 @@ Predicate.prototype.fieldsAndValues = function ()
 
 	krillPrimWalk(function (subpred, key) {
 		var valuesList = fieldNamesToValues[subpred[key][0]];
-		var value = subpred[key][1];
+		var values = krillPrimConstants(subpred, key);
 		if (valuesList === undefined) {
-			fieldNamesToValues[subpred[key][0]] = [ value ];
+			fieldNamesToValues[subpred[key][0]] = values;
 		} else {
 			mod_assert.array(valuesList, 'valuesList');
-			valuesList.push(value);
+			Array.prototype.push.apply(valuesList, values);
 		}
 	}, this.p_pred);
 
@@ -120,16 +593,107 @@ Predicate.prototype.fieldsAndValues = function ()
 Predicate.prototype.replaceFields = function (xlate)
 {
 	var newpred = mod_jsprim.deepCopy(this.p_pred);
+	var rv;
 	krillPrimWalk(function (subpred, key) {
-		var field = subpred[key][0];
-		var value = mod_jsprim.pluck(xlate, field);
-		if (value === undefined)
-			throw (new VError('subpredicate "%j": ' +
-			    'no translation for field "%s"',
-			    subpred, field));
+		var path = krillFieldParse(subpred[key][0]);
+		var value;
+
+		try {
+			value = krillPrimLookup(xlate, path);
+			if (value === undefined)
+				throw (krillFieldMissingError(xlate, path));
+		} catch (ex) {
+			throw (new VError(ex, 'subpredicate "%j"', subpred));
+		}
+
 		subpred[key][0] = value;
 	}, newpred);
-	return (new Predicate(newpred, this.p_types));
+
+	rv = new Predicate(newpred, this.p_types, this.p_compiled,
+	    this.p_options);
+	rv.p_replaced = true;
+	return (rv);
+};
+
+/*
+ * Returns a new Predicate over just the fields whose values aren't given in
+ * "values" (an object like those passed to eval()), by partially evaluating
+ * this one: each comparison using a field that's in "values" is replaced with
+ * its result, and then "and", "or", and "not" subpredicates whose results are
+ * known are replaced with those results.  If every field is known, the result
+ * is the trivial predicate or its negation.  Unlike replaceFields(), fields may
+ * be left out of "values", and the result can be evaluated.  The original
+ * Predicate is unchanged.
+ *
+ * This reports the same errors as eval().  As with eval(), invalid values of
+ * known fields (which can't be looked up or converted, or fail strict mode
+ * checks) are reported even in comparisons that would be skipped.  The
+ * comparisons themselves are evaluated in order, stopping at the first operand
+ * that decides an "and" or "or", so an operator that would throw (like "gt" on
+ * a string) only does so if eval() would reach it.  If that depends on unknown
+ * fields, the comparison is left in the result instead, to be evaluated (and
+ * throw) only if it's reached then.
+ */
+Predicate.prototype.bind = function (values)
+{
+	var self = this;
+	var newpred = mod_jsprim.deepCopy(this.p_pred);
+	var leaves = [];
+	var prepared = [];
+	var rv;
+
+	mod_assert.object(values, 'values');
+
+	/*
+	 * First, look up and check the values of the known fields, as eval()
+	 * does before it evaluates anything.
+	 */
+	krillPrimWalk(function (subpred, key) {
+		var known, leaf;
+
+		/*
+		 * If the lookup fails, the field isn't unknown: evaluating the
+		 * comparison reports the error (or, for "exists", is false).
+		 */
+		try {
+			known = krillPrimLookup(values,
+			    krillFieldParse(subpred[key][0])) !== undefined;
+		} catch (ex) {
+			known = true;
+		}
+
+		if (!known)
+			return;
+
+		leaf = new Predicate(mod_jsprim.deepCopy(subpred),
+		    self.p_types, null, self.p_options);
+		leaves.push(subpred);
+		prepared.push({
+		    'leaf': leaf,
+		    'resolved': krillPredicateResolve(leaf, values)
+		});
+	}, newpred);
+
+	rv = new Predicate(krillPrimFold(newpred, function (subpred, sure) {
+		var ii = leaves.indexOf(subpred);
+		var result;
+
+		if (ii == -1)
+			return (subpred);
+
+		try {
+			result = krillPrimEval(prepared[ii].resolved,
+			    prepared[ii].leaf.p_compiled);
+		} catch (ex) {
+			if (sure)
+				throw (ex);
+			return (subpred);
+		}
+
+		return (result ? {} : { 'not': {} });
+	}), this.p_types, null, this.p_options);
+	rv.p_replaced = this.p_replaced;
+	return (rv);
 };
 
 /*
@@ -138,15 +702,154 @@ Predicate.prototype.replaceFields = function (xlate)
  */
 Predicate.prototype.eval = function (obj)
 {
-	var expr;
-
-	if (this.trivial())
+	if (krillPrimTrivial(this.p_pred))
 		return (true);
 
-	expr = this.replaceFields(obj);
-	return (krillPrimEval(expr.p_pred));
+	return (krillPrimEval(krillPredicateResolve(this, obj),
+	    this.p_compiled));
+};
+
+/*
+ * Returns a copy of the (non-trivial) predicate of "predicate" with each field
+ * replaced by its value in "obj", checked and converted as needed, ready to be
+ * evaluated by krillPrimEval().  This throws the errors that eval() reports for
+ * invalid objects before evaluating anything.
+ */
+function krillPredicateResolve(predicate, obj)
+{
+	var resolved;
+
+	resolved = krillPrimResolveFields(predicate.p_pred, obj,
+	    predicate.p_options.missing || 'error');
+	if (predicate.p_strict !== null)
+		krillPrimCheckValues(predicate.p_strict, resolved);
+	if (predicate.p_converted !== null)
+		krillPrimConvertValues(predicate.p_pred, resolved,
+		    predicate.p_converted, krillNow(predicate.p_options));
+	return (resolved);
+}
+
+/*
+ * Returns a function that takes an object and returns whether the object passes
+ * the predicate, exactly like eval() (including the errors thrown for invalid
+ * objects), but which is much faster when evaluating many objects because the
+ * work of walking the predicate is done once, here, rather than for each
+ * object.  The function is cached, so calling compile() repeatedly is cheap.
+ */
+Predicate.prototype.compile = function ()
+{
+	if (this.p_evaluator === null)
+		this.p_evaluator = krillPredicateCompile(this, null, null);
+
+	return (this.p_evaluator);
+};
+
+/*
+ * Compiles "predicate" as described in Predicate.compile(), counting how often
+ * each subpredicate is evaluated in "stats" and recording the subpredicates
+ * that matched each object in "matched" if they're not null (see
+ * krillPrimCompile()).
+ */
+function krillPredicateCompile(predicate, stats, matched)
+{
+	return (krillPrimCompile(predicate.p_pred, predicate.p_compiled,
+	    predicate.p_converted, predicate.p_strict, predicate.p_options,
+	    predicate.p_options.missing || 'error', stats, matched));
+}
+
+/*
+ * Returns a tree describing how the predicate evaluates for "obj", for
+ * debugging objects that unexpectedly pass or fail it.  Each node describes a
+ * subpredicate:
+ *
+ *     predicate	the subpredicate itself
+ *
+ *     path	its JSON Pointer within the predicate (see
+ *     		krillValidationError())
+ *
+ *     operator	its operator, or null for the trivial predicate
+ *
+ *     result	whether it's true for "obj", or null if it was skipped
+ *
+ *     skipped	true if it wasn't evaluated because an earlier element of
+ *     		an "and" (or "or") was already false (or true)
+ *
+ *     children	for "and", "or", and "not", the nodes for the operands
+ *
+ *     field	for other operators, the field
+ *
+ *     value	the field's value in "obj" (undefined if it's missing)
+ *
+ *     missing	true if the field is missing from "obj"
+ *
+ * Values are looked up (and checked) for every field, even in skipped
+ * subpredicates, so this throws the same errors as eval() for invalid objects.
+ * See also explanationToString().
+ */
+Predicate.prototype.explain = function (obj)
+{
+	var resolved, state;
+
+	resolved = krillPrimResolveFields(this.p_pred, obj,
+	    this.p_options.missing || 'error');
+	if (this.p_strict !== null)
+		krillPrimCheckValues(this.p_strict, resolved);
+
+	state = {
+	    'obj': obj,
+	    'compiled': this.p_compiled,
+	    'values': [],
+	    'nleaves': 0
+	};
+	krillPrimWalk(function (subpred, key) {
+		state.values.push(subpred[key][0]);
+	}, resolved);
+
+	if (this.p_converted !== null)
+		krillPrimConvertValues(this.p_pred, resolved,
+		    this.p_converted, krillNow(this.p_options));
+	return (krillPrimExplain(state, this.p_pred, resolved, '', false));
 };
 
+/*
+ * Returns a compact, single-line rendering of "explanation" (as returned by
+ * Predicate.explain()), for logging.  The predicate is printed in C-style
+ * syntax (or, for operators it can't express, as "op(field, constant)"), with
+ * each comparison followed by its result and the field's value, and the whole
+ * followed by the predicate's result:
+ *
+ *     (latency > 300 [true: 512]) || (hostname == "spike" [skipped]) => true
+ */
+function explanationToString(explanation)
+{
+	var nodes = {};
+	var index = function (node) {
+		nodes[node['path']] = node;
+		if (node['children'])
+			node['children'].forEach(index);
+	};
+
+	mod_assert.object(explanation, 'explanation');
+	index(explanation);
+
+	return (krillPrintAnnotated(explanation['predicate'], '',
+	    function (path, _, key) {
+		var node = nodes[path];
+
+		if (key == 'and' || key == 'or' || key == 'not')
+			return (null);
+
+		if (node['skipped'])
+			return ('skipped');
+
+		if (key === null)
+			return (null);
+
+		return (node['result'] + ': ' + (node['missing'] ?
+		    'missing' : JSON.stringify(node['value'])));
+	    }) + ' => ' + explanation['result']);
+}
+
 
 /*
  * A PredicateStream is an object-mode transform stream based on a predicate.
@@ -158,24 +861,58 @@ Predicate.prototype.eval = function (obj)
  *
  *     streamOptions		Node.js Stream constructor options
  *
+ *     nodeStats		if true, count how often each subpredicate
+ *     				is evaluated (default: false)
+ *
+ *     invalid			what to do with objects that fail to be
+ *     				evaluated: "drop" them (the default), "pass"
+ *     				them through as though they passed the
+ *     				predicate, abort the stream with an "error"
+ *     				event ("error"), or "route" them to the
+ *     				readable stream "invalid"
+ *
+ *     rejected			what to do with objects that don't pass the
+ *     				predicate: "drop" them (the default), or
+ *     				"route" them to the readable stream "rejected"
+ *
+ *     annotate			if specified, the name of a property to set on
+ *     				a copy of each object that passes the
+ *     				predicate, whose value describes the match
+ *     				(see krillStreamAnnotate())
+ *
  * You can also use stats() to see how many items failed to be evaluated or were
- * dropped by the predicate.
+ * dropped by the predicate.  With "nodeStats", it also reports the counts for
+ * each subpredicate (which slows evaluation down somewhat).
  *
  * If an item fails to be evaluated, an "invalid_object" event is emitted with
  * the object itself, the error, and the ordinal number of the object.  An
- * "error" event is not emitted.
+ * "error" event is only emitted in "error" mode.
+ *
+ * The "invalid" and "rejected" streams are object-mode streams that end when
+ * this one does.  They don't apply backpressure, so they should be consumed
+ * whenever this stream is.
  */
 function createPredicateStream(args)
 {
 	return (new PredicateStream(args));
 }
 
+/* Ways of handling invalid and rejected objects in a PredicateStream. */
+var krillInvalidModes = [ 'drop', 'pass', 'error', 'route' ];
+var krillRejectedModes = [ 'drop', 'route' ];
+
 function PredicateStream(args)
 {
 	var streamoptions, k;
 
 	mod_assert.ok(typeof (args) == 'object' && args !== null);
 	mod_assert.ok(typeof (args.predicate) == 'object' && args !== null);
+	mod_assert.optionalBool(args.nodeStats, 'args.nodeStats');
+	mod_assert.optionalString(args.invalid, 'args.invalid');
+	mod_assert.optionalString(args.rejected, 'args.rejected');
+	mod_assert.optionalString(args.annotate, 'args.annotate');
+	krillValidateMode('args.invalid', krillInvalidModes, args.invalid);
+	krillValidateMode('args.rejected', krillRejectedModes, args.rejected);
 
 	streamoptions = {};
 	if (args.streamOptions) {
@@ -186,6 +923,20 @@ function PredicateStream(args)
 	mod_stream.Transform.call(this, streamoptions);
 
 	this.ps_predicate = args.predicate;
+	this.ps_nodestats = args.nodeStats ? {} : null;
+	this.ps_annotate = args.annotate || null;
+	this.ps_matched = this.ps_annotate !== null ? [] : null;
+	this.ps_eval = this.ps_nodestats === null && this.ps_matched === null ?
+	    args.predicate.compile() :
+	    krillPredicateCompile(args.predicate, this.ps_nodestats,
+	    this.ps_matched);
+
+	this.ps_invalid = args.invalid || 'drop';
+
+	this.invalid = this.ps_invalid == 'route' ?
+	    new mod_stream.PassThrough({ 'objectMode': true }) : null;
+	this.rejected = args.rejected == 'route' ?
+	    new mod_stream.PassThrough({ 'objectMode': true }) : null;
 
 	this.ps_nentries = 0;
 	this.ps_nerrors = 0;
@@ -203,7 +954,7 @@ PredicateStream.prototype._transform = function (record, _, callback)
 	mod_assert.ok(record !== null);
 
 	try {
-		result = this.ps_predicate.eval(record);
+		result = this.ps_eval(record);
 	} catch (ex) {
 		error = ex;
 	}
@@ -211,130 +962,2817 @@ PredicateStream.prototype._transform = function (record, _, callback)
 	if (error) {
 		this.ps_nerrors++;
 		this.emit('invalid_object', record, error, this.ps_nentries);
+
+		switch (this.ps_invalid) {
+		case 'pass':
+			this.push(record);
+			break;
+		case 'route':
+			this.invalid.write(record);
+			break;
+		case 'error':
+			krillStreamEnd(this);
+			callback(new VError(error, 'object %d',
+			    this.ps_nentries));
+			return;
+		default:
+			break;
+		}
 	} else if (result) {
+		if (this.ps_annotate !== null)
+			record = krillStreamAnnotate(record, this.ps_annotate,
+			    this.ps_matched, this.ps_nentries);
 		this.push(record);
 	} else {
 		this.ps_nfilteredout++;
+		if (this.rejected !== null)
+			this.rejected.write(record);
 	}
 
 	callback();
 };
 
-PredicateStream.prototype.stats = function ()
+PredicateStream.prototype._flush = function (callback)
 {
-	return ({
-	    'ninputs': this.ps_nentries,
-	    'nerrors': this.ps_nerrors,
-	    'nfilteredout': this.ps_nfilteredout
-	});
+	krillStreamEnd(this);
+	callback();
 };
 
-
 /*
- * Definitions of operators.  Operators have three fields: "name" (used when
- * translating to a C-syntax string), "validate" (which validates an input
- * predicate of this type), and "print" (which converts an entire predicate to
- * the corresponding C-syntax string).
+ * Ends the "invalid" and "rejected" streams of PredicateStream "stream", if it
+ * has them.
  */
-
-function RelationalOperator(options, types, evalfunc)
+function krillStreamEnd(stream)
 {
-	mod_assert.object(options, 'options');
+	if (stream.invalid !== null)
+		stream.invalid.end();
+	if (stream.rejected !== null)
+		stream.rejected.end();
+}
+
+/*
+ * Returns a shallow copy of "record", the "ordinal"th object received by a
+ * PredicateStream, which passed its predicate, with the property named
+ * "annotate" set to the object's "ordinal" number and the JSON Pointers (see
+ * krillValidationError()) of the subpredicates that "matched": the relational,
+ * set, and "exists" subpredicates that were evaluated and true, as recorded
+ * by the stream's evaluator (see krillPrimCompile()).  For example, for a
+ * predicate that's an "or", that shows which of its elements matched.  The
+ * record itself is unchanged.
+ */
+function krillStreamAnnotate(record, annotate, matched, ordinal)
+{
+	var rv = {};
+
+	mod_jsprim.forEachKey(record, function (k, v) { rv[k] = v; });
+	rv[annotate] = { 'ordinal': ordinal, 'matched': matched.slice(0) };
+	return (rv);
+}
+
+/*
+ * Returns the number of objects received ("ninputs"), the number that couldn't
+ * be evaluated ("nerrors"), and the number that didn't pass the predicate
+ * ("nfilteredout").  With "nodeStats", "nodes" maps the JSON Pointer of each
+ * subpredicate (see krillValidationError()) to the number of times it was
+ * evaluated ("nevaluated"), and was true ("ntrue") or false ("nfalse"), and
+ * the number of objects that couldn't be evaluated because of the value of a
+ * field it uses ("nerrors"), which aren't counted in "nevaluated".  See
+ * nodeStatsToString().
+ */
+PredicateStream.prototype.stats = function ()
+{
+	var rv = {
+	    'ninputs': this.ps_nentries,
+	    'nerrors': this.ps_nerrors,
+	    'nfilteredout': this.ps_nfilteredout
+	};
+
+	if (this.ps_nodestats !== null)
+		rv['nodes'] = mod_jsprim.deepCopy(this.ps_nodestats);
+
+	return (rv);
+};
+
+/*
+ * Returns the predicate "predicate" printed as by explanationToString(), with
+ * each subpredicate followed by its counts from "nodes" (as reported by
+ * PredicateStream.stats() with "nodeStats").
+ */
+function nodeStatsToString(predicate, nodes)
+{
+	mod_assert.object(predicate, 'predicate');
+	mod_assert.object(nodes, 'nodes');
+
+	return (krillPrintAnnotated(predicate.p_pred, '', function (path) {
+		if (!krillHasKey(nodes, path))
+			return (null);
+
+		return (mod_util.format('evaluated %d, true %d, false %d, ' +
+		    'errors %d', nodes[path].nevaluated, nodes[path].ntrue,
+		    nodes[path].nfalse, nodes[path].nerrors));
+	}));
+}
+
+
+/*
+ * A PredicateSet holds named predicates (e.g., one per subscriber to a stream
+ * of events) and finds the ones that an object passes.  Rather than evaluating
+ * every predicate for every object, it indexes each predicate by a comparison
+ * that must be true for the predicate to be true (see krillSetConstraint()),
+ * uses the index to rule out predicates based on the object's values, and
+ * evaluates only the rest.  Predicates that the index rules out aren't
+ * evaluated, so the errors they'd have thrown for invalid objects (e.g.,
+ * because a field is missing) aren't reported.
+ */
+function createPredicateSet()
+{
+	return (new PredicateSet());
+}
+
+/*
+ * Each predicate is represented by an "entry" with its "name", "predicate",
+ * compiled "evaluator", the "seq" number giving the order it was added, and the
+ * "constraint" it's indexed by.  Entries are indexed in one of:
+ *
+ *     st_eq		maps each field to an object with its "path" (see
+ *     			krillFieldParse()) and "keys", which maps each key for
+ *     			the values the field may have (see krillSetKeys()) to
+ *     			the entries (by name) requiring one of those values
+ *
+ *     st_ranges	maps each field to an object with its "path", "lo",
+ *     			the entries requiring it to be above some bound ("gt"
+ *     			or "ge"), sorted by that bound, and "hi", the entries
+ *     			requiring it to be below some bound ("lt" or "le"),
+ *     			sorted by that bound
+ *
+ *     st_unindexed	entries (by name) that can't be indexed
+ */
+function PredicateSet()
+{
+	this.st_entries = {};
+	this.st_seq = 0;
+	this.st_eq = {};
+	this.st_ranges = {};
+	this.st_unindexed = {};
+}
+
+/*
+ * Adds the predicate "predicate" (created with createPredicate()) under the
+ * name "name", which must not already be in the set.
+ */
+PredicateSet.prototype.add = function (name, predicate)
+{
+	var entry;
+
+	mod_assert.string(name, 'name');
+	mod_assert.ok(predicate instanceof Predicate,
+	    'predicate must be a Predicate');
+
+	if (krillHasKey(this.st_entries, name))
+		throw (new VError('predicate "%s" is already in the set',
+		    name));
+
+	entry = {
+	    'name': name,
+	    'predicate': predicate,
+	    'evaluator': predicate.compile(),
+	    'seq': this.st_seq++,
+	    'constraint': krillSetConstraint(predicate.p_pred,
+		predicate.p_converted)
+	};
+
+	this.st_entries[name] = entry;
+	krillSetIndex(this, entry, true);
+};
+
+/*
+ * Removes the predicate named "name" from the set.  Returns true if it was in
+ * the set, and false otherwise.
+ */
+PredicateSet.prototype.remove = function (name)
+{
+	var entry;
+
+	mod_assert.string(name, 'name');
+
+	if (!krillHasKey(this.st_entries, name))
+		return (false);
+
+	entry = this.st_entries[name];
+	delete (this.st_entries[name]);
+	krillSetIndex(this, entry, false);
+	return (true);
+};
+
+/*
+ * Returns true if the set has a predicate named "name".
+ */
+PredicateSet.prototype.has = function (name)
+{
+	mod_assert.string(name, 'name');
+	return (krillHasKey(this.st_entries, name));
+};
+
+/*
+ * Returns the names of the predicates in the set, in the order they were
+ * added.
+ */
+PredicateSet.prototype.names = function ()
+{
+	return (krillSetSort(this.st_entries));
+};
+
+/*
+ * Returns the names of the predicates in the set that "obj" passes, in the
+ * order they were added.  Predicates that fail to be evaluated don't match;
+ * if "errors" is specified, an object with the predicate's "name" and the
+ * "error" is appended to it for each one.
+ */
+PredicateSet.prototype.match = function (obj, errors)
+{
+	var candidates, rv;
+
+	mod_assert.object(obj, 'obj');
+	mod_assert.optionalArray(errors, 'errors');
+
+	candidates = {};
+	krillSetAddAll(candidates, this.st_unindexed);
+
+	mod_jsprim.forEachKey(this.st_eq, function (field, index) {
+		var value = krillSetLookup(obj, index.path);
+
+		if (value === krillSetUnknown) {
+			mod_jsprim.forEachKey(index.keys, function (_, e) {
+				krillSetAddAll(candidates, e);
+			});
+			return;
+		}
+
+		krillSetKeys(value).forEach(function (key) {
+			if (krillHasKey(index.keys, key))
+				krillSetAddAll(candidates, index.keys[key]);
+		});
+	});
+
+	mod_jsprim.forEachKey(this.st_ranges, function (field, index) {
+		var value = krillSetLookup(obj, index.path);
+		var ii;
+
+		if (value === krillSetUnknown ||
+		    (value !== undefined && value !== null &&
+		    typeof (value) != 'number')) {
+			index.lo.concat(index.hi).forEach(function (entry) {
+				candidates[entry.name] = entry;
+			});
+			return;
+		}
+
+		if (typeof (value) != 'number' || isNaN(value))
+			return;
+
+		/*
+		 * Entries bounded below match if their bound is below "value",
+		 * and entries bounded above match if their bound is above it.
+		 * Either kind matches if the bound is equal and inclusive.
+		 */
+		ii = krillSetSearch(index.lo, 'lo', value);
+		index.lo.slice(0, ii).forEach(function (entry) {
+			candidates[entry.name] = entry;
+		});
+		for (; ii < index.lo.length &&
+		    index.lo[ii].constraint.lo == value; ii++) {
+			if (index.lo[ii].constraint.loinc)
+				candidates[index.lo[ii].name] = index.lo[ii];
+		}
+
+		ii = krillSetSearch(index.hi, 'hi', value);
+		for (; ii < index.hi.length &&
+		    index.hi[ii].constraint.hi == value; ii++) {
+			if (index.hi[ii].constraint.hiinc)
+				candidates[index.hi[ii].name] = index.hi[ii];
+		}
+		index.hi.slice(ii).forEach(function (entry) {
+			candidates[entry.name] = entry;
+		});
+	});
+
+	rv = [];
+	krillSetSort(candidates).forEach(function (name) {
+		var entry = candidates[name];
+
+		try {
+			if (entry.evaluator(obj))
+				rv.push(name);
+		} catch (ex) {
+			if (errors)
+				errors.push({ 'name': name, 'error': ex });
+		}
+	});
+
+	return (rv);
+};
+
+/*
+ * Returns a comparison that must be true for "pred" to be true, where
+ * "converted" maps fields of type "date" or "ip" to their types (see
+ * krillPrimConvertedFields()), or null if there isn't one that can be indexed.
+ * The result has a "kind" and "field", and either:
+ *
+ *     kind "eq"	"values", an array of constants, one of which must be
+ *     			equal to the value of the field ("eq" or "in")
+ *
+ *     kind "range"	"lo" and "hi", bounds on the value of the field (which
+ *     			may be infinite), and "loinc" and "hiinc", whether the
+ *     			bounds are inclusive ("lt", "le", "gt", or "ge")
+ *
+ * A comparison required by any element of an "and" is required by the "and",
+ * in which case the one with the fewest values is chosen.  An "or" of equality
+ * comparisons on the same field requires one of their values.  Fields of type
+ * "date" and "ip" aren't indexed, because their values are converted before
+ * they're compared.
+ */
+function krillSetConstraint(pred, converted)
+{
+	var key, field, constant, constraints, rv;
+
+	if (krillPrimTrivial(pred))
+		return (null);
+
+	key = krillPrimGetKey(pred);
+
+	switch (key) {
+	case 'and':
+		rv = null;
+		pred[key].forEach(function (subpred) {
+			var c = krillSetConstraint(subpred, converted);
+			if (c !== null && (rv === null ||
+			    (c.kind == 'eq' && (rv.kind != 'eq' ||
+			    c.values.length < rv.values.length))))
+				rv = c;
+		});
+		return (rv);
+
+	case 'or':
+		constraints = pred[key].map(function (subpred) {
+			return (krillSetConstraint(subpred, converted));
+		});
+		if (!constraints.every(function (c) {
+			return (c !== null && c.kind == 'eq' &&
+			    c.field == constraints[0].field);
+		}))
+			return (null);
+		return ({
+		    'kind': 'eq',
+		    'field': constraints[0].field,
+		    'values': Array.prototype.concat.apply([],
+			constraints.map(function (c) { return (c.values); }))
+		});
+
+	case 'not':
+		return (null);
+
+	default:
+		break;
+	}
+
+	field = pred[key][0];
+	constant = pred[key][1];
+	if (converted !== null && krillHasKey(converted, field))
+		return (null);
+
+	switch (key) {
+	case 'eq':
+		if (constant === null)
+			return (null);
+		return ({ 'kind': 'eq', 'field': field,
+		    'values': [ constant ] });
+
+	case 'in':
+		return ({ 'kind': 'eq', 'field': field,
+		    'values': constant.slice(0) });
+
+	case 'lt':
+	case 'le':
+	case 'gt':
+	case 'ge':
+		if (typeof (constant) != 'number')
+			return (null);
+		rv = {
+		    'kind': 'range',
+		    'field': field,
+		    'lo': -Infinity,
+		    'loinc': false,
+		    'hi': Infinity,
+		    'hiinc': false
+		};
+		if (key == 'lt' || key == 'le') {
+			rv.hi = constant;
+			rv.hiinc = key == 'le';
+		} else {
+			rv.lo = constant;
+			rv.loinc = key == 'ge';
+		}
+		return (rv);
+
+	default:
+		return (null);
+	}
+}
+
+/*
+ * Adds "entry" to the index of PredicateSet "set" if "add" is true, and removes
+ * it otherwise.
+ */
+function krillSetIndex(set, entry, add)
+{
+	var constraint = entry.constraint;
+	var index, bound, ii;
+
+	if (constraint === null) {
+		if (add)
+			set.st_unindexed[entry.name] = entry;
+		else
+			delete (set.st_unindexed[entry.name]);
+		return;
+	}
+
+	if (constraint.kind == 'range') {
+		if (!krillHasKey(set.st_ranges, constraint.field))
+			set.st_ranges[constraint.field] = {
+			    'path': krillFieldParse(constraint.field),
+			    'lo': [],
+			    'hi': []
+			};
+
+		/* Each range comes from one comparison, so it has one bound. */
+		index = set.st_ranges[constraint.field];
+		bound = constraint.lo == -Infinity ? 'hi' : 'lo';
+		ii = krillSetSearch(index[bound], bound, constraint[bound]);
+		if (add) {
+			index[bound].splice(ii, 0, entry);
+		} else {
+			while (index[bound][ii] !== entry)
+				ii++;
+			index[bound].splice(ii, 1);
+		}
+
+		if (index.lo.length === 0 && index.hi.length === 0)
+			delete (set.st_ranges[constraint.field]);
+		return;
+	}
+
+	if (!krillHasKey(set.st_eq, constraint.field))
+		set.st_eq[constraint.field] = {
+		    'path': krillFieldParse(constraint.field),
+		    'keys': {}
+		};
+
+	index = set.st_eq[constraint.field];
+	constraint.values.forEach(function (value) {
+		krillSetKeys(value).forEach(function (key) {
+			if (!krillHasKey(index.keys, key))
+				index.keys[key] = {};
+			if (add)
+				index.keys[key][entry.name] = entry;
+			else
+				delete (index.keys[key][entry.name]);
+			if (mod_jsprim.isEmpty(index.keys[key]))
+				delete (index.keys[key]);
+		});
+	});
+
+	if (mod_jsprim.isEmpty(index.keys))
+		delete (set.st_eq[constraint.field]);
+}
+
+/*
+ * Returns the keys under which the value "value" is indexed.  Values are
+ * compared with JavaScript's loose equality ("=="), so two values that are
+ * equal must have a key in common.  Strings have a key for the string itself,
+ * and strings, numbers, and booleans that convert to a number have a key for
+ * the number.  (Values that aren't equal may have a key in common, too, like
+ * "1" and "1.0", but that just means some predicates aren't ruled out.)  Null
+ * and undefined values have no keys, since they're never equal to the
+ * constants that are indexed.
+ */
+function krillSetKeys(value)
+{
+	var keys = [];
+	var num;
+
+	if (typeof (value) == 'string')
+		keys.push('s' + value);
+
+	if (typeof (value) == 'string' || typeof (value) == 'number' ||
+	    typeof (value) == 'boolean') {
+		num = Number(value);
+		if (!isNaN(num))
+			keys.push('n' + num);
+	}
+
+	return (keys);
+}
+
+/*
+ * Returned by krillSetLookup() when the index can't rule out any predicates
+ * using the field.
+ */
+var krillSetUnknown = {};
+
+/*
+ * Returns the value of the field described by "path" in "obj" for the index,
+ * which is undefined if it's missing, or krillSetUnknown if the value is an
+ * object (which may be loosely equal to a constant) or can't be looked up (in
+ * which case the predicates using it must be evaluated so that they report the
+ * error).
+ */
+function krillSetLookup(obj, path)
+{
+	var value;
+
+	try {
+		value = krillPrimLookup(obj, path);
+	} catch (ex) {
+		return (krillSetUnknown);
+	}
+
+	if (typeof (value) == 'object' && value !== null)
+		return (krillSetUnknown);
+
+	return (value);
+}
+
+/*
+ * Returns the index of the first of "entries", which are sorted by the bound
+ * "bound" ("lo" or "hi") of their range constraints, whose bound is at least
+ * "value".
+ */
+function krillSetSearch(entries, bound, value)
+{
+	var lo = 0;
+	var hi = entries.length;
+	var mid;
+
+	while (lo < hi) {
+		mid = (lo + hi) >> 1;
+		if (entries[mid].constraint[bound] < value)
+			lo = mid + 1;
+		else
+			hi = mid;
+	}
+
+	return (lo);
+}
+
+/*
+ * Adds the entries in "entries" (an object mapping names to entries) to
+ * "candidates".
+ */
+function krillSetAddAll(candidates, entries)
+{
+	mod_jsprim.forEachKey(entries, function (name, entry) {
+		candidates[name] = entry;
+	});
+}
+
+/*
+ * Returns the names of the entries in "entries" (an object mapping names to
+ * entries), in the order they were added to the set.
+ */
+function krillSetSort(entries)
+{
+	return (Object.keys(entries).sort(function (a, b) {
+		return (entries[a].seq - entries[b].seq);
+	}));
+}
+
+/*
+ * A PredicateSetStream is an object-mode transform stream based on a
+ * PredicateSet.  For each object it receives that passes at least one of the
+ * set's predicates, it emits an object with the "record" itself and the
+ * "names" of the predicates it passed (see PredicateSet.match()).  Arguments:
+ *
+ *     predicateSet		the PredicateSet to use (created with
+ *     				createPredicateSet), which may be modified
+ *     				while the stream is in use
+ *
+ *     streamOptions		Node.js Stream constructor options
+ *
+ * If a predicate fails to be evaluated, an "invalid_object" event is emitted
+ * with the object, the error, the ordinal number of the object, and the name
+ * of the predicate.  stats() reports the number of objects received
+ * ("ninputs"), the number of these errors ("nerrors"), and the number of
+ * objects that passed none of the predicates ("nfilteredout").
+ */
+function createPredicateSetStream(args)
+{
+	return (new PredicateSetStream(args));
+}
+
+function PredicateSetStream(args)
+{
+	var streamoptions, k;
+
+	mod_assert.object(args, 'args');
+	mod_assert.ok(args.predicateSet instanceof PredicateSet,
+	    'args.predicateSet must be a PredicateSet');
+
+	streamoptions = {};
+	if (args.streamOptions) {
+		for (k in args.streamOptions)
+			streamoptions[k] = args.streamOptions[k];
+	}
+	streamoptions['objectMode'] = true;
+	mod_stream.Transform.call(this, streamoptions);
+
+	this.pss_set = args.predicateSet;
+	this.pss_nentries = 0;
+	this.pss_nerrors = 0;
+	this.pss_nfilteredout = 0;
+}
+
+mod_util.inherits(PredicateSetStream, mod_stream.Transform);
+
+PredicateSetStream.prototype._transform = function (record, _, callback)
+{
+	var self = this;
+	var errors, names;
+
+	this.pss_nentries++;
+	mod_assert.equal(typeof (record), 'object');
+	mod_assert.ok(record !== null);
+
+	errors = [];
+	names = this.pss_set.match(record, errors);
+	errors.forEach(function (e) {
+		self.pss_nerrors++;
+		self.emit('invalid_object', record, e.error,
+		    self.pss_nentries, e.name);
+	});
+
+	if (names.length > 0)
+		this.push({ 'record': record, 'names': names });
+	else
+		this.pss_nfilteredout++;
+
+	callback();
+};
+
+PredicateSetStream.prototype.stats = function ()
+{
+	return ({
+	    'ninputs': this.pss_nentries,
+	    'nerrors': this.pss_nerrors,
+	    'nfilteredout': this.pss_nfilteredout
+	});
+};
+
+
+/*
+ * Field paths.  Fields may refer to properties of nested objects, either using
+ * dotted notation ("req.method") or a JSON Pointer (RFC 6901, "/req/method").
+ * For compatibility with jsprim.pluck, a dotted field name first matches a
+ * property with exactly that name, so "req.method" matches { "req.method": 1 }
+ * as well as { "req": { "method": 1 } }.  JSON Pointers are always interpreted
+ * as a list of property names.
+ */
+
+/*
+ * Parses the field name "field" into an object with properties:
+ *
+ *    field		the original field name
+ *
+ *    components	array of property names to look up, in order
+ *
+ *    suffixes		for dotted fields, array whose ith element is the
+ *    			dotted name made up of components i through the end
+ *    			(for JSON Pointers, null)
+ *
+ * Throws an error if "field" is not a valid JSON Pointer.
+ */
+function krillFieldParse(field)
+{
+	var components, suffixes, ii;
+
+	if (field.charAt(0) != '/') {
+		components = field.split('.');
+		suffixes = new Array(components.length);
+		suffixes[components.length - 1] =
+		    components[components.length - 1];
+		for (ii = components.length - 2; ii >= 0; ii--)
+			suffixes[ii] = components[ii] + '.' + suffixes[ii + 1];
+	} else {
+		/* JSSTYLED */
+		if (/~[^01]|~$/.test(field))
+			throw (new VError('field "%s": invalid JSON Pointer',
+			    field));
+		components = field.substr(1).split('/').map(function (c) {
+			/* JSSTYLED */
+			return (c.replace(/~1/g, '/').replace(/~0/g, '~'));
+		});
+		suffixes = null;
+	}
+
+	return ({
+	    'field': field,
+	    'components': components,
+	    'suffixes': suffixes
+	});
+}
+
+/*
+ * Returns the value of the field described by "path" (as returned by
+ * krillFieldParse) in the object "obj", or undefined if it's not present.
+ * Throws an error if some intermediate value along the path is present but is
+ * not an object.
+ */
+function krillPrimLookup(obj, path)
+{
+	var ii, value, last;
+
+	value = obj;
+	last = path.components.length - 1;
+	for (ii = 0; ii <= last; ii++) {
+		if (path.suffixes !== null &&
+		    krillHasKey(value, path.suffixes[ii]))
+			return (value[path.suffixes[ii]]);
+
+		if (!krillHasKey(value, path.components[ii]))
+			return (undefined);
+
+		value = value[path.components[ii]];
+		if (ii < last && (typeof (value) != 'object' || value === null))
+			throw (new VError('field "%s": "%s" is not an object',
+			    path.field, krillFieldPrefix(path, ii)));
+	}
+
+	return (value);
+}
+
+function krillHasKey(obj, key)
+{
+	return (Object.prototype.hasOwnProperty.call(obj, key));
+}
+
+/*
+ * Returns an error describing why the field described by "path" is missing from
+ * "obj", which must be an object for which krillPrimLookup() returns undefined.
+ */
+function krillFieldMissingError(obj, path)
+{
+	var ii, value;
+
+	value = obj;
+	for (ii = 0; ii < path.components.length - 1; ii++) {
+		if (path.suffixes !== null &&
+		    krillHasKey(value, path.suffixes[ii]))
+			break;
+
+		if (!krillHasKey(value, path.components[ii]))
+			return (new VError('no translation for field "%s" ' +
+			    '("%s" is missing)', path.field,
+			    krillFieldPrefix(path, ii)));
+
+		value = value[path.components[ii]];
+	}
+
+	return (new VError('no translation for field "%s"', path.field));
+}
+
+/*
+ * Ways of handling fields that are missing from an object being evaluated (see
+ * the "missing" option to createPredicate()).
+ */
+var krillMissingModes = [ 'error', 'false', 'null' ];
+
+/*
+ * Throws an error if the option called "name" has a value other than undefined
+ * or one of the strings in "modes".
+ */
+function krillValidateMode(name, modes, value)
+{
+	if (value !== undefined && modes.indexOf(value) == -1)
+		throw (new VError('%s: expected one of "%s", but found "%s"',
+		    name, modes.join('", "'), value));
+}
+
+/*
+ * When a field is missing from an object being evaluated and that's not an
+ * error, its value is replaced by this sentinel.  Every comparison with it is
+ * false, and "exists" is the only operator that checks for it.
+ */
+var krillMissing = { 'missing': true };
+
+/*
+ * Returns the portion of the field described by "path" up to and including
+ * component "ii", in the same notation as the field itself.
+ */
+function krillFieldPrefix(path, ii)
+{
+	var prefix = path.components.slice(0, ii + 1);
+
+	if (path.suffixes !== null)
+		return (prefix.join('.'));
+
+	return (path.field.split('/').slice(0, ii + 2).join('/'));
+}
+
+/*
+ * Returns the way "field" should be printed in C-style and LDAP output.  Dotted
+ * fields (and anything else that's not a JSON Pointer, like the expressions
+ * substituted by replaceFields()) are printed as-is.  JSON Pointers are printed
+ * using dotted notation, which is only possible when every component is an
+ * identifier.
+ */
+function krillFieldPrintName(field)
+{
+	var path;
+
+	if (typeof (field) != 'string' || field.charAt(0) != '/')
+		return (field);
+
+	path = krillFieldParse(field);
+	path.components.forEach(function (c) {
+		/* JSSTYLED */
+		if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(c))
+			throw (new VError('field "%s": component "%s" cannot ' +
+			    'be printed', field, c));
+	});
+
+	return (path.components.join('.'));
+}
+
+/*
+ * Validates a "types" map, which maps field names to a type name or to a nested
+ * map describing the fields of an object.  "prefix" is the dotted name of the
+ * enclosing object (used for error messages).
+ */
+function krillValidateTypeSchema(types, prefix)
+{
+	if (prefix === '' && (typeof (types) != 'object' || types === null ||
+	    Array.isArray(types)))
+		throw (krillValidationError(new VError(
+		    'types: expected object, but found %j', types),
+		    'INVALID_TYPES_ARGUMENT', null, null));
+
+	if (typeof (types) != 'object' || types === null ||
+	    Array.isArray(types))
+		throw (krillValidationError(new VError(
+		    'field "%s": expected type name or object', prefix),
+		    'INVALID_TYPES', null, prefix));
+
+	mod_jsprim.forEachKey(types, function (k, v) {
+		var name = prefix === '' ? k : prefix + '.' + k;
+
+		if (typeof (v) == 'object' && v !== null) {
+			krillValidateTypeSchema(v, name);
+			return;
+		}
+
+		if (v !== 'string' && v !== 'number' && v !== 'boolean' &&
+		    v !== 'date' && v !== 'ip')
+			throw (krillValidationError(new VError(
+			    'field "%s": unknown type "%s"', name, v),
+			    'INVALID_TYPES', null, name));
+	});
+}
+
+/*
+ * Returns the type of the field "field" according to the "types" map (see
+ * krillValidateTypeSchema()).  Throws an error if the field is not defined or
+ * refers to an object rather than a value.
+ */
+function krillFieldType(types, field)
+{
+	var type;
+
+	try {
+		type = krillPrimLookup(types, krillFieldParse(field));
+	} catch (ex) {
+		throw (new VError(ex, 'field "%s" is not defined', field));
+	}
+
+	if (type === undefined)
+		throw (new VError('field "%s" is not defined', field));
+
+	if (typeof (type) != 'string')
+		throw (new VError('field "%s" is an object, not a value',
+		    field));
+
+	return (type);
+}
+
+/*
+ * Returns the type of "field" in "types" if it's one whose values and constants
+ * must be converted before comparison ("date" or "ip"), or null otherwise.
+ */
+function krillConvertedType(types, field)
+{
+	var type;
+
+	try {
+		type = krillFieldType(types, field);
+	} catch (ex) {
+		return (null);
+	}
+
+	return (type == 'date' || type == 'ip' ? type : null);
+}
+
+/*
+ * Returns the current time (in milliseconds since the epoch) according to the
+ * clock in the predicate options "options".
+ */
+function krillNow(options)
+{
+	var now = options.now ? options.now() : Date.now();
+
+	if (now instanceof Date)
+		now = now.getTime();
+
+	mod_assert.number(now, 'current time');
+	return (now);
+}
+
+
+/*
+ * Fields of type "date" and "ip".  Values of these fields must be converted
+ * before they're compared, and so must most constants:
+ *
+ * - Constants for "date" fields are strings (either ISO 8601 dates or relative
+ *   dates like "now-15m"; see lib/date.js) and values may be Dates, numbers,
+ *   or ISO 8601 strings.  Both are converted to milliseconds since the epoch
+ *   and compared as numbers.  Relative dates are resolved each time the
+ *   predicate is evaluated (or printed), using the clock from the predicate's
+ *   options.
+ *
+ * - Values of "ip" fields and constants for "eq" and "ne" are strings
+ *   containing IPv4 or IPv6 addresses (see lib/ip.js), which are converted to
+ *   their canonical form so that different spellings of the same address
+ *   compare equal.  Constants for "within" are CIDR blocks, which are compiled
+ *   like any other constant (see krillPrimCompileConstants()).
+ */
+
+/*
+ * Returns an object mapping each field in "pred" whose type in "types" is
+ * "date" or "ip" to its type, or null if there aren't any.
+ */
+function krillPrimConvertedFields(pred, types)
+{
+	var converted = null;
+
+	if (types === null)
+		return (null);
+
+	krillPrimWalk(function (subpred, key) {
+		var field = subpred[key][0];
+		var type;
+
+		if (typeof (field) != 'string' ||
+		    (type = krillConvertedType(types, field)) === null)
+			return;
+
+		if (converted === null)
+			converted = {};
+		converted[field] = type;
+	}, pred);
+
+	return (converted);
+}
+
+/*
+ * Returns a copy of "pred" in which the constants for the "date" fields in
+ * "converted" (see krillPrimConvertedFields()) have been resolved (given that
+ * the current time is "now") and passed through "format", which converts a
+ * number of milliseconds since the epoch into a new constant.
+ */
+function krillPrimMapDates(pred, converted, format, now)
+{
+	var rv;
+
+	if (converted === null)
+		return (pred);
+
+	rv = mod_jsprim.deepCopy(pred);
+	krillPrimWalk(function (subpred, key) {
+		if (krillHasKey(converted, subpred[key][0]) &&
+		    converted[subpred[key][0]] == 'date' &&
+		    !(krillOps[key] instanceof ExistsOperator) &&
+		    subpred[key][1] !== null)
+			subpred[key][1] = format(mod_date.resolveDateConstant(
+			    mod_date.parseDateConstant(subpred[key][1]), now));
+	}, rv);
+
+	return (rv);
+}
+
+/*
+ * Formats a number of milliseconds since the epoch as an ISO 8601 string in UTC
+ * (for krillPrimMapDates()).
+ */
+function krillFormatIso(ms)
+{
+	return (new Date(ms).toISOString());
+}
+
+/*
+ * Given the predicate "pred" and a copy of it, "resolved", whose fields have
+ * been replaced with values by replaceFields(), converts the values and
+ * constants in "resolved" for the fields in "converted" (see
+ * krillPrimConvertedFields()), given that the current time is "now".  Null and
+ * missing values, null constants, and "exists" predicates are left alone.
+ */
+function krillPrimConvertValues(pred, resolved, converted, now)
+{
+	var leaves, ii;
+
+	leaves = [];
+	krillPrimWalk(function (subpred) { leaves.push(subpred); }, resolved);
+
+	ii = 0;
+	krillPrimWalk(function (subpred, key) {
+		var leaf = leaves[ii++];
+		var field = subpred[key][0];
+
+		if (!krillHasKey(converted, field) ||
+		    krillOps[key] instanceof ExistsOperator ||
+		    leaf[key][0] === null || leaf[key][0] === krillMissing)
+			return;
+
+		try {
+			leaf[key][0] = krillConvertValue(converted[field],
+			    field, leaf[key][0]);
+		} catch (ex) {
+			throw (new VError(ex, 'subpredicate "%j"', subpred));
+		}
+
+		if (subpred[key][1] !== null)
+			leaf[key][1] = krillConvertConstant(converted[field],
+			    key, subpred[key][1], now);
+	}, pred);
+}
+
+/*
+ * Returns the converted form of "value", the value of field "field" of type
+ * "type" ("date" or "ip").
+ */
+function krillConvertValue(type, field, value)
+{
+	try {
+		if (type == 'date')
+			return (mod_date.parseDateValue(value));
+		return (mod_ip.normalizeIP(value));
+	} catch (ex) {
+		throw (new VError(ex, 'field "%s"', field));
+	}
+}
+
+/*
+ * Returns the converted form of "constant", used with operator "key" on a field
+ * of type "type" ("date" or "ip"), given that the current time is "now".
+ */
+function krillConvertConstant(type, key, constant, now)
+{
+	if (type == 'date')
+		return (mod_date.resolveDateConstant(
+		    mod_date.parseDateConstant(constant), now));
+
+	if (krillOps[key].fieldtype == 'ip')
+		return (constant);
+
+	return (mod_ip.normalizeIP(constant));
+}
+
+
+/*
+ * Strict mode.  Normally, values are compared with constants using JavaScript's
+ * loose equality, so { "eq": [ "pid", 12 ] } matches the string "12", and
+ * values of the wrong type for other operators trip assertions.  In strict
+ * mode, each value is checked before the predicate is evaluated: it must have
+ * the type of its field, if there are types, or else the type of the constants
+ * it's compared with.  Since the constants have the same type, "eq" and "ne"
+ * then behave like "===" and "!==".  A set's constants may have different
+ * types, so "in" and "nin" also use strict equality (see krillSetCompile()).
+ * Null and missing values (see the "missing" option), values of "date" and
+ * "ip" fields (which are checked when they're converted), and fields used with
+ * "exists" or null constants aren't checked.
+ */
+
+/*
+ * Returns the list of checks that strict mode makes on values of fields in
+ * "pred", in the order they're made.  Each check has the "leaf" index and
+ * "key" of the subpredicate (in the order of krillPrimWalk()), the
+ * "subpred" itself, its "field", and the allowed "types" of its value.
+ */
+function krillPrimStrictChecks(pred, types)
+{
+	var checks, ii;
+
+	checks = [];
+	ii = 0;
+	krillPrimWalk(function (subpred, key) {
+		var field = subpred[key][0];
+		var allowed;
+
+		ii++;
+		if (krillOps[key] instanceof ExistsOperator ||
+		    subpred[key][1] === null || typeof (field) != 'string')
+			return;
+
+		if (types !== null) {
+			try {
+				allowed = [ krillFieldType(types, field) ];
+			} catch (ex) {
+				return;
+			}
+
+			if (allowed[0] == 'date' || allowed[0] == 'ip')
+				return;
+		} else {
+			allowed = [];
+			krillPrimConstants(subpred, key).forEach(function (c) {
+				if (allowed.indexOf(typeof (c)) == -1)
+					allowed.push(typeof (c));
+			});
+		}
+
+		checks.push({
+		    'leaf': ii - 1,
+		    'key': key,
+		    'subpred': subpred,
+		    'field': field,
+		    'types': allowed
+		});
+	}, pred);
+
+	return (checks);
+}
+
+/*
+ * Given "resolved", a copy of the predicate whose fields have been replaced
+ * with values by krillPrimResolveFields(), makes the strict mode "checks" (see
+ * krillPrimStrictChecks()) on those values.
+ */
+function krillPrimCheckValues(checks, resolved)
+{
+	var leaves = [];
+
+	krillPrimWalk(function (subpred) { leaves.push(subpred); }, resolved);
+	checks.forEach(function (check) {
+		krillCheckValue(check, leaves[check.leaf][check.key][0]);
+	});
+}
+
+/*
+ * Throws an error if "value" fails the strict mode check "check".
+ */
+function krillCheckValue(check, value)
+{
+	if (value === null || value === krillMissing ||
+	    check.types.indexOf(typeof (value)) != -1)
+		return;
+
+	throw (new VError('subpredicate "%j": field "%s": expected "%s", ' +
+	    'but found %j (type "%s")', check.subpred, check.field,
+	    check.types.join('" or "'), value, typeof (value)));
+}
+
+
+/*
+ * Definitions of operators.  Every operator has these fields:
+ *
+ *     names		how to print the operator in each syntax ("cstyle",
+ *     			"ldap", and "sql"): either its name or a function that
+ *     			builds the expression
+ *
+ *     validate		validates an input predicate using this operator
+ *
+ *     printCStyle	converts an entire predicate to a C-syntax string
+ *
+ *     printLDAP	converts an entire predicate to an LDAP search filter
+ *
+ *     printSQL		converts an entire predicate to a SQL expression
+ *
+ * Operators that compare a field (relational, set, and "exists") also have
+ * "eval" (which compares a field's value with the compiled constant),
+ * "compile", "types", "dates", "ips", "nulls", and "fieldtype", described with
+ * RelationalOperator below.  Set operators also have "expand".
+ *
+ * There are five kinds of operators: relational operators compare a field
+ * with a constant, set operators ("in" and "nin") compare a field with a list
+ * of constants, logical operators ("and" and "or") combine two or more
+ * subpredicates, the negation operator ("not") inverts a single subpredicate,
+ * and the "exists" operator checks whether a field is present.
+ */
+
+/*
+ * Relational operators compare a field with a single constant.  "types" lists
+ * the types of constants they accept, and "options" may also specify:
+ *
+ *     compile	function to compile the constant before use
+ *
+ *     dates	true if the operator can be applied to fields of type "date"
+ *
+ *     ips	true if the operator can be applied to fields of type "ip"
+ *
+ *     nulls	true if the constant may be null
+ *
+ *     fieldtype	the type that the field must have, if types are given
+ */
+function RelationalOperator(options, types, evalfunc)
+{
+	mod_assert.object(options, 'options');
+	mod_assert.object(options.names, 'options.names');
+	mod_assert.optionalFunc(options.compile, 'options.compile');
+	mod_assert.optionalBool(options.dates, 'options.dates');
+	mod_assert.optionalBool(options.ips, 'options.ips');
+	mod_assert.optionalBool(options.nulls, 'options.nulls');
+	mod_assert.optionalString(options.fieldtype, 'options.fieldtype');
+	mod_assert.arrayOfString(types, 'types');
+	mod_assert.func(evalfunc, 'evalfunc');
+
+	var names = options.names;
+
+	this.names = names;
+	this.compile = options.compile || null;
+	this.dates = options.dates || false;
+	this.ips = options.ips || false;
+	this.nulls = options.nulls || false;
+	this.fieldtype = options.fieldtype || null;
+	this.types = types.slice(0);
+	this.validate = krillPrimValidateRel;
+	this.printCStyle = krillPrimPrintRelCStyle;
+	this.printLDAP = krillPrimPrintRelLDAP;
+	this.printSQL = krillPrimPrintRelSQL;
+	this.eval = evalfunc;
+}
+
+/*
+ * Set operators compare a field with each of a list of constants.  They're
+ * printed by expanding them into the equivalent expression using relational
+ * and logical operators (see "expand").
+ */
+function SetOperator(options, types, evalfunc)
+{
+	mod_assert.object(options, 'options');
 	mod_assert.object(options.names, 'options.names');
+	mod_assert.func(options.expand, 'options.expand');
 	mod_assert.arrayOfString(types, 'types');
 	mod_assert.func(evalfunc, 'evalfunc');
 
-	var names = options.names;
+	this.names = options.names;
+	this.expand = options.expand;
+	this.compile = krillSetCompile;
+	this.dates = false;
+	this.ips = false;
+	this.nulls = false;
+	this.fieldtype = null;
+	this.types = types.slice(0);
+	this.validate = krillPrimValidateSet;
+	this.printCStyle = krillPrimPrintSetCStyle;
+	this.printLDAP = krillPrimPrintSetLDAP;
+	this.printSQL = krillPrimPrintSetSQL;
+	this.eval = evalfunc;
+}
+
+function LogicalOperator(names)
+{
+	mod_assert.object(names, 'names');
+
+	this.names = names;
+	this.validate = krillPrimValidateLog;
+	this.printCStyle = krillPrimPrintLogCStyle;
+	this.printLDAP = krillPrimPrintLogLDAP;
+	this.printSQL = krillPrimPrintLogSQL;
+}
+
+function NegationOperator(names)
+{
+	mod_assert.object(names, 'names');
+
+	this.names = names;
+	this.validate = krillPrimValidateNot;
+	this.printCStyle = krillPrimPrintNotCStyle;
+	this.printLDAP = krillPrimPrintNotLDAP;
+	this.printSQL = krillPrimPrintNotSQL;
+}
+
+/*
+ * The "exists" operator has the form { "exists": [ field ] }.  It can be
+ * applied to fields of any type, and it's true if the field is present in the
+ * object being evaluated (even if its value is null).
+ */
+function ExistsOperator(names)
+{
+	mod_assert.object(names, 'names');
+
+	this.names = names;
+	this.compile = null;
+	this.dates = true;
+	this.ips = true;
+	this.nulls = false;
+	this.fieldtype = null;
+	this.types = [];
+	this.validate = krillPrimValidateExists;
+	this.printCStyle = buildCStyleUnsupported('exists');
+	this.printLDAP = krillPrimPrintExistsLDAP;
+	this.printSQL = krillPrimPrintExistsSQL;
+	this.eval = function (value) { return (value !== krillMissing); };
+}
+
+/*
+ * LDAP builders take the printed field name and the constant, and return the
+ * LDAP filter.  LDAP has no "<", ">", or "!=" filters, so these are expressed
+ * by negating the complementary filter.
+ */
+function buildLdapNegatedFilter(op)
+{
+	return (function (lhs, rhs) {
+		return ('(!(' + lhs + op + krillLdapValue(rhs) + '))');
+	});
+}
+
+function buildLdapPrefixFilter(lhs, rhs) {
+	return ('(' + lhs + '=' + krillLdapValue(rhs) + '*)');
+}
+
+function buildLdapSuffixFilter(lhs, rhs) {
+	return ('(' + lhs + '=*' + krillLdapValue(rhs) + ')');
+}
+
+function buildLdapContainsFilter(lhs, rhs) {
+	return ('(' + lhs + '=*' + krillLdapValue(rhs) + '*)');
+}
+
+function buildLdapGlobFilter(lhs, rhs) {
+	return ('(' + lhs + '=' +
+	    rhs.split('*').map(krillLdapValue).join('*') + ')');
+}
+
+/*
+ * Returns the constant "value" as an LDAP assertion value: strings are escaped
+ * per RFC 4515, and booleans are printed as "TRUE" or "FALSE".
+ */
+function krillLdapValue(value)
+{
+	if (typeof (value) == 'boolean')
+		return (value ? 'TRUE' : 'FALSE');
+
+	return (mod_ldap.escapeLDAPValue(String(value)));
+}
+
+/*
+ * DTrace and C have no direct equivalent of "suffix", "glob", "within", or
+ * "exists", so we refuse to print these rather than emit something that means
+ * something different.
+ */
+function buildCStyleUnsupported(key)
+{
+	return (function () {
+		throw (new VError('operator "%s" cannot be expressed in ' +
+		    'C-style syntax', key));
+	});
+}
+
+/*
+ * LDAP has no equivalent of "match" or "within", so we refuse to print them.
+ */
+function buildLdapUnsupported(key)
+{
+	return (function () {
+		throw (new VError('operator "%s" cannot be expressed as an ' +
+		    'LDAP search filter', key));
+	});
+}
+
+function buildCStylePrefixExpr(lhs, rhs) {
+	return ('strstr(' + lhs + ', ' + rhs + ') == ' + lhs);
+}
+
+function buildCStyleContainsExpr(lhs, rhs) {
+	return ('strstr(' + lhs + ', ' + rhs + ') != NULL');
+}
+
+/*
+ * SQL builders take the SQL printing context (see Predicate.toSQL()), the
+ * quoted column name, and the constant, and return the SQL expression.  The
+ * string-matching operators use LIKE, with "!" as the escape character because
+ * backslash is treated inconsistently by different databases.  Note that LIKE
+ * ignores case in SQLite and (with the default collations) MySQL, unlike eval()
+ * (see README.md).
+ */
+function buildSqlLikeExpr(before, after)
+{
+	return (function (ctx, column, constant) {
+		return (column + ' LIKE ' +
+		    krillSqlBind(ctx, before + krillSqlLikeEscape(constant) +
+		    after) + ' ESCAPE \'!\'');
+	});
+}
+
+/*
+ * eval() treats null as different from every other constant, but comparisons
+ * with NULL are never true in SQL, so "ne" (like "nin") matches NULL columns
+ * explicitly.
+ */
+function buildSqlNeExpr(ctx, column, constant)
+{
+	return (column + ' <> ' + krillSqlBind(ctx, constant) + ' OR ' +
+	    column + ' IS NULL');
+}
+
+function buildSqlGlobExpr(ctx, column, constant)
+{
+	return (column + ' LIKE ' + krillSqlBind(ctx, constant.split('*').map(
+	    krillSqlLikeEscape).join('%')) + ' ESCAPE \'!\'');
+}
+
+function buildSqlRegexpExpr(ctx, column, constant)
+{
+	return (column + ' ' + ctx.dialect.regexp + ' ' +
+	    krillSqlBind(ctx, constant));
+}
+
+/*
+ * Only PostgreSQL has an operator for CIDR containment, which requires that the
+ * column have type "inet" or "cidr".
+ */
+function buildSqlCidrExpr(ctx, column, constant)
+{
+	if (ctx.dialect.cidr === null)
+		throw (new VError('operator "within" cannot be expressed in ' +
+		    'the "%s" SQL dialect', ctx.dialectName));
+
+	return (column + ' ' + ctx.dialect.cidr + ' ' +
+	    krillSqlBind(ctx, constant));
+}
+
+function krillSqlLikeEscape(str)
+{
+	/* JSSTYLED */
+	return (str.replace(/[!%_]/g, '!$&'));
+}
+
+/*
+ * Returns the expansion of "in" and "nin" into "eq" and "ne" expressions.
+ */
+function buildSetExpansion(relkey, logkey)
+{
+	return (function (field, values) {
+		var elts = values.map(function (v) {
+			var rv = {};
+			rv[relkey] = [ field, v ];
+			return (rv);
+		});
+		var rv = {};
+
+		if (elts.length == 1)
+			return (elts[0]);
+
+		rv[logkey] = elts;
+		return (rv);
+	});
+}
+
+/*
+ * Builds a lookup table from the list of constants for a set operator so that
+ * membership can be checked without scanning the list.  Like "eq", membership
+ * uses loose equality, so the string "12" is in the set [ 12 ].  Constants are
+ * filed under the keys that krillSetKeys() returns for them, and since values
+ * that are loosely equal have a key in common, only the constants under the
+ * value's own keys need to be compared with it.  In strict mode ("strict" is
+ * true), membership uses strict equality instead, so constants are filed under
+ * the key that krillSetKey() returns for them.
+ */
+function krillSetCompile(values, strict)
+{
+	var lookup = { 'strict': strict === true, 'table': {} };
+
+	values.forEach(function (v) {
+		var keys = lookup.strict ? [ krillSetKey(v) ] : krillSetKeys(v);
+
+		keys.forEach(function (key) {
+			if (!krillHasKey(lookup.table, key))
+				lookup.table[key] = [];
+			lookup.table[key].push(v);
+		});
+	});
+
+	return (lookup);
+}
+
+/*
+ * Returns true if "value" is equal to one of the constants in the lookup table
+ * "lookup" built by krillSetCompile().  Objects have no keys, but may still be
+ * loosely equal to a constant, so they're compared with all of them.
+ */
+function krillSetContains(lookup, value)
+{
+	var table = lookup.table;
+
+	if (lookup.strict)
+		return (krillHasKey(table, krillSetKey(value)));
+
+	if (typeof (value) == 'object' && value !== null) {
+		return (Object.keys(table).some(function (key) {
+			return (table[key].some(
+			    function (v) { return (v == value); }));
+		}));
+	}
+
+	return (krillSetKeys(value).some(function (key) {
+		return (krillHasKey(table, key) &&
+		    table[key].some(function (v) { return (v == value); }));
+	}));
+}
+
+/*
+ * Returns a key that's unique to "value" among strings, numbers, and booleans,
+ * used to remove exact duplicates from a set and to look up values in strict
+ * mode.
+ */
+function krillSetKey(value)
+{
+	return (typeof (value) + ':' + value);
+}
+
+/*
+ * Returns true if the string "str" matches the glob "pattern", in which "*"
+ * matches any sequence of characters (including the empty sequence) and every
+ * other character matches only itself.
+ */
+function krillGlobMatch(str, pattern)
+{
+	var pieces, ii, pos, next, last;
+
+	pieces = pattern.split('*');
+	if (pieces.length == 1)
+		return (str == pattern);
+
+	if (str.substr(0, pieces[0].length) != pieces[0])
+		return (false);
+
+	pos = pieces[0].length;
+	for (ii = 1; ii < pieces.length - 1; ii++) {
+		next = str.indexOf(pieces[ii], pos);
+		if (next == -1)
+			return (false);
+		pos = next + pieces[ii].length;
+	}
+
+	last = pieces[pieces.length - 1];
+	return (str.length - pos >= last.length &&
+	    str.substr(str.length - last.length) == last);
+}
+
+var krillOps = {
+    'le': new RelationalOperator({
+	'names': {
+	    'cstyle': '<=',
+	    'ldap': '<=',
+	    'sql': '<='
+	},
+	'dates': true
+    }, [ 'number' ], function (a, b) { return (a <= b); }),
+    'lt': new RelationalOperator({
+	'names': {
+	    'cstyle': '<',
+	    'ldap': buildLdapNegatedFilter('>='),
+	    'sql': '<'
+	},
+	'dates': true
+    }, [ 'number' ], function (a, b) { return (a <  b); }),
+    'ge': new RelationalOperator({
+	'names': {
+	    'cstyle': '>=',
+	    'ldap': '>=',
+	    'sql': '>='
+	},
+	'dates': true
+    }, [ 'number' ], function (a, b) { return (a >= b); }),
+    'gt': new RelationalOperator({
+	'names': {
+	    'cstyle': '>',
+	    'ldap': buildLdapNegatedFilter('<='),
+	    'sql': '>'
+	},
+	'dates': true
+    }, [ 'number' ], function (a, b) { return (a >  b); }),
+    'eq': new RelationalOperator({
+	'names': {
+	    'cstyle': '==',
+	    'ldap': '=',
+	    'sql': '='
+	},
+	'dates': true,
+	'ips': true,
+	'nulls': true
+    }, [ 'number', 'string', 'boolean' ], function (a, b) { return (a == b); }),
+    'ne': new RelationalOperator({
+	'names': {
+	    'cstyle': '!=',
+	    'ldap': buildLdapNegatedFilter('='),
+	    'sql': buildSqlNeExpr
+	},
+	'dates': true,
+	'ips': true,
+	'nulls': true
+    }, [ 'number', 'string', 'boolean' ], function (a, b) { return (a != b); }),
+    'prefix': new RelationalOperator({
+	'names': {
+	    'cstyle': buildCStylePrefixExpr,
+	    'ldap': buildLdapPrefixFilter,
+	    'sql': buildSqlLikeExpr('', '%')
+	}
+    }, [ 'string' ], function (a, b) {
+	return (a.substr(0, b.length) == b);
+    }),
+    'suffix': new RelationalOperator({
+	'names': {
+	    'cstyle': buildCStyleUnsupported('suffix'),
+	    'ldap': buildLdapSuffixFilter,
+	    'sql': buildSqlLikeExpr('%', '')
+	}
+    }, [ 'string' ], function (a, b) {
+	return (a.length >= b.length && a.substr(a.length - b.length) == b);
+    }),
+    'contains': new RelationalOperator({
+	'names': {
+	    'cstyle': buildCStyleContainsExpr,
+	    'ldap': buildLdapContainsFilter,
+	    'sql': buildSqlLikeExpr('%', '%')
+	}
+    }, [ 'string' ], function (a, b) { return (a.indexOf(b) != -1); }),
+    'glob': new RelationalOperator({
+	'names': {
+	    'cstyle': buildCStyleUnsupported('glob'),
+	    'ldap': buildLdapGlobFilter,
+	    'sql': buildSqlGlobExpr
+	}
+    }, [ 'string' ], krillGlobMatch),
+    'match': new RelationalOperator({
+	'names': {
+	    'cstyle': buildCStyleUnsupported('match'),
+	    'ldap': buildLdapUnsupported('match'),
+	    'sql': buildSqlRegexpExpr
+	},
+	'compile': function (pattern) { return (new RegExp(pattern)); }
+    }, [ 'string' ], function (a, re) { return (re.test(a)); }),
+    'within': new RelationalOperator({
+	'names': {
+	    'cstyle': buildCStyleUnsupported('within'),
+	    'ldap': buildLdapUnsupported('within'),
+	    'sql': buildSqlCidrExpr
+	},
+	'compile': mod_ip.parseCIDR,
+	'ips': true,
+	'fieldtype': 'ip'
+    }, [ 'string' ], function (a, cidr) {
+	return (mod_ip.cidrContains(cidr, a));
+    }),
+    'in': new SetOperator({
+	'names': {
+	    'sql': 'IN'
+	},
+	'expand': buildSetExpansion('eq', 'or')
+    }, [ 'number', 'string', 'boolean' ], function (a, lookup) {
+	return (krillSetContains(lookup, a));
+    }),
+    'nin': new SetOperator({
+	'names': {
+	    'sql': 'NOT IN'
+	},
+	'expand': buildSetExpansion('ne', 'and')
+    }, [ 'number', 'string', 'boolean' ], function (a, lookup) {
+	return (!krillSetContains(lookup, a));
+    }),
+    'and': new LogicalOperator({
+	'cstyle': '&&',
+	'ldap': '&',
+	'sql': 'AND'
+    }),
+    'or': new LogicalOperator({
+	'cstyle': '||',
+	'ldap': '|',
+	'sql': 'OR'
+    }),
+    'not': new NegationOperator({
+	'cstyle': '!',
+	'ldap': '!',
+	'sql': 'NOT'
+    }),
+    'exists': new ExistsOperator({
+	'ldap': '=*',
+	'sql': 'IS NOT NULL'
+    })
+};
+
+mod_jsprim.forEachKey(krillOps, function (key, op) {
+	if (op instanceof RelationalOperator || op instanceof SetOperator)
+		exports[key] = krillLeafBuilder(key);
+});
+
+
+/*
+ * JSON Schema export (see jsonSchema()).  The schema is derived from the
+ * operator definitions above, so it describes the same predicates that
+ * createPredicate() accepts, as far as JSON Schema can express them.
+ */
+
+/* Types of fields, in the order their subschemas appear. */
+var krillSchemaTypes = [ 'string', 'number', 'boolean', 'date', 'ip',
+    'object' ];
+
+/*
+ * Returns the schema for a predicate using operator "key", whose value must
+ * match "schema".
+ */
+function krillSchemaOperator(key, schema)
+{
+	var rv = {
+	    'type': 'object',
+	    'required': [ key ],
+	    'additionalProperties': false,
+	    'properties': {}
+	};
+
+	rv['properties'][key] = schema;
+	return (rv);
+}
+
+/*
+ * Returns the schema for predicates using the relational, set, or "exists"
+ * operator "key" with the fields in "types" (or any field, if "types" is
+ * null), or null if the operator can't be used with any of them.  There's one
+ * alternative for each type of field, which lists the fields of that type
+ * (using both dotted notation and JSON Pointers) and describes the constants
+ * allowed for it.  The schema can't check everything that createPredicate()
+ * does: regular expressions are only described using "format" (which
+ * validators may ignore), date constants aren't checked for days past the end
+ * of the month, and without types, field names aren't checked at all.
+ */
+function krillSchemaLeaf(key, types)
+{
+	var op, byType, operands;
+
+	op = krillOps[key];
+	if (types === null) {
+		operands = [ krillSchemaOperands(op, { 'type': 'string' },
+		    krillSchemaConstant(key, op.fieldtype !== null ?
+		    [ op.fieldtype ] : [ 'string', 'number', 'boolean' ])) ];
+	} else {
+		byType = {};
+		krillSchemaFields(types, [], byType);
+		operands = [];
+		krillSchemaTypes.forEach(function (type) {
+			if (!krillHasKey(byType, type) ||
+			    !krillSchemaAllows(op, type))
+				return;
+
+			operands.push(krillSchemaOperands(op,
+			    { 'enum': byType[type] },
+			    krillSchemaConstant(key, [ type ])));
+		});
+	}
+
+	if (operands.length === 0)
+		return (null);
+
+	return (krillSchemaOperator(key,
+	    operands.length == 1 ? operands[0] : { 'anyOf': operands }));
+}
+
+/*
+ * Adds the names of the fields described by the types map "types" (nested
+ * within the object whose path is "prefix", an array of property names) to
+ * "byType", which maps each type (with nested maps having type "object") to
+ * an array of field names.
+ */
+function krillSchemaFields(types, prefix, byType)
+{
+	mod_jsprim.forEachKey(types, function (k, v) {
+		var path = prefix.concat([ k ]);
+		var type = typeof (v) == 'object' ? 'object' : v;
+
+		if (!krillHasKey(byType, type))
+			byType[type] = [];
+
+		byType[type].push(path.join('.'));
+		byType[type].push('/' + path.map(function (c) {
+			/* JSSTYLED */
+			return (c.replace(/~/g, '~0').replace(/\//g, '~1'));
+		}).join('/'));
+
+		if (type == 'object')
+			krillSchemaFields(v, path, byType);
+	});
+}
+
+/*
+ * Returns true if operator "op" can be applied to fields of type "type" (see
+ * krillPrimValidateFieldType()).
+ */
+function krillSchemaAllows(op, type)
+{
+	if (op instanceof ExistsOperator)
+		return (true);
+
+	switch (type) {
+	case 'date':
+		return (op.dates);
+	case 'ip':
+		return (op.ips);
+	case 'object':
+		return (false);
+	default:
+		return (op.types.indexOf(type) != -1 &&
+		    (op.fieldtype === null || op.fieldtype == type));
+	}
+}
+
+/*
+ * Returns the schema for the operands of a predicate using operator "op",
+ * given the schemas for the field and the constant (which is ignored for
+ * "exists").
+ */
+function krillSchemaOperands(op, field, constant)
+{
+	var items;
+
+	if (op instanceof ExistsOperator)
+		items = [ field ];
+	else if (op instanceof SetOperator)
+		items = [ field, {
+		    'type': 'array',
+		    'items': constant,
+		    'minItems': 1
+		} ];
+	else
+		items = [ field, constant ];
+
+	return ({
+	    'type': 'array',
+	    'items': items,
+	    'additionalItems': false,
+	    'minItems': items.length
+	});
+}
+
+/*
+ * Returns the schema for one constant used with operator "key" on fields whose
+ * type is one of "types".
+ */
+function krillSchemaConstant(key, types)
+{
+	var op, rv, jsontypes;
+
+	op = krillOps[key];
+	jsontypes = types.map(function (type) {
+		return (type == 'date' || type == 'ip' ? 'string' : type);
+	});
+	if (op.nulls)
+		jsontypes.push('null');
+
+	rv = { 'type': jsontypes.length == 1 ? jsontypes[0] : jsontypes };
+	if (key == 'match')
+		rv['format'] = 'regex';
+	else if (types[0] == 'date')
+		rv['pattern'] = mod_date.dateConstantPattern();
+	else if (types[0] == 'ip')
+		rv['pattern'] = op.fieldtype === null ?
+		    mod_ip.ipPattern() : mod_ip.cidrPattern();
+
+	return (rv);
+}
+
+
+/*
+ * Primitive functions: these implement predicate operations on the primitive
+ * representation (a straight object) rather than the Predicate class.  The
+ * primitive representation is exactly the format that users pass into
+ * createPredicate().  For details, see README.md.  These primitive operations
+ * don't reference the higher-level Predicate class at all.
+ */
+
+/*
+ * Determines whether a predicate has expressions that need to evaluated.
+ *
+ * Input:
+ *  - The predicate to evaluate
+ * Output:
+ *  - True if this predicate is not trivial, false otherwise
+ */
+function krillPrimTrivial(pred)
+{
+	return (mod_jsprim.isEmpty(pred));
+}
+
+/*
+ * Returns true if "pred" is the negation of the trivial predicate, which is
+ * how we represent a predicate that's always false.
+ */
+function krillPrimFalse(pred)
+{
+	return (krillHasKey(pred, 'not') && krillPrimTrivial(pred['not']));
+}
+
+/*
+ * Returns a predicate equivalent to "pred" in which each "and", "or", and "not"
+ * subpredicate whose result is determined by operands that are always true
+ * (the trivial predicate) or always false (its negation) is replaced with that
+ * result.  Operands that don't affect the result are removed, and an "and" or
+ * "or" left with one operand is replaced by it.  Unlike krillPrimSimplify(),
+ * nothing else about the predicate changes.
+ *
+ * If "leaf" is given, each relational or set subpredicate is first replaced
+ * with "leaf(subpred, sure)", in the order that they'd be evaluated, where
+ * "sure" says whether evaluation would certainly reach the subpredicate (i.e.,
+ * every operand before it was folded away without deciding the result).
+ * Operands after one that decides an "and" or "or" aren't passed to "leaf".
+ */
+function krillPrimFold(pred, leaf, sure)
+{
+	var key, elts, ii, sub, rv;
+
+	if (sure === undefined)
+		sure = true;
+
+	if (krillPrimTrivial(pred) || krillPrimFalse(pred))
+		return (pred);
+
+	key = krillPrimGetKey(pred);
+
+	switch (key) {
+	case 'not':
+		sub = krillPrimFold(pred['not'], leaf, sure);
+		if (krillPrimTrivial(sub))
+			return ({ 'not': {} });
+		if (krillPrimFalse(sub))
+			return ({});
+		return ({ 'not': sub });
+
+	case 'and':
+	case 'or':
+		elts = [];
+		for (ii = 0; ii < pred[key].length; ii++) {
+			sub = krillPrimFold(pred[key][ii], leaf,
+			    sure && elts.length === 0);
+			if (key == 'and' ? krillPrimFalse(sub) :
+			    krillPrimTrivial(sub))
+				return (sub);
+			if (key == 'and' ? !krillPrimTrivial(sub) :
+			    !krillPrimFalse(sub))
+				elts.push(sub);
+		}
+
+		if (elts.length === 0)
+			return (key == 'and' ? {} : { 'not': {} });
+		if (elts.length == 1)
+			return (elts[0]);
+
+		rv = {};
+		rv[key] = elts;
+		return (rv);
+
+	default:
+		return (leaf === undefined ? pred : leaf(pred, sure));
+	}
+}
+
+/*
+ * Returns a simplified predicate equivalent to "pred" (which has previously
+ * been validated), as described in Predicate.simplify().  "pred" itself is not
+ * modified.
+ */
+function krillPrimSimplify(pred)
+{
+	var key, inner;
+
+	if (krillPrimTrivial(pred))
+		return ({});
+
+	key = krillPrimGetKey(pred);
+	switch (key) {
+	case 'and':
+	case 'or':
+		return (krillPrimSimplifyLog(pred, key));
+
+	case 'not':
+		inner = krillPrimSimplify(pred[key]);
+		if (krillPrimTrivial(inner))
+			return ({ 'not': {} });
+		if (krillPrimFalse(inner))
+			return ({});
+		if (krillHasKey(inner, 'not'))
+			return (inner['not']);
+		return ({ 'not': inner });
+
+	default:
+		return (krillPrimSimplifyLeaf(pred, key));
+	}
+}
+
+/*
+ * Simplifies a relational or set predicate.  The only thing to do here is
+ * remove duplicate values from sets.
+ */
+function krillPrimSimplifyLeaf(pred, key)
+{
+	var rv, seen;
+
+	rv = mod_jsprim.deepCopy(pred);
+	if (!(krillOps[key] instanceof SetOperator))
+		return (rv);
+
+	seen = {};
+	rv[key][1] = rv[key][1].filter(function (v) {
+		if (krillHasKey(seen, krillSetKey(v)))
+			return (false);
+		seen[krillSetKey(v)] = true;
+		return (true);
+	});
+
+	return (rv);
+}
+
+/*
+ * Simplifies an "and" or "or" expression.  Subpredicates are simplified first,
+ * and then:
+ *
+ *  - nested expressions using the same operator are flattened into this one,
+ *
+ *  - subpredicates that are always true or always false are either dropped
+ *    or determine the value of the whole expression,
+ *
+ *  - duplicate subpredicates are removed, and if a subpredicate and its
+ *    negation are both present, the expression is always false (for "and") or
+ *    always true (for "or"), and
+ *
+ *  - numeric bounds on the same field are merged (see krillSimplifyRanges()).
+ */
+function krillPrimSimplifyLog(pred, key)
+{
+	var elts, deduped, seen, ii, elt, str, neg, rv;
+
+	elts = [];
+	for (ii = 0; ii < pred[key].length; ii++) {
+		elt = krillPrimSimplify(pred[key][ii]);
+		if (krillPrimTrivial(elt)) {
+			if (key == 'or')
+				return ({});
+		} else if (krillPrimFalse(elt)) {
+			if (key == 'and')
+				return ({ 'not': {} });
+		} else if (krillHasKey(elt, key)) {
+			Array.prototype.push.apply(elts, elt[key]);
+		} else {
+			elts.push(elt);
+		}
+	}
+
+	deduped = [];
+	seen = {};
+	for (ii = 0; ii < elts.length; ii++) {
+		elt = elts[ii];
+		str = JSON.stringify(elt);
+		neg = JSON.stringify(krillHasKey(elt, 'not') ?
+		    elt['not'] : { 'not': elt });
+
+		if (krillHasKey(seen, neg))
+			return (key == 'and' ? { 'not': {} } : {});
+
+		if (krillHasKey(seen, str))
+			continue;
+
+		seen[str] = true;
+		deduped.push(elt);
+	}
+
+	elts = krillSimplifyRanges(deduped, key);
+	if (elts === null)
+		return ({ 'not': {} });
+
+	if (elts.length === 0)
+		return (key == 'and' ? {} : { 'not': {} });
+
+	if (elts.length == 1)
+		return (elts[0]);
+
+	rv = {};
+	rv[key] = elts;
+	return (rv);
+}
+
+/*
+ * The relational operators that bound a numeric field from above or below.
+ */
+var krillRangeOps = {
+    'lt': { 'upper': true, 'strict': true },
+    'le': { 'upper': true, 'strict': false },
+    'gt': { 'upper': false, 'strict': true },
+    'ge': { 'upper': false, 'strict': false }
+};
+
+/*
+ * Given the subpredicates "elts" of an "and" or "or" expression (identified by
+ * "key"), merges the numeric bounds on each field: for "and", only the tightest
+ * upper and lower bounds on each field are kept, and for "or", only the
+ * loosest.  The merged bound takes the place of the first bound on that field.
+ * Returns the new list of subpredicates, or null if this is an "and" whose
+ * bounds on some field can't all be satisfied.
+ */
+function krillSimplifyRanges(elts, key)
+{
+	var bounds, rv, conflict;
+
+	bounds = Object.create(null);
+	rv = [];
+	elts.forEach(function (elt) {
+		var op, field, side, current;
+
+		op = krillPrimGetKey(elt);
+		if (!krillHasKey(krillRangeOps, op) ||
+		    typeof (elt[op][1]) != 'number') {
+			rv.push(elt);
+			return;
+		}
+
+		field = elt[op][0];
+		side = krillRangeOps[op].upper ? 'upper' : 'lower';
+		if (!krillHasKey(bounds, field))
+			bounds[field] = {};
+
+		if (!krillHasKey(bounds[field], side)) {
+			bounds[field][side] = rv.length;
+			rv.push(elt);
+			return;
+		}
+
+		current = rv[bounds[field][side]];
+		if (key == 'and' ? krillRangeImplies(elt, current) :
+		    krillRangeImplies(current, elt))
+			rv[bounds[field][side]] = elt;
+	});
+
+	if (key != 'and')
+		return (rv);
+
+	conflict = Object.keys(bounds).some(function (field) {
+		var lower, upper, lop, uop;
+
+		if (!krillHasKey(bounds[field], 'lower') ||
+		    !krillHasKey(bounds[field], 'upper'))
+			return (false);
+
+		lower = rv[bounds[field]['lower']];
+		upper = rv[bounds[field]['upper']];
+		lop = krillPrimGetKey(lower);
+		uop = krillPrimGetKey(upper);
+		return (lower[lop][1] > upper[uop][1] ||
+		    (lower[lop][1] == upper[uop][1] &&
+		    (krillRangeOps[lop].strict || krillRangeOps[uop].strict)));
+	});
+
+	return (conflict ? null : rv);
+}
+
+/*
+ * Given two numeric bounds "a" and "b" on the same side of the same field,
+ * returns true if any value satisfying "a" also satisfies "b".
+ */
+function krillRangeImplies(a, b)
+{
+	var aop, bop, av, bv;
+
+	aop = krillPrimGetKey(a);
+	bop = krillPrimGetKey(b);
+	av = a[aop][1];
+	bv = b[bop][1];
+
+	if (av == bv)
+		return (krillRangeOps[aop].strict ||
+		    !krillRangeOps[bop].strict);
+
+	return (krillRangeOps[aop].upper ? av < bv : av > bv);
+}
+
+/*
+ * Satisfiability analysis.  To decide whether a predicate can be satisfied, we
+ * search through the ways it could be true: conjunctions contribute all of
+ * their subpredicates, while disjunctions are explored one alternative at a
+ * time (with negations pushed down to the leaves as we go).  Each complete
+ * alternative is a list of "literals" (possibly negated relational or set
+ * predicates), and we check whether some value of each field satisfies all of
+ * the literals on it.  Each step produces one of three results: "sat" (proven
+ * satisfiable), "unsat" (proven unsatisfiable), or "unknown".  The search is
+ * bounded by krillSatBudget, after which the result is "unknown".
+ */
+var krillSatBudget = 10000;
+
+/*
+ * Operators whose negation is another operator, for fields that are present
+ * and not null.  (Every comparison of a missing value is false, as are those
+ * of null other than "eq", "ne", "in", and "nin", so "not gt" is true for them
+ * but "le" is not.  For the numeric operators, this also relies on the fact
+ * that they can only be evaluated on numbers, and we assume those aren't NaN.)
+ */
+var krillSatNegations = {
+    'eq': 'ne',
+    'ne': 'eq',
+    'in': 'nin',
+    'nin': 'in',
+    'lt': 'ge',
+    'le': 'gt',
+    'gt': 'le',
+    'ge': 'lt'
+};
+
+/*
+ * Operators that compare values using JavaScript's loose equality.
+ */
+var krillSatLoose = {
+    'eq': true,
+    'ne': true,
+    'in': true,
+    'nin': true
+};
+
+/*
+ * Returns "sat", "unsat", or "unknown" for whether all of "goals" (see
+ * krillSatSearch()) can be met at once.  Their predicates have previously been
+ * validated against "types" (which may be null).
+ */
+function krillPrimSatisfiable(goals, types)
+{
+	var state = { 'budget': krillSatBudget, 'types': types };
+	return (krillSatSearch(state, goals, []));
+}
+
+/*
+ * Returns the goal for krillSatSearch() that the Predicate "predicate" is true
+ * (or false, if "positive" is false).
+ */
+function krillSatGoal(predicate, positive)
+{
+	return ({
+	    'pred': predicate.p_pred,
+	    'positive': positive,
+	    'missing': predicate.p_options.missing || 'error'
+	});
+}
+
+/*
+ * Appends to "rv" the unsatisfiable subexpressions of "pred", which is found at
+ * JSON Pointer "path" in the enclosing predicate.  See
+ * Predicate.contradictions().
+ */
+function krillPrimContradictions(pred, types, missing, path, rv)
+{
+	var key, count, ii;
+
+	count = rv.length;
+	if (!krillPrimTrivial(pred)) {
+		key = krillPrimGetKey(pred);
+		if (key == 'and' || key == 'or') {
+			for (ii = 0; ii < pred[key].length; ii++)
+				krillPrimContradictions(pred[key][ii], types,
+				    missing, path + '/' + key + '/' + ii, rv);
+		} else if (key == 'not') {
+			krillPrimContradictions(pred[key], types, missing,
+			    path + '/' + key, rv);
+		}
+	}
+
+	if (rv.length == count && krillPrimSatisfiable([ {
+	    'pred': pred,
+	    'positive': true,
+	    'missing': missing
+	} ], types) == 'unsat')
+		rv.push({ 'path': path, 'predicate': pred });
+}
+
+/*
+ * Explores the ways that all of "goals" could be true, given that all of the
+ * literals in "lits" are.  Each goal is a subpredicate ("pred") together with
+ * whether we need it to be true or false ("positive") and how its predicate
+ * treats missing fields ("missing", as for createPredicate()).
+ */
+function krillSatSearch(state, goals, lits)
+{
+	var goal, key, children, result, sawunknown, ii;
+
+	if (--state.budget < 0)
+		return ('unknown');
+
+	while (goals.length > 0) {
+		goal = goals[goals.length - 1];
+		goals = goals.slice(0, goals.length - 1);
+
+		if (krillPrimTrivial(goal.pred)) {
+			if (!goal.positive)
+				return ('unsat');
+			continue;
+		}
+
+		key = krillPrimGetKey(goal.pred);
+		if (key == 'not') {
+			goals = goals.concat([ {
+			    'pred': goal.pred[key],
+			    'positive': !goal.positive,
+			    'missing': goal.missing
+			} ]);
+			continue;
+		}
+
+		if (key != 'and' && key != 'or') {
+			lits = lits.concat([ krillSatLiteral(goal, key) ]);
+			continue;
+		}
+
+		children = goal.pred[key].map(function (child) {
+			return ({
+			    'pred': child,
+			    'positive': goal.positive,
+			    'missing': goal.missing
+			});
+		});
+
+		/* A true "and" or a false "or" requires all of its children. */
+		if ((key == 'and') == goal.positive) {
+			goals = goals.concat(children);
+			continue;
+		}
+
+		/* Otherwise, we need only one of them. */
+		sawunknown = false;
+		for (ii = 0; ii < children.length; ii++) {
+			result = krillSatSearch(state,
+			    goals.concat([ children[ii] ]), lits);
+			if (result == 'sat')
+				return (result);
+			if (result == 'unknown')
+				sawunknown = true;
+		}
+
+		return (sawunknown ? 'unknown' : 'unsat');
+	}
+
+	return (krillSatCheck(state.types, lits));
+}
+
+/*
+ * Returns the literal for the goal "goal", whose predicate is a relational or
+ * set predicate with operator "key".  A literal has the operator ("op"),
+ * "field", "constant", whether it's "negated", and the "missing" mode of the
+ * goal.
+ */
+function krillSatLiteral(goal, key)
+{
+	return ({
+	    'op': key,
+	    'field': goal.pred[key][0],
+	    'constant': goal.pred[key][1],
+	    'negated': !goal.positive,
+	    'missing': goal.missing
+	});
+}
+
+/*
+ * Returns the literal "lit" for a field that's known to be present and not
+ * null, with a negation replaced by the opposite operator where there is one.
+ */
+function krillSatPresentLiteral(lit)
+{
+	if (!lit.negated || !krillHasKey(krillSatNegations, lit.op))
+		return (lit);
+
+	return ({
+	    'op': krillSatNegations[lit.op],
+	    'field': lit.field,
+	    'constant': lit.constant,
+	    'negated': false,
+	    'missing': lit.missing
+	});
+}
+
+/*
+ * Returns "sat", "unsat", or "unknown" for the conjunction of the literals in
+ * "lits" by checking the literals for each field separately.
+ */
+function krillSatCheck(types, lits)
+{
+	var byfield, result, sawunknown;
 
-	this.names = names;
-	this.types = types.slice(0);
-	this.validate = krillPrimValidateRel;
-	this.printCStyle = krillPrimPrintRelCStyle;
-	this.printLDAP = krillPrimPrintRelLDAP;
-	this.eval = evalfunc;
+	byfield = {};
+	lits.forEach(function (lit) {
+		var fkey = JSON.stringify(lit.field);
+		if (!krillHasKey(byfield, fkey))
+			byfield[fkey] = [];
+		byfield[fkey].push(lit);
+	});
+
+	sawunknown = false;
+	result = 'sat';
+	mod_jsprim.forEachKey(byfield, function (_, fieldlits) {
+		var r;
+
+		if (result == 'unsat')
+			return;
+
+		r = krillSatCheckField(types, fieldlits);
+		if (r == 'unsat')
+			result = r;
+		else if (r == 'unknown')
+			sawunknown = true;
+	});
+
+	if (result == 'sat' && sawunknown)
+		result = 'unknown';
+
+	return (result);
 }
 
-function LogicalOperator(names)
+/*
+ * Returns the type of the values of the field referenced by the literals in
+ * "lits": the type from "types", if there is one, or else the type of all of
+ * the constants (and the type required by the operators), if they agree.
+ * Otherwise, returns null.  (Without a declared type, a field compared with
+ * both 1 and "1" could be either, and since "eq" uses JavaScript's loose
+ * equality, the value "1" is actually equal to both.)  For the same reason,
+ * null is also returned without types if "eq", "ne", "in", or "nin" compares
+ * the field with a boolean or a string that converts to a number: the number 1
+ * is equal to both "1" and "1.0", and the number 2 is equal to neither true nor
+ * false.
+ */
+function krillSatFieldType(types, lits)
 {
-	mod_assert.object(names, 'names');
+	var field, found, coercible;
 
-	this.names = names;
-	this.validate = krillPrimValidateLog;
-	this.printCStyle = krillPrimPrintLogCStyle;
-	this.printLDAP = krillPrimPrintLogLDAP;
+	field = lits[0].field;
+	if (typeof (field) != 'string')
+		return (null);
+
+	if (types !== null) {
+		try {
+			return (krillFieldType(types, field));
+		} catch (ex) {
+			return (null);
+		}
+	}
+
+	found = {};
+	coercible = false;
+	lits.forEach(function (lit) {
+		var values = Array.isArray(lit.constant) ?
+		    lit.constant : [ lit.constant ];
+		var loose = krillHasKey(krillSatLoose, lit.op);
+
+		values.forEach(function (v) {
+			found[typeof (v)] = true;
+			if (loose && (typeof (v) == 'boolean' ||
+			    (typeof (v) == 'string' && !isNaN(Number(v)))))
+				coercible = true;
+		});
+		if (krillOps[lit.op].types.length == 1)
+			found[krillOps[lit.op].types[0]] = true;
+	});
+
+	found = Object.keys(found);
+	return (found.length == 1 && !coercible ? found[0] : null);
 }
 
-function buildLdapNotEqualFilter(lhs, rhs) {
-	return ('(!(' + lhs + '=' + rhs + '))');
+/*
+ * Returns true if "value" satisfies the literal "lit".
+ */
+function krillSatEvalLiteral(lit, value)
+{
+	var op = krillOps[lit.op];
+	var evalconstant = op.compile !== null ?
+	    op.compile(lit.constant) : lit.constant;
+
+	return (op.eval(value, evalconstant) !== lit.negated);
 }
 
-var krillOps = {
-    'le': new RelationalOperator({
-	'names': {
-	    'cstyle': '<=',
-	    'ldap': '<='
-	}
-    }, [ 'number' ], function (a, b) { return (a <= b); }),
-    'lt': new RelationalOperator({
-	'names': {
-	    'cstyle': '<',
-	    'ldap': '<'
-	}
-    }, [ 'number' ], function (a, b) { return (a <  b); }),
-    'ge': new RelationalOperator({
-	'names': {
-	    'cstyle': '>=',
-	    'ldap': '>='
-	}
-    }, [ 'number' ], function (a, b) { return (a >= b); }),
-    'gt': new RelationalOperator({
-	'names': {
-	    'cstyle': '>',
-	    'ldap': '>'
+/*
+ * Returns true if the literal "lit" is satisfied when its field is null (if
+ * "missing" is false) or missing (if "missing" is true), evaluating it the same
+ * way as krillPrimResolveFields() and krillPrimEvalRel().
+ */
+function krillSatEvalAbsent(lit, missing)
+{
+	var op = krillOps[lit.op];
+	var value = null;
+
+	if (missing) {
+		if (op instanceof ExistsOperator || lit.missing == 'false')
+			value = krillMissing;
+		else if (lit.missing == 'error')
+			return (false);
 	}
-    }, [ 'number' ], function (a, b) { return (a >  b); }),
-    'eq': new RelationalOperator({
-	'names': {
-	    'cstyle': '==',
-	    'ldap': '='
+
+	return (krillPrimEvalRel(lit.op, value, lit.constant,
+	    op.compile !== null ? op.compile(lit.constant) : lit.constant) !==
+	    lit.negated);
+}
+
+/*
+ * Returns "sat", "unsat", or "unknown" for the conjunction of the literals in
+ * "lits", all of which refer to the same field, whose type is given by "types"
+ * (which may be null).  Null and missing values are checked directly, and the
+ * rest of the analysis only has to consider values that are present and not
+ * null.
+ */
+function krillSatCheckField(types, lits)
+{
+	var type, candidates;
+
+	/* A literal and its negation can't both be satisfied. */
+	if (lits.some(function (a) {
+		return (a.negated && lits.some(function (b) {
+			return (!b.negated && a.op == b.op &&
+			    JSON.stringify(a.constant) ==
+			    JSON.stringify(b.constant));
+		}));
+	}))
+		return ('unsat');
+
+	/* Try a null value, then a missing one. */
+	if ([ false, true ].some(function (missing) {
+		return (lits.every(function (lit) {
+			return (krillSatEvalAbsent(lit, missing));
+		}));
+	}))
+		return ('sat');
+
+	/*
+	 * Otherwise, the value must be present and not null, so it satisfies
+	 * "exists" and isn't equal to null.
+	 */
+	lits = lits.map(krillSatPresentLiteral);
+	if (lits.some(function (lit) {
+		return ((lit.op == 'exists' && lit.negated) ||
+		    (lit.op == 'eq' && lit.constant === null));
+	}))
+		return ('unsat');
+
+	lits = lits.filter(function (lit) {
+		return (lit.op != 'exists' && lit.constant !== null);
+	});
+	if (lits.length === 0)
+		return ('sat');
+
+	type = krillSatFieldType(types, lits);
+	if (type === null || type == 'date' || type == 'ip' ||
+	    lits.some(function (lit) {
+		return (krillOps[lit.op].fieldtype !== null);
+	    }))
+		return ('unknown');
+
+	/*
+	 * If any literal restricts the field to a finite set of values, we just
+	 * check each of those values.
+	 */
+	candidates = type == 'boolean' ? [ true, false ] : null;
+	lits.forEach(function (lit) {
+		var values;
+
+		if (lit.negated)
+			return;
+
+		if (lit.op == 'eq')
+			values = [ lit.constant ];
+		else if (lit.op == 'in')
+			values = lit.constant;
+		else if (lit.op == 'glob' && lit.constant.indexOf('*') == -1)
+			values = [ lit.constant ];
+		else
+			return;
+
+		values = values.filter(function (v) {
+			return (typeof (v) == type);
+		});
+		candidates = candidates === null ? values :
+		    candidates.filter(function (c) {
+			return (values.indexOf(c) != -1);
+		    });
+	});
+
+	if (candidates !== null) {
+		return (candidates.some(function (c) {
+			return (lits.every(function (lit) {
+				return (krillSatEvalLiteral(lit, c));
+			}));
+		}) ? 'sat' : 'unsat');
 	}
-    }, [ 'number', 'string', 'boolean' ], function (a, b) { return (a == b); }),
-    'ne': new RelationalOperator({
-	'names': {
-	    'cstyle': '!=',
-	    'ldap': buildLdapNotEqualFilter
+
+	if (type == 'number')
+		return (krillSatCheckNumber(lits));
+
+	if (type == 'string')
+		return (krillSatCheckString(lits));
+
+	return ('unknown');
+}
+
+/*
+ * Checks numeric literals (other than "eq" and "in", which are handled by
+ * krillSatCheckField()).  The remaining literals bound the field above and
+ * below and exclude a finite number of values, so they can be satisfied
+ * unless the bounds are inconsistent or allow only one value that's excluded.
+ */
+function krillSatCheckNumber(lits)
+{
+	var lower, upper, point;
+
+	lits.forEach(function (lit) {
+		if (!krillHasKey(krillRangeOps, lit.op))
+			return;
+
+		if (krillRangeOps[lit.op].upper) {
+			if (upper === undefined ||
+			    krillRangeImplies(krillSatBound(lit), upper))
+				upper = krillSatBound(lit);
+		} else {
+			if (lower === undefined ||
+			    krillRangeImplies(krillSatBound(lit), lower))
+				lower = krillSatBound(lit);
+		}
+	});
+
+	if (lower === undefined || upper === undefined)
+		return ('sat');
+
+	if (krillSimplifyRanges([ lower, upper ], 'and') === null)
+		return ('unsat');
+
+	point = lower[krillPrimGetKey(lower)][1];
+	if (point != upper[krillPrimGetKey(upper)][1])
+		return ('sat');
+
+	return (lits.every(function (lit) {
+		return (krillSatEvalLiteral(lit, point));
+	}) ? 'sat' : 'unsat');
+}
+
+function krillSatBound(lit)
+{
+	var rv = {};
+	rv[lit.op] = [ lit.field, lit.constant ];
+	return (rv);
+}
+
+/*
+ * Checks string literals (other than "eq", "in", and "glob" without a "*",
+ * which are handled by krillSatCheckField()).  We look for a few kinds of
+ * contradictions among the positive constraints on the beginning and end of
+ * the string, and between those and the negated ones.  If we don't find one,
+ * we try to build a string that satisfies all of the literals.  If that fails,
+ * the result is "unknown".
+ */
+function krillSatCheckString(lits)
+{
+	var prefixes, suffixes, middles, prefix, suffix, fillers, ii, witness;
+
+	/* Finitely many excluded values can't rule out every string. */
+	if (lits.every(function (lit) {
+		return (lit.op == 'ne' || lit.op == 'nin');
+	}))
+		return ('sat');
+
+	prefixes = [];
+	suffixes = [];
+	middles = [];
+	lits.forEach(function (lit) {
+		var pieces;
+
+		if (lit.negated)
+			return;
+
+		if (lit.op == 'prefix') {
+			prefixes.push(lit.constant);
+		} else if (lit.op == 'suffix') {
+			suffixes.push(lit.constant);
+		} else if (lit.op == 'contains') {
+			middles.push(lit.constant);
+		} else if (lit.op == 'glob') {
+			pieces = lit.constant.split('*');
+			prefixes.push(pieces[0]);
+			suffixes.push(pieces[pieces.length - 1]);
+			Array.prototype.push.apply(middles,
+			    pieces.slice(1, pieces.length - 1));
+		}
+	});
+
+	prefix = krillSatLongest(prefixes, function (a, b) {
+		return (a.substr(0, b.length) == b);
+	});
+	suffix = krillSatLongest(suffixes, function (a, b) {
+		return (a.substr(a.length - b.length) == b);
+	});
+	if (prefix === null || suffix === null)
+		return ('unsat');
+
+	if (lits.some(function (lit) {
+		if (!lit.negated)
+			return (false);
+		if (lit.op == 'prefix')
+			return (prefix.substr(0, lit.constant.length) ==
+			    lit.constant);
+		if (lit.op == 'suffix')
+			return (suffix.substr(suffix.length -
+			    lit.constant.length) == lit.constant);
+		if (lit.op == 'contains')
+			return ([ prefix, suffix ].concat(middles).some(
+			    function (str) {
+				return (str.indexOf(lit.constant) != -1);
+			    }));
+		return (false);
+	}))
+		return ('unsat');
+
+	fillers = [ '', '_', '__', '\u0000' ];
+	for (ii = 0; ii < fillers.length; ii++) {
+		witness = prefix + middles.join('') + fillers[ii] + suffix;
+		if (lits.every(function (lit) {
+			return (krillSatEvalLiteral(lit, witness));
+		}))
+			return ('sat');
 	}
-    }, [ 'number', 'string', 'boolean' ], function (a, b) { return (a != b); }),
-    'and': new LogicalOperator({
-	'cstyle': '&&',
-	'ldap': '&'
-    }),
-    'or': new LogicalOperator({
-	'cstyle': '||',
-	'ldap': '|'
-    })
-};
 
+	return ('unknown');
+}
 
 /*
- * Primitive functions: these implement predicate operations on the primitive
- * representation (a straight object) rather than the Predicate class.  The
- * primitive representation is exactly the format that users pass into
- * createPredicate().  For details, see README.md.  These primitive operations
- * don't reference the higher-level Predicate class at all.
+ * Given a list of strings "strs" and a function "contains(a, b)" that returns
+ * whether a string that satisfies "a" also satisfies "b" (e.g., whether "a"
+ * begins with "b"), returns the longest string (which must satisfy the others),
+ * or null if some string is not compatible with the longest one.
  */
+function krillSatLongest(strs, contains)
+{
+	var longest = '';
+
+	strs.forEach(function (str) {
+		if (str.length > longest.length)
+			longest = str;
+	});
+
+	return (strs.every(function (str) {
+		return (contains(longest, str));
+	}) ? longest : null);
+}
 
 /*
- * Determines whether a predicate has expressions that need to evaluated.
+ * Compiles the constants of every relational predicate whose operator requires
+ * it (e.g., regular expressions for "match").
  *
  * Input:
- *  - The predicate to evaluate
+ *  - pred: A predicate that has previously been validated
+ *  - strict: Whether the predicate is evaluated in strict mode, in which sets
+ *    of constants are compiled for strict equality (see krillSetCompile())
  * Output:
- *  - True if this predicate is not trivial, false otherwise
+ *  - An object mapping each such operator to an object mapping the constants
+ *    used with that operator (serialized as JSON) to their compiled form.
  */
-function krillPrimTrivial(pred)
+function krillPrimCompileConstants(pred, strict)
 {
-	return (mod_jsprim.isEmpty(pred));
+	var compiled = {};
+
+	krillPrimWalk(function (subpred, key) {
+		var constant = subpred[key][1];
+		var ckey = JSON.stringify(constant);
+
+		if (krillOps[key].compile === null)
+			return;
+
+		if (!compiled.hasOwnProperty(key))
+			compiled[key] = {};
+
+		if (compiled[key].hasOwnProperty(ckey))
+			return;
+
+		compiled[key][ckey] = krillOps[key] instanceof SetOperator ?
+		    krillSetCompile(constant, strict) :
+		    krillOps[key].compile(constant);
+	}, pred);
+
+	return (compiled);
+}
+
+/*
+ * Returns the list of constants used in the given relational, set, or "exists"
+ * predicate.  For relational predicates, this is a single-element list, and
+ * for "exists", it's empty.
+ */
+function krillPrimConstants(pred, key)
+{
+	if (krillOps[key] instanceof SetOperator)
+		return (pred[key][1].slice(0));
+
+	if (krillOps[key] instanceof ExistsOperator)
+		return ([]);
+
+	return ([ pred[key][1] ]);
 }
 
 /*
@@ -387,6 +3825,9 @@ function krillPrimWalk(func, pred)
 		for (ii = 0; ii < pred[key].length; ii++)
 			krillPrimWalk(func, pred[key][ii]);
 
+		break;
+	case 'not':
+		krillPrimWalk(func, pred[key]);
 		break;
 	default:
 		func(pred, key);
@@ -395,37 +3836,232 @@ function krillPrimWalk(func, pred)
 
 }
 
+/*
+ * Appends to "rv" the JSON Pointers (see krillValidationError()) of the
+ * relational, set, and "exists" subpredicates of "pred", whose own JSON Pointer
+ * is "path", in the order that krillPrimWalk() visits them.  Returns "rv".
+ */
+function krillPrimLeafPaths(pred, path, rv)
+{
+	var key;
+
+	if (krillPrimTrivial(pred))
+		return (rv);
+
+	key = krillPrimGetKey(pred);
+
+	switch (key) {
+	case 'and':
+	case 'or':
+		pred[key].forEach(function (subpred, ii) {
+			krillPrimLeafPaths(subpred, path + '/' + key + '/' + ii,
+			    rv);
+		});
+		break;
+	case 'not':
+		krillPrimLeafPaths(pred[key], path + '/not', rv);
+		break;
+	default:
+		rv.push(path);
+		break;
+	}
+
+	return (rv);
+}
+
+/*
+ * Validation errors.  Besides the usual message, each error thrown by
+ * createPredicate() (or returned by validate()) for an invalid predicate has
+ * these properties:
+ *
+ *     code	a machine-readable string identifying the problem:
+ *
+ *     		INVALID_PREDICATE	a subpredicate is not an object
+ *     		UNKNOWN_OPERATOR	the operator is not one of krillOps
+ *     		INVALID_OPERANDS	the operator's operands have the wrong
+ *     					form (e.g., not an array, or the wrong
+ *     					number of elements)
+ *     		INVALID_FIELD		the field name is not a string or not a
+ *     					valid JSON Pointer
+ *     		INVALID_CONSTANT	a constant is not a valid value for the
+ *     					operator (or the field's type)
+ *     		UNDEFINED_FIELD		the field is not in the types map (or
+ *     					refers to an object, not a value)
+ *     		UNSUPPORTED_TYPE	the operator can't be applied to values
+ *     					of the field's (or the constant's) type
+ *     		TYPE_MISMATCH		a constant doesn't have the field's type
+ *     		INVALID_TYPES		the types map itself is invalid
+ *     		INVALID_TYPES_ARGUMENT	the types map isn't an object
+ *
+ *     path	the JSON Pointer (RFC 6901) of the offending subpredicate
+ *     		within the predicate (e.g., "" for the predicate itself or
+ *     		"/and/1/not" for the negated subpredicate of the second
+ *     		element of a top-level "and"), or null for INVALID_TYPES
+ *     		and INVALID_TYPES_ARGUMENT
+ *
+ *     operator	the operator of that subpredicate, or null if it doesn't
+ *     		have one
+ *
+ *     field	the field name used by that subpredicate, or the name of
+ *     		the invalid field in the types map, or null
+ *
+ * Validators throw these errors with "path" set to null, and the caller that
+ * knows where the subpredicate is fills it in.
+ */
+
+/*
+ * Adds the validation error properties (see above) to "err" and returns it.
+ */
+function krillValidationError(err, code, key, field)
+{
+	err.code = code;
+	err.path = null;
+	err.operator = key;
+	err.field = field;
+	return (err);
+}
+
+/*
+ * Handles the validation error "err" for the subpredicate at "path": if
+ * "errors" is an array, the error is added to it, and otherwise it's thrown.
+ */
+function krillValidationFailed(err, path, errors)
+{
+	if (err.path === null)
+		err.path = path;
+
+	if (errors === null)
+		throw (err);
+
+	errors.push(err);
+}
+
 /*
  * This is the entry point for validating and parsing any given predicate. This
  * will be called when beginning to parse any specific predicate.
  *
  * Input:
  *  - pred: The predicate that we want to validate
+ *  - path: The JSON Pointer of "pred" within the top-level predicate
+ *  - errors: An array to which validation errors are added, or null to
+ *    throw the first one
  *
- * Output: None on success, an exception is thrown on error.
+ * Output: None on success, an exception is thrown on error (unless "errors"
+ * is an array).
  */
-function krillPrimValidateSyntax(pred)
+function krillPrimValidateSyntax(pred, path, errors)
 {
 	var key;
 
-	if (!(pred instanceof Object))
-		throw (new VError('predicate %j: must be an object', pred));
+	try {
+		if (!(pred instanceof Object))
+			throw (krillValidationError(new VError(
+			    'predicate %j: must be an object', pred),
+			    'INVALID_PREDICATE', null, null));
 
-	if (krillPrimTrivial(pred))
+		if (krillPrimTrivial(pred))
+			return;
+
+		try {
+			key = krillPrimGetKey(pred);
+		} catch (ex) {
+			throw (krillValidationError(ex, 'INVALID_PREDICATE',
+			    null, null));
+		}
+
+		if (!krillHasKey(krillOps, key))
+			throw (krillValidationError(new VError(
+			    'predicate %j: unknown operator "%s"', pred, key),
+			    'UNKNOWN_OPERATOR', key, null));
+
+		krillOps[key].validate(pred, key, path, errors);
+	} catch (ex) {
+		krillValidationFailed(ex, path, errors);
+	}
+}
+
+/*
+ * Validates that the predicate has a valid format for relational predicates.
+ * That means that it fits the format:
+ * { key: [ field, constant ] }
+ *
+ * Input:
+ *  - pred: The predicate
+ *  - key: The key that we're interested in
+ *
+ * On return the following points have been validated:
+ *  - That the key points to a two element array
+ *  - That the first field is a valid type
+ */
+function krillPrimValidateRel(pred, key)
+{
+	var field, constant;
+
+	if (!pred[key])
+		throw (krillValidationError(new VError(
+		    'predicate %j: missing key "%s"', pred, key),
+		    'INVALID_OPERANDS', key, null));
+
+	if (!(pred[key] instanceof Array))
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s": expected array', pred, key),
+		    'INVALID_OPERANDS', key, null));
+
+	if (pred[key].length != 2)
+		throw (krillValidationError(new VError(
+		    'predicate %j: "%s" array must have 2 elements',
+		    pred, key), 'INVALID_OPERANDS', key, null));
+
+	field = pred[key][0];
+	constant = pred[key][1];
+
+	if (typeof (field) != 'string')
+		throw (krillValidationError(new VError(
+		    'predicate %j: field "%s" is not a string', pred, key),
+		    'INVALID_FIELD', key, null));
+
+	krillPrimValidateField(pred, key, field);
+
+	if (constant === null && krillOps[key].nulls)
 		return;
 
-	key = krillPrimGetKey(pred);
-	if (!(key in krillOps))
-		throw (new VError('predicate %j: unknown operator "%s"',
-		    pred, key));
+	if (typeof (constant) != 'number' &&
+	    typeof (constant) != 'string' &&
+	    typeof (constant) != 'boolean')
+		throw (krillValidationError(new VError(
+		    'predicate %j: field "%s" is not a string, number, or ' +
+		    'boolean', pred, field), 'INVALID_CONSTANT', key, field));
+
+	if (krillOps[key].compile !== null) {
+		try {
+			krillOps[key].compile(constant);
+		} catch (ex) {
+			throw (krillValidationError(new VError(ex,
+			    'predicate %j: operator "%s": invalid constant ' +
+			    '"%s"', pred, key, constant), 'INVALID_CONSTANT',
+			    key, field));
+		}
+	}
+}
 
-	krillOps[key].validate(pred, key);
+/*
+ * Validates the syntax of the field name "field" used in predicate "pred"
+ * (with operator "key").
+ */
+function krillPrimValidateField(pred, key, field)
+{
+	try {
+		krillFieldParse(field);
+	} catch (ex) {
+		throw (krillValidationError(new VError(ex, 'predicate %j',
+		    pred), 'INVALID_FIELD', key, field));
+	}
 }
 
 /*
- * Validates that the predicate has a valid format for relational predicates.
- * That means that it fits the format:
- * { key: [ field, constant ] }
+ * Validates that the predicate has a valid format for set predicates.  That
+ * means that it fits the format:
+ * { key: [ field, [ constant, ... ] ] }
  *
  * Input:
  *  - pred: The predicate
@@ -433,36 +4069,83 @@ function krillPrimValidateSyntax(pred)
  *
  * On return the following points have been validated:
  *  - That the key points to a two element array
- *  - That the first field is a valid type
+ *  - That the first element is a string
+ *  - That the second element is a non-empty array of constants, each of which
+ *    is a string, number, or boolean
  */
-function krillPrimValidateRel(pred, key)
+function krillPrimValidateSet(pred, key)
 {
-	var field, constant;
+	var field, constants, ii;
 
 	if (!pred[key])
-		throw (new VError('predicate %j: missing key "%s"', pred, key));
+		throw (krillValidationError(new VError(
+		    'predicate %j: missing key "%s"', pred, key),
+		    'INVALID_OPERANDS', key, null));
 
 	if (!(pred[key] instanceof Array))
-		throw (new VError('predicate %j: operator "%s": expected array',
-		    pred, key));
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s": expected array', pred, key),
+		    'INVALID_OPERANDS', key, null));
 
 	if (pred[key].length != 2)
-		throw (new VError(
+		throw (krillValidationError(new VError(
 		    'predicate %j: "%s" array must have 2 elements',
-		    pred, key));
+		    pred, key), 'INVALID_OPERANDS', key, null));
 
 	field = pred[key][0];
-	constant = pred[key][1];
+	constants = pred[key][1];
 
 	if (typeof (field) != 'string')
-		throw (new VError('predicate %j: field "%s" is not a string',
-		    pred, key));
+		throw (krillValidationError(new VError(
+		    'predicate %j: field "%s" is not a string', pred, key),
+		    'INVALID_FIELD', key, null));
 
-	if (typeof (constant) != 'number' &&
-	    typeof (constant) != 'string' &&
-	    typeof (constant) != 'boolean')
-		throw (new VError('predicate %j: field "%s" is not a string, ' +
-		    'number, or boolean', pred, field));
+	krillPrimValidateField(pred, key, field);
+
+	if (!(constants instanceof Array))
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s": expected array of values',
+		    pred, key), 'INVALID_CONSTANT', key, field));
+
+	if (constants.length < 1)
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s": expected at least 1 value',
+		    pred, key), 'INVALID_CONSTANT', key, field));
+
+	for (ii = 0; ii < constants.length; ii++) {
+		if (typeof (constants[ii]) != 'number' &&
+		    typeof (constants[ii]) != 'string' &&
+		    typeof (constants[ii]) != 'boolean')
+			throw (krillValidationError(new VError(
+			    'predicate %j: field "%s": value %d is not a ' +
+			    'string, number, or boolean', pred, field, ii),
+			    'INVALID_CONSTANT', key, field));
+	}
+}
+
+/*
+ * Validates that the "exists" predicate has a valid format.  That means that it
+ * fits the format:
+ * { key: [ field ] }
+ */
+function krillPrimValidateExists(pred, key)
+{
+	if (!(pred[key] instanceof Array))
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s": expected array', pred, key),
+		    'INVALID_OPERANDS', key, null));
+
+	if (pred[key].length != 1)
+		throw (krillValidationError(new VError(
+		    'predicate %j: "%s" array must have 1 element',
+		    pred, key), 'INVALID_OPERANDS', key, null));
+
+	if (typeof (pred[key][0]) != 'string')
+		throw (krillValidationError(new VError(
+		    'predicate %j: field "%s" is not a string', pred, key),
+		    'INVALID_FIELD', key, null));
+
+	krillPrimValidateField(pred, key, pred[key][0]);
 }
 
 /*
@@ -473,43 +4156,107 @@ function krillPrimValidateRel(pred, key)
  * Input:
  *  - pred: The current predicate
  *  - key: The key that we're interested in
+ *  - path, errors: As for krillPrimValidateSyntax()
  *
  * On Return the following points have been validated:
  *  - The key points to an array of at least length two
  *  - Every object in the array is a valid predicate or logical expression
  */
-function krillPrimValidateLog(pred, key)
+function krillPrimValidateLog(pred, key, path, errors)
 {
 	var ii;
 
 	if (!pred[key])
-		throw (new VError('predicate %j: expected "%s" in logical ' +
-		    'expression', pred, key));
+		throw (krillValidationError(new VError(
+		    'predicate %j: expected "%s" in logical expression',
+		    pred, key), 'INVALID_OPERANDS', key, null));
 
 	if (!(pred[key] instanceof Array))
-		throw (new VError('predicate %j: operator "%s": expected array',
-		    pred, key));
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s": expected array', pred, key),
+		    'INVALID_OPERANDS', key, null));
 
 	if (pred[key].length < 2)
-		throw (new VError('predicate %j: operator "%s": expected at ' +
-		    'least 2 elements in array', pred, key));
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s": expected at least 2 ' +
+		    'elements in array', pred, key),
+		    'INVALID_OPERANDS', key, null));
 
 	for (ii = 0; ii < pred[key].length; ii++)
-		krillPrimValidateSyntax(pred[key][ii]);
+		krillPrimValidateSyntax(pred[key][ii],
+		    path + '/' + key + '/' + ii, errors);
+}
+
+/*
+ * Validates that the negation expression has a valid format.  This means that
+ * it is of the format:
+ * { key: obj }
+ *
+ * Input:
+ *  - pred: The current predicate
+ *  - key: The key that we're interested in
+ *  - path, errors: As for krillPrimValidateSyntax()
+ *
+ * On return the following points have been validated:
+ *  - The key points to a single object (not an array)
+ *  - That object is itself a valid predicate
+ */
+function krillPrimValidateNot(pred, key, path, errors)
+{
+	if (!pred[key])
+		throw (krillValidationError(new VError(
+		    'predicate %j: expected "%s" in negation expression',
+		    pred, key), 'INVALID_OPERANDS', key, null));
+
+	if (pred[key] instanceof Array)
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s": expected object, not array',
+		    pred, key), 'INVALID_OPERANDS', key, null));
+
+	krillPrimValidateSyntax(pred[key], path + '/' + key, errors);
 }
 
 /*
  * Validates the semantic properties of the predicate. This includes making sure
  * that every field is valid for the predicate and the values present match the
- * expected type.
+ * expected type.  "path" and "errors" are as for krillPrimValidateSyntax(), and
+ * subpredicates whose syntax is invalid (those at the path of one of the
+ * "errors") are skipped.
  */
-function krillPrimValidateTypes(fieldtypes, pred)
+function krillPrimValidateTypes(fieldtypes, pred, path, errors)
 {
-	var func = function (ent, key) {
-	    return (krillPrimValidateFieldType(fieldtypes, ent, key));
-	};
+	var key, ii;
+
+	if (errors !== null && errors.some(function (err) {
+		return (err.path === path);
+	}))
+		return;
+
+	if (krillPrimTrivial(pred))
+		return;
+
+	key = krillPrimGetKey(pred);
+	switch (key) {
+	case 'and':
+	case 'or':
+		for (ii = 0; ii < pred[key].length; ii++)
+			krillPrimValidateTypes(fieldtypes, pred[key][ii],
+			    path + '/' + key + '/' + ii, errors);
+		break;
+
+	case 'not':
+		krillPrimValidateTypes(fieldtypes, pred[key], path + '/' + key,
+		    errors);
+		break;
 
-	krillPrimWalk(func, pred);
+	default:
+		try {
+			krillPrimValidateFieldType(fieldtypes, pred, key);
+		} catch (ex) {
+			krillValidationFailed(ex, path, errors);
+		}
+		break;
+	}
 }
 
 /*
@@ -524,29 +4271,149 @@ function krillPrimValidateTypes(fieldtypes, pred)
  */
 function krillPrimValidateFieldType(fieldtypes, pred, key)
 {
-	var field, constant, actual_type, field_type;
+	var field, constants, constant, actual_type, field_type, ii;
 
 	field = pred[key][0];
-	constant = pred[key][1];
-	actual_type = typeof (constant);
+	constants = krillPrimConstants(pred, key);
+
+	/* "exists" can be applied to any field, including objects. */
+	if (fieldtypes !== null && krillOps[key] instanceof ExistsOperator) {
+		try {
+			if (krillPrimLookup(fieldtypes,
+			    krillFieldParse(field)) === undefined)
+				throw (new VError('field "%s" is not defined',
+				    field));
+		} catch (ex) {
+			throw (krillValidationError(new VError(ex,
+			    'predicate %j', pred), 'UNDEFINED_FIELD', key,
+			    field));
+		}
+		return;
+	}
+
+	if (fieldtypes !== null) {
+		switch (krillConvertedType(fieldtypes, field)) {
+		case 'date':
+			krillPrimValidateDate(pred, key);
+			return;
+
+		case 'ip':
+			krillPrimValidateIP(pred, key);
+			return;
+
+		default:
+			break;
+		}
+	}
+
+	for (ii = 0; ii < constants.length; ii++) {
+		constant = constants[ii];
+		actual_type = typeof (constant);
+
+		if (constant !== null && krillOps[key].types &&
+		    krillOps[key].types.indexOf(actual_type) == -1)
+			throw (krillValidationError(new VError(
+			    'predicate %j: operator "%s" cannot be applied ' +
+			    'to fields of type "%s"', pred, key, actual_type),
+			    'UNSUPPORTED_TYPE', key, field));
+
+		if (fieldtypes === null)
+			continue;
+
+		try {
+			field_type = krillFieldType(fieldtypes, field);
+		} catch (ex) {
+			throw (krillValidationError(new VError(ex,
+			    'predicate %j', pred), 'UNDEFINED_FIELD', key,
+			    field));
+		}
+
+		if (krillOps[key].fieldtype !== null &&
+		    field_type != krillOps[key].fieldtype)
+			throw (krillValidationError(new VError(
+			    'predicate %j: operator "%s" cannot be applied ' +
+			    'to fields of type "%s"', pred, key, field_type),
+			    'UNSUPPORTED_TYPE', key, field));
+
+		if (constant !== null && field_type != actual_type)
+			throw (krillValidationError(new VError(
+			    'predicate %j: field "%s" value ("%j") expected ' +
+			    '"%s", but got "%s"', pred, field, constant,
+			    field_type, actual_type), 'TYPE_MISMATCH', key,
+			    field));
+	}
+}
+
+/*
+ * Validates the relational predicate "pred" (with operator "key") whose field
+ * has type "date".  The constant must be null or a string containing a valid
+ * date.
+ */
+function krillPrimValidateDate(pred, key)
+{
+	var field = pred[key][0];
+	var constant = pred[key][1];
+
+	if (!krillOps[key].dates)
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s" cannot be applied to fields ' +
+		    'of type "date"', pred, key), 'UNSUPPORTED_TYPE', key,
+		    field));
+
+	if (constant === null)
+		return;
+
+	if (typeof (constant) != 'string')
+		throw (krillValidationError(new VError(
+		    'predicate %j: field "%s" value ("%j") expected "date", ' +
+		    'but got "%s"', pred, field, constant, typeof (constant)),
+		    'TYPE_MISMATCH', key, field));
+
+	try {
+		mod_date.parseDateConstant(constant);
+	} catch (ex) {
+		throw (krillValidationError(new VError(ex,
+		    'predicate %j: field "%s"', pred, field),
+		    'INVALID_CONSTANT', key, field));
+	}
+}
+
+/*
+ * Validates the relational predicate "pred" (with operator "key") whose field
+ * has type "ip".  The constant must be null or a string containing a valid IP
+ * address (or, for "within", a CIDR block, which was validated with the
+ * syntax).
+ */
+function krillPrimValidateIP(pred, key)
+{
+	var field = pred[key][0];
+	var constant = pred[key][1];
 
-	if (krillOps[key].types &&
-	    krillOps[key].types.indexOf(actual_type) == -1)
-		throw (new VError('predicate %j: operator "%s" cannot be ' +
-		    'applied to fields of type "%s"', pred, key, actual_type));
+	if (!krillOps[key].ips)
+		throw (krillValidationError(new VError(
+		    'predicate %j: operator "%s" cannot be applied to fields ' +
+		    'of type "ip"', pred, key), 'UNSUPPORTED_TYPE', key,
+		    field));
 
-	if (fieldtypes === null)
+	if (constant === null)
 		return;
 
-	if (!(field in fieldtypes))
-		throw (new VError('predicate %j: field "%s" is not defined',
-		    pred, field));
-	field_type = fieldtypes[field];
-	if (field_type != actual_type)
-		throw (new VError('predicate %j: field "%s" value ("%j") ' +
-		    'expected "%s", but got "%s"', pred, field, constant,
-		    field_type, actual_type));
+	if (typeof (constant) != 'string')
+		throw (krillValidationError(new VError(
+		    'predicate %j: field "%s" value ("%j") expected "ip", ' +
+		    'but got "%s"', pred, field, constant, typeof (constant)),
+		    'TYPE_MISMATCH', key, field));
+
+	if (krillOps[key].fieldtype == 'ip')
+		return;
 
+	try {
+		mod_ip.normalizeIP(constant);
+	} catch (ex) {
+		throw (krillValidationError(new VError(ex,
+		    'predicate %j: field "%s"', pred, field),
+		    'INVALID_CONSTANT', key, field));
+	}
 }
 
 /*
@@ -629,21 +4496,297 @@ function krillPrimPrintLDAP(pred) {
 	var key = sanityCheckResult.key;
 	var nbKeys = sanityCheckResult.nbKeys;
 
-	/*
-	 * Serializing an individual predicate with a number of keys !== 1 --
-	 * that is an empty predicate, or a predicate with several keys -- to a
-	 * LDAP filter string is not supported.
-	 */
-	mod_assert(nbKeys === 1);
+	/*
+	 * Serializing an individual predicate with a number of keys !== 1 --
+	 * that is an empty predicate, or a predicate with several keys -- to a
+	 * LDAP filter string is not supported.
+	 */
+	mod_assert(nbKeys === 1);
+
+	return (krillOps[key].printLDAP(pred, key));
+}
+
+/*
+ * This is the generic entry point for printing a predicate as an SQL boolean
+ * expression.  "ctx" is the printing context constructed by toSQL().  The
+ * trivial predicate is printed as the dialect's "true" constant.
+ */
+function krillPrimPrintSQL(pred, ctx)
+{
+	var sanityCheckResult = sanityCheck(pred);
+	var key = sanityCheckResult.key;
+	var nbKeys = sanityCheckResult.nbKeys;
+
+	if (nbKeys === 0)
+		return (ctx.dialect.trueExpr);
+
+	return (krillOps[key].printSQL(pred, key, ctx));
+}
+
+/*
+ * Supported SQL dialects and how they differ:
+ *
+ *     quote		character used to quote identifiers
+ *
+ *     placeholderStyle	default placeholder style
+ *
+ *     trueExpr		expression that's always true
+ *
+ *     regexp		operator for regular expression matching
+ *
+ *     cidr		operator for CIDR containment, or null if there isn't
+ *     			one
+ */
+var krillSqlDialects = {
+    'postgres': {
+	'quote': '"',
+	'placeholderStyle': '$',
+	'trueExpr': 'TRUE',
+	'regexp': '~',
+	'cidr': '<<='
+    },
+    'mysql': {
+	'quote': '`',
+	'placeholderStyle': '?',
+	'trueExpr': 'TRUE',
+	'regexp': 'REGEXP',
+	'cidr': null
+    },
+    'sqlite': {
+	'quote': '"',
+	'placeholderStyle': '?',
+	'trueExpr': '1',
+	'regexp': 'REGEXP',
+	'cidr': null
+    }
+};
+
+/*
+ * Adds "value" to the list of bound parameters and returns its placeholder.
+ */
+function krillSqlBind(ctx, value)
+{
+	ctx.values.push(value);
+	return (ctx.placeholderStyle == '$' ? '$' + ctx.values.length : '?');
+}
+
+/*
+ * Returns the quoted column name for field "field".
+ */
+function krillSqlColumn(ctx, field)
+{
+	var column, quote;
+
+	if (ctx.columnMap !== null) {
+		if (!krillHasKey(ctx.columnMap, field))
+			throw (new VError('field "%s": no column in columnMap',
+			    field));
+		column = ctx.columnMap[field];
+		mod_assert.string(column, 'columnMap["' + field + '"]');
+	} else {
+		if (field.charAt(0) == '/')
+			throw (new VError('field "%s": JSON Pointer fields ' +
+			    'require a columnMap', field));
+		column = field;
+	}
+
+	quote = ctx.dialect.quote;
+	return (column.split('.').map(function (part) {
+		if (part.length === 0)
+			throw (new VError('field "%s": invalid column name ' +
+			    '"%s"', field, column));
+		return (quote + part.split(quote).join(quote + quote) + quote);
+	}).join('.'));
+}
+
+/*
+ * Prints out the value of a relational predicate as an SQL expression.
+ * This should print as:
+ * <column> <operator> <placeholder>
+ *
+ * Input:
+ *  - pred: The predicate to print
+ *  - key: The key for the predicate
+ *  - ctx: The SQL printing context
+ *
+ * Output:
+ *  - Returns the SQL expression, having added the constant to the list of
+ *  bound parameters in "ctx".
+ */
+function krillPrimPrintRelSQL(pred, key, ctx)
+{
+	var column = krillSqlColumn(ctx, pred[key][0]);
+
+	if (pred[key][1] === null)
+		return (column + (key == 'eq' ? ' IS NULL' : ' IS NOT NULL'));
+
+	if (typeof (krillOps[key].names.sql) === 'function')
+		return (krillOps[key].names.sql(ctx, column, pred[key][1]));
+
+	return (column + ' ' + krillOps[key].names.sql + ' ' +
+	    krillSqlBind(ctx, pred[key][1]));
+}
+
+/*
+ * Prints out the value of a set predicate as an SQL expression.
+ * This should print as:
+ * <column> <operator> (<placeholder>, <placeholder>...)
+ *
+ * As with "ne" (see buildSqlNeExpr()), "nin" is followed by:
+ * OR <column> IS NULL
+ */
+function krillPrimPrintSetSQL(pred, key, ctx)
+{
+	var column = krillSqlColumn(ctx, pred[key][0]);
+	var placeholders = pred[key][1].map(function (v) {
+		return (krillSqlBind(ctx, v));
+	});
+	var text = column + ' ' + krillOps[key].names.sql + ' (' +
+	    placeholders.join(', ') + ')';
+
+	if (key == 'nin')
+		text += ' OR ' + column + ' IS NULL';
+
+	return (text);
+}
+
+/*
+ * Prints out the value of a logical expression as an SQL expression.
+ * This should print as:
+ * (<predicate>) <operator> (<predicate>)...
+ */
+function krillPrimPrintLogSQL(pred, key, ctx)
+{
+	var elts = pred[key].map(function (x) {
+		return ('(' + krillPrimPrintSQL(x, ctx) + ')');
+	});
+
+	return (elts.join(' ' + krillOps[key].names.sql + ' '));
+}
+
+/*
+ * Prints out the value of an "exists" predicate as an SQL expression.  SQL
+ * doesn't distinguish missing values from null ones, so this is:
+ * <column> IS NOT NULL
+ */
+function krillPrimPrintExistsSQL(pred, key, ctx)
+{
+	return (krillSqlColumn(ctx, pred[key][0]) + ' ' +
+	    krillOps[key].names.sql);
+}
+
+/*
+ * Prints out the value of a negation expression as an SQL expression.
+ * This should print as:
+ * NOT (<predicate>)
+ */
+function krillPrimPrintNotSQL(pred, key, ctx)
+{
+	return (krillOps[key].names.sql + ' (' +
+	    krillPrimPrintSQL(pred[key], ctx) + ')');
+}
+
+/*
+ * Prints out the value of a relational predicate as the condition of a C "if"
+ * statement.
+ * This should print as:
+ * <field> <operator> <constant>
+ *
+ * Input:
+ *  - pred: The predicate to print
+ *  - key: The key for the predicate
+ *
+ * Output:
+ *  - Returns the string representation of the specified predicate as a C
+ *  condition expression.
+ */
+function krillPrimPrintRelCStyle(pred, key)
+{
+	var field = krillFieldPrintName(pred[key][0]);
+	var constant;
+
+	if (typeof (pred[key][1]) == 'string')
+		constant = mod_cstyle.quoteCStyle(pred[key][1]);
+	else if (pred[key][1] === null)
+		constant = 'NULL';
+	else
+		constant = String(pred[key][1]);
+
+	if (typeof (krillOps[key].names.cstyle) === 'function')
+		return (krillOps[key].names.cstyle(field, constant));
+
+	return (field + ' ' + krillOps[key].names.cstyle + ' ' + constant);
+}
+
+/*
+ * Prints out the value of a relational predicate as a LDAP filter.
+ * This should print as:
+ * <field><operator><constant>
+ *
+ * The field must be a valid attribute name, and the constant is escaped as
+ * described in RFC 4515, so hostile values can't change the structure of the
+ * filter.
+ *
+ * Input:
+ *  - pred: The predicate to print
+ *  - key: The key for the predicate
+ *
+ * Output:
+ *  - Returns the string representation of the specified predicate as a
+ *  component of an LDAP search filter.
+ */
+function krillPrimPrintRelLDAP(pred, key)
+{
+	mod_assert.ok(typeof (krillOps[key].names.ldap) === 'function' ||
+		typeof (krillOps[key].names.ldap) === 'string',
+			'LDAP name must be a function or a string');
+
+	var out;
+	var expressionBuilder;
+	var field = krillFieldPrintName(pred[key][0]);
+
+	if (!mod_ldap.validLDAPAttribute(field))
+		throw (new VError('field "%s" is not a valid LDAP attribute ' +
+		    'name', field));
+
+	/*
+	 * LDAP has no null values, so a null attribute is one that's not
+	 * present.
+	 */
+	if (pred[key][1] === null)
+		return (key == 'eq' ? '(!(' + field + '=*))' :
+		    '(' + field + '=*)');
+
+	if (typeof (krillOps[key].names.ldap) === 'function') {
+		expressionBuilder = krillOps[key].names.ldap;
+		out = expressionBuilder(field, pred[key][1]);
+	} else {
+		out = '(' + field + krillOps[key].names.ldap +
+			krillLdapValue(pred[key][1]) + ')';
+	}
+
+	return (out);
+}
+
+/*
+ * Prints out the value of an "exists" predicate as an LDAP presence filter:
+ * (<field>=*)
+ */
+function krillPrimPrintExistsLDAP(pred, key)
+{
+	var field = krillFieldPrintName(pred[key][0]);
+
+	if (!mod_ldap.validLDAPAttribute(field))
+		throw (new VError('field "%s" is not a valid LDAP attribute ' +
+		    'name', field));
 
-	return (krillOps[key].printLDAP(pred, key));
+	return ('(' + field + krillOps[key].names.ldap + ')');
 }
 
 /*
- * Prints out the value of a relational predicate as the condition of a C "if"
- * statement.
- * This should print as:
- * <field> <operator> <constant>
+ * Prints out the value of a set predicate by expanding it into the equivalent
+ * relational and logical expressions.  For example, "in" prints as:
+ * (<field> == <constant>) || (<field> == <constant>)...
  *
  * Input:
  *  - pred: The predicate to print
@@ -653,24 +4796,17 @@ function krillPrimPrintLDAP(pred) {
  *  - Returns the string representation of the specified predicate as a C
  *  condition expression.
  */
-function krillPrimPrintRelCStyle(pred, key)
+function krillPrimPrintSetCStyle(pred, key)
 {
-	var out = pred[key][0] + ' ';
-
-	out += krillOps[key].names.cstyle + ' ';
-	if (typeof (pred[key][1]) == 'string')
-		out += '"';
-	out += pred[key][1];
-	if (typeof (pred[key][1]) == 'string')
-		out += '"';
-
-	return (out);
+	return (krillPrimPrintCStyle(
+	    krillOps[key].expand(pred[key][0], pred[key][1])));
 }
 
 /*
- * Prints out the value of a relational predicate as a LDAP filter.
- * This should print as:
- * <field><operator><constant>
+ * Prints out the value of a set predicate as an LDAP filter by expanding it
+ * into the equivalent relational and logical filters.  For example, "in"
+ * prints as:
+ * (|(<field>=<constant>)(<field>=<constant>)...)
  *
  * Input:
  *  - pred: The predicate to print
@@ -680,24 +4816,10 @@ function krillPrimPrintRelCStyle(pred, key)
  *  - Returns the string representation of the specified predicate as a
  *  component of an LDAP search filter.
  */
-function krillPrimPrintRelLDAP(pred, key)
+function krillPrimPrintSetLDAP(pred, key)
 {
-	mod_assert.ok(typeof (krillOps[key].names.ldap) === 'function' ||
-		typeof (krillOps[key].names.ldap) === 'string',
-			'LDAP name must be a function or a string');
-
-	var out;
-	var expressionBuilder;
-
-	if (typeof (krillOps[key].names.ldap) === 'function') {
-		expressionBuilder = krillOps[key].names.ldap;
-		out = expressionBuilder(pred[key][0], pred[key][1]);
-	} else {
-		out = '(' + pred[key][0] + krillOps[key].names.ldap +
-			pred[key][1] + ')';
-	}
-
-	return (out);
+	return (krillPrimPrintLDAP(
+	    krillOps[key].expand(pred[key][0], pred[key][1])));
 }
 
 /*
@@ -750,20 +4872,111 @@ function krillPrimPrintLogLDAP(pred, key)
 	return ('(' + krillOps[key].names.ldap + elts.join('') + ')');
 }
 
+/*
+ * Prints out the value of a negation expression.
+ * This should print as:
+ * !(<predicate>)
+ *
+ * Inputs:
+ *  - pred: The negation expression to print
+ *  - key: The key for the object in the negation expression
+ *
+ * Output:
+ *  - Returns the string representation of the specified predicate as a
+ *  condition expression of a C if statement.
+ */
+function krillPrimPrintNotCStyle(pred, key)
+{
+	return (krillOps[key].names.cstyle + '(' +
+	    krillPrimPrintCStyle(pred[key]) + ')');
+}
+
+/*
+ * Prints out the value of a negation expression.
+ * This should print as:
+ * (!<predicate>)
+ *
+ * Inputs:
+ *  - pred: The negation expression to print
+ *  - key: The key for the object in the negation expression
+ *
+ * Output:
+ *  - Returns the string representation of the specified predicate as a
+ *  component of an LDAP search filter.
+ */
+function krillPrimPrintNotLDAP(pred, key)
+{
+	/*
+	 * The negation of the trivial predicate is printed as the "absolute
+	 * false" filter of RFC 4526, which fromLDAPFilter() accepts.
+	 */
+	if (krillPrimTrivial(pred[key]))
+		return ('(|)');
+
+	return ('(' + krillOps[key].names.ldap +
+	    krillPrimPrintLDAP(pred[key]) + ')');
+}
+
+/*
+ * Returns a copy of "pred" in which each field has been replaced with its value
+ * in "obj", like Predicate.replaceFields(), except that fields missing from
+ * "obj" are handled according to "missing" (see createPredicate()) and never
+ * cause "exists" to throw.  Missing fields are replaced with krillMissing (or,
+ * in "null" mode, null for operators other than "exists").
+ */
+function krillPrimResolveFields(pred, obj, missing)
+{
+	var rv = mod_jsprim.deepCopy(pred);
+
+	krillPrimWalk(function (subpred, key) {
+		var path = krillFieldParse(subpred[key][0]);
+		var presence = krillOps[key] instanceof ExistsOperator;
+		var value;
+
+		try {
+			value = krillPrimLookup(obj, path);
+			if (value === undefined && !presence &&
+			    missing == 'error')
+				throw (krillFieldMissingError(obj, path));
+		} catch (ex) {
+			if (!presence)
+				throw (new VError(ex, 'subpredicate "%j"',
+				    subpred));
+			value = undefined;
+		}
+
+		if (value === undefined)
+			value = !presence && missing == 'null' ? null :
+			    krillMissing;
+
+		subpred[key][0] = value;
+	}, rv);
+
+	return (rv);
+}
+
 /*
  * Evaluate the given predicate (whose named fields have already been replaced
  * with corresponding values) and return whether the boolean expression is true.
+ * "compiled" is the cache of compiled constants for this predicate, as returned
+ * by krillPrimCompileConstants().
  */
-function krillPrimEval(pred)
+function krillPrimEval(pred, compiled)
 {
-	var key, ii;
+	var key, ii, constant;
+
+	if (krillPrimTrivial(pred))
+		return (true);
 
 	key = krillPrimGetKey(pred);
 
 	switch (key) {
+	case 'not':
+		return (!krillPrimEval(pred['not'], compiled));
+
 	case 'and':
 		for (ii = 0; ii < pred['and'].length; ii++) {
-			if (!krillPrimEval(pred['and'][ii]))
+			if (!krillPrimEval(pred['and'][ii], compiled))
 				return (false);
 		}
 
@@ -771,24 +4984,538 @@ function krillPrimEval(pred)
 
 	case 'or':
 		for (ii = 0; ii < pred['or'].length; ii++) {
-			if (krillPrimEval(pred['or'][ii]))
+			if (krillPrimEval(pred['or'][ii], compiled))
 				return (true);
 		}
 
 		return (false);
 
+	default:
+		mod_assert.ok(krillHasKey(krillOps, key));
+		mod_assert.ok(pred[key].length ==
+		    (krillOps[key] instanceof ExistsOperator ? 1 : 2));
+		break;
+	}
+
+	constant = pred[key][1];
+	return (krillPrimEvalRel(key, pred[key][0], constant,
+	    krillOps[key].compile === null ? constant :
+	    compiled[key][JSON.stringify(constant)]));
+}
+
+/*
+ * Evaluate a single relational or set predicate with operator "key", where
+ * "value" is the value of the field and "constant" is the constant from the
+ * predicate.  "evalconstant" is the form of the constant that the operator
+ * actually uses, which is the compiled form for operators that compile their
+ * constants (see krillPrimCompileConstants()) and just "constant" otherwise.
+ *
+ * Comparisons with a missing value (krillMissing) are false.  A null value is
+ * only equal to a null constant, so it satisfies "ne", "nin", and "eq" with
+ * null, but every other comparison with it is false.
+ */
+function krillPrimEvalRel(key, value, constant, evalconstant)
+{
+	if (krillOps[key] instanceof ExistsOperator)
+		return (krillOps[key].eval(value));
+
+	if (value === krillMissing)
+		return (false);
+
+	switch (key) {
+	case 'prefix':
+	case 'suffix':
+	case 'contains':
+	case 'glob':
+	case 'match':
+		if (value === null)
+			return (false);
+		mod_assert.ok(typeof (value) == 'string');
+		mod_assert.ok(typeof (constant) == 'string');
+		break;
+
 	case 'lt':
 	case 'le':
 	case 'gt':
 	case 'ge':
-		mod_assert.ok(typeof (pred[key][0]) == 'number');
-		mod_assert.ok(typeof (pred[key][1]) == 'number');
-		/*jsl:fallthru*/
+		if (value === null)
+			return (false);
+		mod_assert.ok(typeof (value) == 'number');
+		mod_assert.ok(typeof (constant) == 'number');
+		break;
+
+	case 'within':
+		if (value === null)
+			return (false);
+		break;
+
+	default:
+		break;
+	}
+
+	return (krillOps[key].eval(value, evalconstant));
+}
+
+/*
+ * Returns the node of Predicate.explain() for "pred", whose fields have been
+ * replaced with their values in "resolved", at JSON Pointer "path".  If
+ * "skipped" is true, the subpredicate isn't evaluated.  "state" has the object
+ * being evaluated ("obj"), the cache of compiled constants ("compiled"), the
+ * values of the fields before they were converted ("values", in the order of
+ * krillPrimWalk()), and the number of those values used so far ("nleaves").
+ * This must evaluate the predicate exactly as krillPrimEval() does.
+ */
+function krillPrimExplain(state, pred, resolved, path, skipped)
+{
+	var node, key, child, value, ii;
+
+	node = {
+	    'predicate': pred,
+	    'path': path,
+	    'operator': null,
+	    'result': skipped ? null : true,
+	    'skipped': skipped
+	};
+
+	if (krillPrimTrivial(pred))
+		return (node);
+
+	key = krillPrimGetKey(pred);
+	node['operator'] = key;
+
+	switch (key) {
+	case 'not':
+		child = krillPrimExplain(state, pred['not'], resolved['not'],
+		    path + '/not', skipped);
+		node['children'] = [ child ];
+		if (!skipped)
+			node['result'] = !child['result'];
+		return (node);
+
+	case 'and':
+	case 'or':
+		node['children'] = [];
+		if (!skipped)
+			node['result'] = key == 'and';
+		for (ii = 0; ii < pred[key].length; ii++) {
+			child = krillPrimExplain(state, pred[key][ii],
+			    resolved[key][ii], path + '/' + key + '/' + ii,
+			    skipped);
+			node['children'].push(child);
+			if (!skipped && child['result'] === (key == 'or')) {
+				node['result'] = child['result'];
+				skipped = true;
+			}
+		}
+		return (node);
+
+	default:
+		break;
+	}
+
+	value = state.values[state.nleaves++];
+	node['field'] = pred[key][0];
+	node['missing'] = value === krillMissing || (value === null &&
+	    krillPrimLookup(state.obj, krillFieldParse(pred[key][0])) ===
+	    undefined);
+	node['value'] = node['missing'] ? undefined : value;
+	if (!skipped)
+		node['result'] = krillPrimEval(resolved, state.compiled);
+	return (node);
+}
+
+/*
+ * Returns "pred" (whose JSON Pointer is "path") printed in C-style syntax, for
+ * explanationToString() and nodeStatsToString().  Operators that C-style
+ * syntax can't express are printed like function calls ("op(field,
+ * constant)").  "annotate" is invoked with the path, subpredicate, and operator
+ * (null for the trivial predicate) of each subpredicate, and returns a note to
+ * print after it in brackets, or null.  Annotated "and", "or", and "not"
+ * subpredicates are enclosed in parentheses.
+ */
+function krillPrintAnnotated(pred, path, annotate)
+{
+	var key, text, note;
+
+	key = krillPrimTrivial(pred) ? null : krillPrimGetKey(pred);
+
+	switch (key) {
+	case null:
+		text = '1';
+		break;
+
+	case 'not':
+		text = krillOps[key].names.cstyle + '(' +
+		    krillPrintAnnotated(pred[key], path + '/not', annotate) +
+		    ')';
+		break;
+
+	case 'and':
+	case 'or':
+		text = pred[key].map(function (subpred, ii) {
+			return ('(' + krillPrintAnnotated(subpred,
+			    path + '/' + key + '/' + ii, annotate) + ')');
+		}).join(' ' + krillOps[key].names.cstyle + ' ');
+		break;
+
+	default:
+		try {
+			text = krillPrimPrintCStyle(pred);
+			if (krillOps[key] instanceof SetOperator)
+				text = '(' + text + ')';
+		} catch (ex) {
+			text = key + '(' + [ krillFieldPrintName(pred[key][0]) ]
+			    .concat(pred[key].slice(1).map(function (constant) {
+				return (JSON.stringify(constant));
+			    })).join(', ') + ')';
+		}
+		break;
+	}
+
+	if ((note = annotate(path, pred, key)) === null)
+		return (text);
+
+	if (key == 'and' || key == 'or' || key == 'not')
+		text = '(' + text + ')';
+
+	return (text + ' [' + note + ']');
+}
+
+/*
+ * Builds a function that evaluates the predicate "pred" (whose fields have NOT
+ * been replaced) against an object.  "compiled" is the cache of compiled
+ * constants for this predicate.  "strict" is the list of strict mode checks
+ * (or null), and "missing" says how to handle missing fields (see
+ * createPredicate()).  See Predicate.compile().
+ *
+ * The returned function first looks up each distinct field in the object, in
+ * the same order and with the same errors as krillPrimResolveFields(), and
+ * then evaluates a tree of closures (built by krillPrimCompileNode()) over the
+ * resulting values.  Fields used by operators other than "exists" are
+ * "required", and are looked up first in the order that they're first used by
+ * such an operator.  Only required fields cause errors.
+ *
+ * If "stats" isn't null, the function also counts the results of each
+ * subpredicate there, keyed by JSON Pointer (see PredicateStream.stats()).  An
+ * object that can't be evaluated counts as an error for the subpredicate whose
+ * field caused the error (the first one using the field, for lookups, or the
+ * one whose operator threw) and each subpredicate containing it.  If "matched"
+ * isn't null, it's an array that the function empties and then fills with the
+ * JSON Pointers of the relational, set, and "exists" subpredicates that were
+ * evaluated and true, in order, each time it's called.
+ */
+function krillPrimCompile(pred, compiled, converted, strict, options,
+    missing, stats, matched)
+{
+	var fields, fieldindex, clock, root, leafpaths, failed, evaluator;
+
+	if (krillPrimTrivial(pred) && stats === null && matched === null)
+		return (function () { return (true); });
+
+	/*
+	 * The first pass finds the required fields, and the second finds the
+	 * fields used only by "exists".
+	 */
+	fields = [];
+	fieldindex = {};
+	[ true, false ].forEach(function (required) {
+		var leaf = 0;
+
+		krillPrimWalk(function (subpred, key) {
+			var field = subpred[key][0];
+			var presence = krillOps[key] instanceof ExistsOperator;
+
+			leaf++;
+			if (krillHasKey(fieldindex, field) ||
+			    presence == required)
+				return;
+
+			fieldindex[field] = fields.length;
+			fields.push({
+			    'path': krillFieldParse(field),
+			    'subpred': subpred,
+			    'leaf': leaf - 1,
+			    'required': required,
+			    'type': converted !== null &&
+				krillHasKey(converted, field) ?
+				converted[field] : null
+			});
+		}, pred);
+	});
+
+	/*
+	 * Relative dates are resolved against the time when each object is
+	 * evaluated, which we save in "clock" along with the types of the
+	 * converted fields.
+	 */
+	clock = converted === null ? null :
+	    { 'converted': converted, 'now': null };
+	root = krillPrimCompileNode(pred, compiled, fieldindex, clock,
+	    missing, stats, matched, '');
+
+	/*
+	 * "failed" records the index of the subpredicate (in the order of
+	 * krillPrimWalk()) responsible for an error, for "stats".
+	 */
+	failed = null;
+	evaluator = function (obj) {
+		var values, ii, value;
+
+		if (matched !== null)
+			matched.length = 0;
+
+		values = new Array(fields.length);
+		for (ii = 0; ii < fields.length; ii++) {
+			try {
+				value = krillPrimLookup(obj, fields[ii].path);
+				if (value === undefined &&
+				    fields[ii].required && missing == 'error')
+					throw (krillFieldMissingError(obj,
+					    fields[ii].path));
+			} catch (ex) {
+				if (fields[ii].required) {
+					failed = fields[ii].leaf;
+					throw (new VError(ex,
+					    'subpredicate "%j"',
+					    fields[ii].subpred));
+				}
+				value = undefined;
+			}
+
+			values[ii] = value === undefined ? krillMissing : value;
+		}
+
+		if (strict !== null) {
+			for (ii = 0; ii < strict.length; ii++) {
+				failed = strict[ii].leaf;
+				krillCheckValue(strict[ii],
+				    values[fieldindex[strict[ii].field]]);
+			}
+			failed = null;
+		}
+
+		if (clock !== null) {
+			for (ii = 0; ii < fields.length; ii++) {
+				if (fields[ii].type === null ||
+				    !fields[ii].required ||
+				    values[ii] === null ||
+				    values[ii] === krillMissing)
+					continue;
+
+				try {
+					values[ii] = krillConvertValue(
+					    fields[ii].type,
+					    fields[ii].path.field, values[ii]);
+				} catch (ex) {
+					failed = fields[ii].leaf;
+					throw (new VError(ex,
+					    'subpredicate "%j"',
+					    fields[ii].subpred));
+				}
+			}
+
+			clock.now = krillNow(options);
+		}
+
+		return (root(values));
+	};
+
+	if (stats === null)
+		return (evaluator);
+
+	leafpaths = krillPrimLeafPaths(pred, '', []);
+	return (function (obj) {
+		failed = null;
+		try {
+			return (evaluator(obj));
+		} catch (ex) {
+			if (failed !== null)
+				krillStatsError(stats, leafpaths[failed]);
+			throw (ex);
+		}
+	});
+}
+
+/*
+ * Counts an error in "stats" (see krillPrimCompile()) for the subpredicate
+ * whose JSON Pointer is "path" and each subpredicate containing it.
+ */
+function krillStatsError(stats, path)
+{
+	mod_jsprim.forEachKey(stats, function (nodepath, counters) {
+		if (nodepath == path ||
+		    path.substr(0, nodepath.length + 1) == nodepath + '/')
+			counters.nerrors++;
+	});
+}
+
+/*
+ * Builds a closure that evaluates the predicate "pred" given an array of field
+ * values, where "fieldindex" maps each field name to its index in that array.
+ * If the predicate has "date" or "ip" fields, "clock" contains their types
+ * ("converted") and the current time ("now"); otherwise, it's null.  In "null"
+ * mode (see "missing" in createPredicate()), missing values are compared as
+ * null by operators other than "exists".  If "stats" isn't null, the closure
+ * also counts its results there under "path", the JSON Pointer of "pred", and
+ * if "matched" isn't null, the closure for a relational, set, or "exists"
+ * predicate appends "path" to it when it's true (see krillPrimCompile()).
+ */
+function krillPrimCompileNode(pred, compiled, fieldindex, clock, missing,
+    stats, matched, path)
+{
+	var func, counters, key;
+
+	counters = null;
+	if (stats !== null)
+		counters = stats[path] = {
+		    'nevaluated': 0,
+		    'ntrue': 0,
+		    'nfalse': 0,
+		    'nerrors': 0
+		};
+
+	func = krillPrimCompileOp(pred, compiled, fieldindex, clock, missing,
+	    stats, matched, path);
+
+	if (matched !== null && !krillPrimTrivial(pred)) {
+		key = krillPrimGetKey(pred);
+		if (key != 'and' && key != 'or' && key != 'not')
+			func = krillCompileMatched(func, matched, path);
+	}
+
+	if (counters === null)
+		return (func);
+
+	return (function (values) {
+		var result;
+
+		/*
+		 * Operators can also throw on values of the wrong type (like
+		 * an invalid IP address for "within" without types).  These
+		 * count for the subpredicate that threw and each subpredicate
+		 * containing it, like the errors counted by krillPrimCompile().
+		 */
+		try {
+			result = func(values);
+		} catch (ex) {
+			counters.nerrors++;
+			throw (ex);
+		}
+
+		counters.nevaluated++;
+		if (result)
+			counters.ntrue++;
+		else
+			counters.nfalse++;
+
+		return (result);
+	});
+}
+
+/*
+ * Returns a closure that evaluates "func" and appends "path" to "matched" if
+ * it's true (see krillPrimCompileNode()).
+ */
+function krillCompileMatched(func, matched, path)
+{
+	return (function (values) {
+		var result = func(values);
+
+		if (result)
+			matched.push(path);
+
+		return (result);
+	});
+}
+
+/*
+ * Builds the closure for krillPrimCompileNode(), without counting results or
+ * recording matches.
+ */
+function krillPrimCompileOp(pred, compiled, fieldindex, clock, missing,
+    stats, matched, path)
+{
+	var key, subfuncs, sub, idx, constant, evalconstant, type, date;
+	var presence, nullmissing;
+
+	if (krillPrimTrivial(pred))
+		return (function () { return (true); });
+
+	key = krillPrimGetKey(pred);
+
+	switch (key) {
+	case 'not':
+		sub = krillPrimCompileNode(pred[key], compiled, fieldindex,
+		    clock, missing, stats, matched, path + '/not');
+		return (function (values) { return (!sub(values)); });
+
+	case 'and':
+	case 'or':
+		subfuncs = pred[key].map(function (subpred, ii) {
+			return (krillPrimCompileNode(subpred, compiled,
+			    fieldindex, clock, missing, stats, matched,
+			    path + '/' + key + '/' + ii));
+		});
+
+		if (key == 'and') {
+			return (function (values) {
+				for (var ii = 0; ii < subfuncs.length; ii++) {
+					if (!subfuncs[ii](values))
+						return (false);
+				}
+
+				return (true);
+			});
+		}
+
+		return (function (values) {
+			for (var ii = 0; ii < subfuncs.length; ii++) {
+				if (subfuncs[ii](values))
+					return (true);
+			}
+
+			return (false);
+		});
+
 	default:
-		mod_assert.ok(key in krillOps);
-		mod_assert.ok(pred[key].length == 2);
 		break;
 	}
 
-	return (krillOps[key].eval(pred[key][0], pred[key][1]));
+	idx = fieldindex[pred[key][0]];
+	constant = pred[key][1];
+	evalconstant = krillOps[key].compile === null ? constant :
+	    compiled[key][JSON.stringify(constant)];
+
+	presence = krillOps[key] instanceof ExistsOperator;
+	nullmissing = missing == 'null' && !presence;
+
+	/* Constants for "exists" and null constants are never converted. */
+	type = clock !== null && krillHasKey(clock.converted, pred[key][0]) &&
+	    !presence && constant !== null ?
+	    clock.converted[pred[key][0]] : null;
+
+	if (type == 'ip' && krillOps[key].fieldtype != 'ip')
+		evalconstant = constant = mod_ip.normalizeIP(constant);
+
+	if (type == 'date') {
+		date = mod_date.parseDateConstant(constant);
+		return (function (values) {
+			var ms = mod_date.resolveDateConstant(date, clock.now);
+			var value = values[idx];
+
+			if (nullmissing && value === krillMissing)
+				value = null;
+
+			return (krillPrimEvalRel(key, value, ms, ms));
+		});
+	}
+
+	return (function (values) {
+		var value = values[idx];
+
+		if (nullmissing && value === krillMissing)
+			value = null;
+
+		return (krillPrimEvalRel(key, value, constant, evalconstant));
+	});
 }
@@ -0,0 +1,429 @@
+/*
+ * ldap.js: parser for LDAP search filters (RFC 4515).
+ */
+
+var mod_assert = require('assert-plus');
+
+var mod_date = require('./date');
+
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+
+/* Public interface */
+exports.parseLDAPFilter = parseLDAPFilter;
+exports.escapeLDAPValue = escapeLDAPValue;
+exports.validLDAPAttribute = validLDAPAttribute;
+
+
+/*
+ * Attribute names are either a "descr" (a letter followed by letters, digits,
+ * and hyphens) or a numeric OID.  We also allow dotted sequences of "descr"s,
+ * which is how toLDAPFilterString() prints nested fields.
+ */
+/* JSSTYLED */
+var ldapAttrRe = /^([A-Za-z][A-Za-z0-9-]*(\.[A-Za-z][A-Za-z0-9-]*)*|[0-9]+(\.[0-9]+)*)$/;
+
+
+/*
+ * Returns true if "attr" is an attribute name that we accept in (and print to)
+ * LDAP search filters.
+ */
+function validLDAPAttribute(attr)
+{
+	mod_assert.string(attr, 'attr');
+	return (ldapAttrRe.test(attr));
+}
+
+/*
+ * Returns the string "str" escaped for use as an assertion value in an LDAP
+ * search filter.  RFC 4515 requires that "*", "(", ")", "\", and NUL be
+ * written as a backslash followed by the two hex digits of the character.
+ * Other characters (including non-ASCII ones) are left alone.
+ */
+function escapeLDAPValue(str)
+{
+	mod_assert.string(str, 'str');
+
+	/* JSSTYLED */
+	return (str.replace(/[*()\\\0]/g, function (c) {
+		return ('\\' + ('0' + c.charCodeAt(0).toString(16)).substr(-2));
+	}));
+}
+
+/*
+ * Parses the LDAP search filter "str" and returns the equivalent predicate in
+ * the JSON representation.  "types" (which may be null) is a types map as
+ * accepted by createPredicate().  Assertion values are converted to the type
+ * of the corresponding field: "number" fields require numeric values,
+ * "boolean" fields require "TRUE" or "FALSE", and "date" fields require a
+ * generalized time (which is converted to an ISO 8601 string).  Without a
+ * types map, values are strings, except that values compared with "<=" or
+ * ">=" must be numeric and are converted to numbers.  Attribute names are
+ * matched against the types map case-insensitively, as LDAP does, and replaced
+ * with the name used in the types map.
+ *
+ * The following constructs are supported:
+ *
+ *     (&(f1)(f2)...)		"and" (or the trivial predicate, if empty)
+ *     (|(f1)(f2)...)		"or" (or the negation of the trivial predicate,
+ *     				if empty)
+ *     (!(f))			"not"
+ *     (attr=*)			"exists"
+ *     (attr=value)		"eq"
+ *     (attr<=value)		"le"
+ *     (attr>=value)		"ge"
+ *     (attr=value*)		"prefix"
+ *     (attr=*value)		"suffix"
+ *     (attr=*value*)		"contains"
+ *     (attr=va*l*ue)		"glob"
+ *
+ * Approximate matches ("~="), extensible matches, and attribute options are
+ * not supported and produce an error, as does a substring filter that can only
+ * be expressed as a "glob" whose value contains a literal "*".  The result has
+ * not been validated.  Syntax errors identify the column (starting from 1)
+ * where they were found.
+ */
+function parseLDAPFilter(str, types)
+{
+	var parser, pred;
+
+	mod_assert.string(str, 'str');
+	mod_assert.optionalObject(types, 'types');
+
+	parser = new LDAPFilterParser(str, types || null);
+	pred = parser.parseFilter();
+	if (parser.lp_pos != str.length)
+		throw (parser.unexpected('end of input'));
+
+	return (pred);
+}
+
+function LDAPFilterParser(str, types)
+{
+	this.lp_str = str;
+	this.lp_types = types;
+	this.lp_pos = 0;
+}
+
+LDAPFilterParser.prototype.peek = function ()
+{
+	return (this.lp_str.charAt(this.lp_pos));
+};
+
+/*
+ * Returns an error for the unexpected character at the current position, where
+ * "what" describes what was expected instead.
+ */
+LDAPFilterParser.prototype.unexpected = function (what)
+{
+	return (new VError('column %d: expected %s, but found %s',
+	    this.lp_pos + 1, what, this.lp_pos < this.lp_str.length ?
+	    '"' + this.peek() + '"' : 'end of input'));
+};
+
+LDAPFilterParser.prototype.expect = function (c)
+{
+	if (this.peek() !== c)
+		throw (this.unexpected('"' + c + '"'));
+
+	this.lp_pos++;
+};
+
+/*
+ * filter := "(" ( "&" filter* | "|" filter* | "!" filter | item ) ")"
+ */
+LDAPFilterParser.prototype.parseFilter = function ()
+{
+	var c, rv, elts;
+
+	this.expect('(');
+
+	c = this.peek();
+	if (c == '&' || c == '|') {
+		this.lp_pos++;
+		elts = [];
+		while (this.peek() == '(')
+			elts.push(this.parseFilter());
+
+		if (elts.length === 0)
+			rv = c == '&' ? {} : { 'not': {} };
+		else if (elts.length == 1)
+			rv = elts[0];
+		else
+			rv = c == '&' ? { 'and': elts } : { 'or': elts };
+	} else if (c == '!') {
+		this.lp_pos++;
+		rv = { 'not': this.parseFilter() };
+	} else {
+		rv = this.parseItem();
+	}
+
+	this.expect(')');
+	return (rv);
+};
+
+/*
+ * item := attr ( "=" | "<=" | ">=" ) value
+ */
+LDAPFilterParser.prototype.parseItem = function ()
+{
+	var start, attr, column, op, field, pieces, rv;
+
+	start = this.lp_pos;
+	/* JSSTYLED */
+	while (this.lp_pos < this.lp_str.length &&
+	    !/[=~<>:()]/.test(this.peek()))
+		this.lp_pos++;
+
+	attr = this.lp_str.substring(start, this.lp_pos);
+	if (attr.length === 0)
+		throw (this.unexpected('attribute name'));
+
+	if (!ldapAttrRe.test(attr))
+		throw (new VError('column %d: invalid attribute name "%s"',
+		    start + 1, attr));
+
+	column = this.lp_pos + 1;
+	switch (this.peek()) {
+	case '=':
+		op = '=';
+		break;
+	case '<':
+	case '>':
+	case '~':
+		op = this.lp_str.substr(this.lp_pos, 2);
+		if (op.charAt(1) != '=')
+			throw (new VError('column %d: unsupported ' +
+			    'filter type "%s"', column, op.charAt(0)));
+		break;
+	case ':':
+		throw (new VError('column %d: extensible match filters are ' +
+		    'not supported', column));
+	default:
+		throw (this.unexpected('filter type'));
+	}
+
+	if (op == '~=')
+		throw (new VError('column %d: approximate match filters are ' +
+		    'not supported', column));
+
+	this.lp_pos += op.length;
+	field = this.resolveField(attr, start + 1);
+	pieces = this.parseValue();
+
+	if (pieces.length == 1) {
+		rv = {};
+		rv[op == '=' ? 'eq' : op == '<=' ? 'le' : 'ge'] = [ field.name,
+		    this.convertValue(field, pieces[0], op,
+		    column + op.length) ];
+		return (rv);
+	}
+
+	if (op != '=')
+		throw (new VError('column %d: "*" is not allowed with "%s"',
+		    column + op.length, op));
+
+	if (pieces.length == 2 && pieces[0] === '' && pieces[1] === '')
+		return ({ 'exists': [ field.name ] });
+
+	if (field.type !== null && field.type != 'string')
+		throw (new VError('column %d: substring filters require a ' +
+		    'string field, but "%s" is a %s', column, field.name,
+		    field.type));
+
+	if (pieces.length == 2 && pieces[1] === '')
+		return ({ 'prefix': [ field.name, pieces[0] ] });
+
+	if (pieces.length == 2 && pieces[0] === '')
+		return ({ 'suffix': [ field.name, pieces[1] ] });
+
+	if (pieces.length == 3 && pieces[0] === '' && pieces[2] === '')
+		return ({ 'contains': [ field.name, pieces[1] ] });
+
+	pieces.forEach(function (piece) {
+		if (piece.indexOf('*') != -1)
+			throw (new VError('column %d: substring filter with ' +
+			    'an escaped "*" cannot be represented', column));
+	});
+
+	return ({ 'glob': [ field.name, pieces.join('*') ] });
+};
+
+/*
+ * Parses an assertion value up to (but not including) the closing ")",
+ * decoding escape sequences, and returns the list of substrings separated by
+ * unescaped "*" characters.  (For a value with no "*", that's a single string.)
+ */
+LDAPFilterParser.prototype.parseValue = function ()
+{
+	var pieces, encoded, c, start, hex;
+
+	pieces = [];
+	encoded = '';
+	start = this.lp_pos;
+
+	/*
+	 * Escape sequences denote the bytes of the UTF-8 encoding of the value,
+	 * so we build up a URI-encoded version of each piece and decode it with
+	 * decodeURIComponent.
+	 */
+	for (;;) {
+		c = this.peek();
+		if (c === '' || c == ')')
+			break;
+
+		if (c == '(')
+			throw (new VError('column %d: unescaped "(" in ' +
+			    'value', this.lp_pos + 1));
+
+		if (c == '*') {
+			pieces.push(this.decode(encoded, start));
+			encoded = '';
+		} else if (c == '\\') {
+			hex = this.lp_str.substr(this.lp_pos + 1, 2);
+			/* JSSTYLED */
+			if (!/^[0-9a-fA-F]{2}$/.test(hex))
+				throw (new VError('column %d: invalid escape ' +
+				    'sequence "\\%s"', this.lp_pos + 1, hex));
+			encoded += '%' + hex;
+			this.lp_pos += 2;
+		} else {
+			/* Keep surrogate pairs together for encoding. */
+			if (c >= '\ud800' && c <= '\udbff' &&
+			    this.lp_pos + 1 < this.lp_str.length) {
+				c = this.lp_str.substr(this.lp_pos, 2);
+				this.lp_pos++;
+			}
+			encoded += this.encode(c);
+		}
+
+		this.lp_pos++;
+	}
+
+	pieces.push(this.decode(encoded, start));
+	return (pieces);
+};
+
+LDAPFilterParser.prototype.encode = function (c)
+{
+	try {
+		return (encodeURIComponent(c));
+	} catch (ex) {
+		throw (new VError('column %d: value is not valid UTF-16',
+		    this.lp_pos + 1));
+	}
+};
+
+LDAPFilterParser.prototype.decode = function (encoded, start)
+{
+	try {
+		return (decodeURIComponent(encoded));
+	} catch (ex) {
+		throw (new VError('column %d: value is not valid UTF-8',
+		    start + 1));
+	}
+};
+
+/*
+ * Returns an object describing the field for the attribute "attr", with
+ * properties "name" (the field name to use in the predicate) and "type" (the
+ * field's type, or null if there's no types map).
+ */
+LDAPFilterParser.prototype.resolveField = function (attr, column)
+{
+	var schema, components, name, type, ii;
+
+	if (this.lp_types === null)
+		return ({ 'name': attr, 'type': null });
+
+	schema = this.lp_types;
+	if (ldapFindKey(schema, attr) !== null) {
+		name = ldapFindKey(schema, attr);
+		type = schema[name];
+	} else {
+		components = attr.split('.');
+		name = [];
+		type = schema;
+		for (ii = 0; ii < components.length; ii++) {
+			if (typeof (type) != 'object' ||
+			    ldapFindKey(type, components[ii]) === null) {
+				type = undefined;
+				break;
+			}
+
+			name.push(ldapFindKey(type, components[ii]));
+			type = type[name[name.length - 1]];
+		}
+		name = name.join('.');
+	}
+
+	if (typeof (type) != 'string')
+		throw (new VError('column %d: attribute "%s" is not defined',
+		    column, attr));
+
+	return ({ 'name': name, 'type': type });
+};
+
+/*
+ * Converts the assertion value "value" (a string) for comparison with "field"
+ * using operator "op".
+ */
+LDAPFilterParser.prototype.convertValue = function (field, value, op, column)
+{
+	var type = field.type;
+
+	if (type === null)
+		type = op == '=' ? 'string' : 'number';
+
+	switch (type) {
+	case 'number':
+		/* JSSTYLED */
+		if (!/^-?[0-9]+(\.[0-9]+)?([eE][-+]?[0-9]+)?$/.test(value))
+			throw (new VError('column %d: attribute "%s": ' +
+			    'expected a number, but found "%s"', column,
+			    field.name, value));
+		return (parseFloat(value));
+
+	case 'boolean':
+		if (value.toUpperCase() == 'TRUE')
+			return (true);
+		if (value.toUpperCase() == 'FALSE')
+			return (false);
+		throw (new VError('column %d: attribute "%s": expected ' +
+		    '"TRUE" or "FALSE", but found "%s"', column, field.name,
+		    value));
+
+	case 'date':
+		try {
+			return (mod_date.parseGeneralizedTime(value));
+		} catch (ex) {
+			throw (new VError(ex, 'column %d: attribute "%s"',
+			    column, field.name));
+		}
+
+	default:
+		return (value);
+	}
+};
+
+/*
+ * Returns the key of "obj" that matches "name" case-insensitively (preferring
+ * an exact match), or null if there isn't one.
+ */
+function ldapFindKey(obj, name)
+{
+	var key, lower;
+
+	if (Object.prototype.hasOwnProperty.call(obj, name))
+		return (name);
+
+	lower = name.toLowerCase();
+	for (key in obj) {
+		if (Object.prototype.hasOwnProperty.call(obj, key) &&
+		    key.toLowerCase() == lower)
+			return (key);
+	}
+
+	return (null);
+}
@@ -0,0 +1,87 @@
+/*
+ * tests/bench.compile.js: compares the throughput of Predicate.eval() with that
+ * of the function returned by Predicate.compile().  This is not run as part of
+ * the test suite.  Usage:
+ *
+ *     node tests/bench.compile.js [NRECORDS]
+ */
+
+var mod_assert = require('assert');
+var mod_extsprintf = require('extsprintf');
+var mod_krill = require('../lib/krill');
+
+function println()
+{
+	var args = Array.prototype.slice.call(arguments);
+	var msg = mod_extsprintf.sprintf.apply(null, args);
+	console.log(msg);
+}
+
+var nrecords = process.argv[2] ? parseInt(process.argv[2], 10) : 200000;
+var predicate = mod_krill.createPredicate({
+    'and': [
+	{ 'in': [ 'dc', [ 'us-east-1', 'us-east-2', 'us-east-3' ] ] },
+	{ 'or': [
+	    { 'ge': [ 'res.statusCode', 500 ] },
+	    { 'gt': [ 'latency', 300 ] },
+	    { 'match': [ 'req.url', '^/admin/' ] }
+	] },
+	{ 'not': { 'eq': [ 'req.method', 'OPTIONS' ] } }
+    ]
+}, {
+    'dc': 'string',
+    'latency': 'number',
+    'req': { 'method': 'string', 'url': 'string' },
+    'res': { 'statusCode': 'number' }
+});
+
+var methods = [ 'GET', 'PUT', 'POST', 'OPTIONS' ];
+var dcs = [ 'us-east-1', 'us-east-2', 'us-east-3', 'us-west-1' ];
+var records = [];
+var ii;
+
+for (ii = 0; ii < 1000; ii++) {
+	records.push({
+	    'dc': dcs[ii % dcs.length],
+	    'latency': (ii * 7) % 500,
+	    'req': {
+		'method': methods[ii % methods.length],
+		'url': ii % 5 === 0 ? '/admin/users' : '/my/machines'
+	    },
+	    'res': { 'statusCode': ii % 11 === 0 ? 503 : 200 }
+	});
+}
+
+/*
+ * Runs "func" on "nrecords" records and returns the number of records that
+ * passed and the throughput in records per second.
+ */
+function bench(func)
+{
+	var start, elapsed, npassed, jj;
+
+	npassed = 0;
+	start = process.hrtime();
+	for (jj = 0; jj < nrecords; jj++) {
+		if (func(records[jj % records.length]))
+			npassed++;
+	}
+	elapsed = process.hrtime(start);
+
+	return ({
+	    'npassed': npassed,
+	    'rate': nrecords / (elapsed[0] + elapsed[1] / 1e9)
+	});
+}
+
+var evalresult = bench(function (record) {
+	return (predicate.eval(record));
+});
+var compileresult = bench(predicate.compile());
+
+mod_assert.equal(evalresult.npassed, compileresult.npassed);
+println('%d records, %d passed', nrecords, evalresult.npassed);
+println('eval():    %10d records/sec', Math.round(evalresult.rate));
+println('compile(): %10d records/sec (%sx)',
+    Math.round(compileresult.rate),
+    (compileresult.rate / evalresult.rate).toFixed(1));
@@ -0,0 +1,25 @@
+/*
+ * tests/common.js: helpers shared by the tests
+ */
+
+var mod_assert = require('assert');
+
+
+/* Public interface */
+exports.checkEval = checkEval;
+
+
+/*
+ * Check that the Predicate "pred" evaluates to "expected" (which may be a
+ * regular expression matching an error message) for "obj", using both eval()
+ * and compile().
+ */
+function checkEval(pred, obj, expected)
+{
+	[ pred.eval.bind(pred), pred.compile() ].forEach(function (func) {
+		if (expected instanceof RegExp)
+			mod_assert.throws(function () { func(obj); }, expected);
+		else
+			mod_assert.strictEqual(func(obj), expected);
+	});
+}
@@ -104,8 +104,8 @@ pred = pred.replaceFields({
 });
 mod_assert.equal('(zonename == "bar") && ("spike" != "sharptooth") && ' +
     '(timestamp - self->f >= 15)', pred.toCStyleString());
-mod_assert.equal('(&(zonename=bar)(!("spike"=sharptooth))' +
-    '(timestamp - self->f>=15))', pred.toLDAPFilterString());
+mod_assert.throws(function () { pred.toLDAPFilterString(); },
+    /field ""spike"" is not a valid LDAP attribute name/);
 
 /*
  * Test "or", "lt", "gt", and "le".
@@ -128,6 +128,8 @@ mod_assert.deepEqual({
 }, pred.fieldsAndValues());
 mod_assert.equal('(latency < 10) || (count <= 15) || (latency > 20)',
     pred.toCStyleString());
+mod_assert.equal('(|(!(latency>=10))(count<=15)(!(latency<=20)))',
+    pred.toLDAPFilterString());
 mod_assert.ok(pred.eval({ 'latency': 9, 'count': 20 }));
 mod_assert.ok(!pred.eval({ 'latency': 10, 'count': 20 }));
 mod_assert.ok(!pred.eval({ 'latency': 20, 'count': 20 }));
@@ -137,6 +139,236 @@ mod_assert.ok(!pred.eval({ 'latency': 10, 'count': 16 }));
 mod_assert.ok(pred.eval({ 'latency': 10, 'count': 15 }));
 mod_assert.ok(pred.eval({ 'latency': 10, 'count': 14 }));
 
+/*
+ * Test "not", both of a relational predicate and of a compound one.
+ */
+pred = mod_krill.createPredicate({
+    'not': {
+	'and': [
+	    { 'eq': [ 'hostname', 'spike' ] },
+	    { 'gt': [ 'latency', 300 ] }
+	]
+    }
+}, {
+    'hostname': 'string',
+    'latency': 'number'
+});
+mod_assert.ok(!pred.trivial());
+mod_assert.deepEqual([ 'hostname', 'latency' ], pred.fields().sort());
+mod_assert.deepEqual({
+    hostname: [ 'spike' ],
+    latency: [ 300 ]
+}, pred.fieldsAndValues());
+mod_assert.equal('!((hostname == "spike") && (latency > 300))',
+    pred.toCStyleString());
+mod_assert.equal('(!(&(hostname=spike)(!(latency<=300))))',
+    pred.toLDAPFilterString());
+mod_assert.throws(function () { pred.eval({ 'hostname': 'spike' }); },
+    /no translation/);
+mod_assert.ok(!pred.eval({ 'hostname': 'spike', 'latency': 400 }));
+mod_assert.ok(pred.eval({ 'hostname': 'spike', 'latency': 200 }));
+mod_assert.ok(pred.eval({ 'hostname': 'sharptooth', 'latency': 400 }));
+
+pred = pred.replaceFields({
+    'hostname': 'execname',
+    'latency': 'timestamp - self->ts'
+});
+mod_assert.equal('!((execname == "spike") && (timestamp - self->ts > 300))',
+    pred.toCStyleString());
+
+pred = mod_krill.createPredicate({ 'not': { 'ne': [ 'pid', 12 ] } });
+mod_assert.deepEqual([ 'pid' ], pred.fields());
+mod_assert.equal('!(pid != 12)', pred.toCStyleString());
+mod_assert.equal('(!(!(pid=12)))', pred.toLDAPFilterString());
+mod_assert.ok(pred.eval({ 'pid': 12 }));
+mod_assert.ok(!pred.eval({ 'pid': 13 }));
+
+/*
+ * Test that LDAP assertion values are escaped, so that hostile values can't
+ * change the meaning of the filter, and that booleans are printed as LDAP
+ * booleans.
+ */
+pred = mod_krill.createPredicate({
+    'or': [
+	{ 'eq': [ 'cn', '*)(uid=*))(|(uid=*' ] },
+	{ 'ne': [ 'cn', 'a\\b\u0000c' ] },
+	{ 'eq': [ 'admin', true ] },
+	{ 'eq': [ 'locked', false ] },
+	{ 'eq': [ 'cn', 'caf\u00e9' ] }
+    ]
+}, {
+    'cn': 'string',
+    'admin': 'boolean',
+    'locked': 'boolean'
+});
+mod_assert.equal('(|(cn=\\2a\\29\\28uid=\\2a\\29\\29\\28|\\28uid=\\2a)' +
+    '(!(cn=a\\5cb\\00c))(admin=TRUE)(locked=FALSE)(cn=caf\u00e9))',
+    pred.toLDAPFilterString());
+mod_assert.deepEqual({ 'or': [
+	{ 'eq': [ 'cn', '*)(uid=*))(|(uid=*' ] },
+	{ 'not': { 'eq': [ 'cn', 'a\\b\u0000c' ] } },
+	{ 'eq': [ 'admin', true ] },
+	{ 'eq': [ 'locked', false ] },
+	{ 'eq': [ 'cn', 'caf\u00e9' ] }
+    ] }, mod_krill.fromLDAPFilter(pred.toLDAPFilterString(), {
+	'cn': 'string',
+	'admin': 'boolean',
+	'locked': 'boolean'
+    }).p_pred);
+
+pred = mod_krill.createPredicate({ 'prefix': [ 'cn', 'a*(b' ] });
+mod_assert.equal('(cn=a\\2a\\28b*)', pred.toLDAPFilterString());
+pred = mod_krill.createPredicate({ 'contains': [ 'cn', ')' ] });
+mod_assert.equal('(cn=*\\29*)', pred.toLDAPFilterString());
+pred = mod_krill.createPredicate({ 'glob': [ 'cn', 'a(*)b' ] });
+mod_assert.equal('(cn=a\\28*\\29b)', pred.toLDAPFilterString());
+
+/*
+ * Fields that aren't valid LDAP attribute names can't be printed.
+ */
+[ 'cn=x)(uid', 'cn)', 'my_field', '1abc', 'a..b', '' ].forEach(function (f) {
+	pred = mod_krill.createPredicate({ 'eq': [ f, 'x' ] });
+	mod_assert.throws(function () { pred.toLDAPFilterString(); },
+	    /is not a valid LDAP attribute name/);
+});
+
+/*
+ * Test the string-matching operators: "prefix", "suffix", "contains", and
+ * "glob".
+ */
+pred = mod_krill.createPredicate({
+    'or': [
+	{ 'prefix': [ 'hostname', 'web' ] },
+	{ 'contains': [ 'zonename', 'db' ] }
+    ]
+}, {
+    'hostname': 'string',
+    'zonename': 'string'
+});
+mod_assert.deepEqual({
+    hostname: [ 'web' ],
+    zonename: [ 'db' ]
+}, pred.fieldsAndValues());
+mod_assert.equal('(strstr(hostname, "web") == hostname) || ' +
+    '(strstr(zonename, "db") != NULL)', pred.toCStyleString());
+mod_assert.equal('(|(hostname=web*)(zonename=*db*))',
+    pred.toLDAPFilterString());
+mod_assert.ok(pred.eval({ 'hostname': 'web0', 'zonename': 'x' }));
+mod_assert.ok(pred.eval({ 'hostname': 'x', 'zonename': 'mydb1' }));
+mod_assert.ok(!pred.eval({ 'hostname': 'aweb', 'zonename': 'x' }));
+
+pred = mod_krill.createPredicate({ 'suffix': [ 'hostname', '.local' ] },
+    { 'hostname': 'string' });
+mod_assert.equal('(hostname=*.local)', pred.toLDAPFilterString());
+mod_assert.throws(function () { pred.toCStyleString(); },
+    /operator "suffix" cannot be expressed in C-style syntax/);
+
+pred = mod_krill.createPredicate({ 'glob': [ 'hostname', 'web*.us-*' ] },
+    { 'hostname': 'string' });
+mod_assert.equal('(hostname=web*.us-*)', pred.toLDAPFilterString());
+mod_assert.throws(function () { pred.toCStyleString(); },
+    /operator "glob" cannot be expressed in C-style syntax/);
+
+/*
+ * Test "match", which can't be expressed in either C-style or LDAP syntax.
+ */
+pred = mod_krill.createPredicate({ 'match': [ 'hostname', '^web[0-9]+$' ] },
+    { 'hostname': 'string' });
+mod_assert.deepEqual({ hostname: [ '^web[0-9]+$' ] }, pred.fieldsAndValues());
+mod_assert.throws(function () { pred.toCStyleString(); },
+    /operator "match" cannot be expressed in C-style syntax/);
+mod_assert.throws(function () { pred.toLDAPFilterString(); },
+    /operator "match" cannot be expressed as an LDAP search filter/);
+mod_assert.ok(pred.eval({ 'hostname': 'web12' }));
+mod_assert.ok(!pred.eval({ 'hostname': 'web12a' }));
+mod_assert.ok(!pred.eval({ 'hostname': 'db12' }));
+pred = pred.replaceFields({ 'hostname': 'execname' });
+mod_assert.deepEqual({ execname: [ '^web[0-9]+$' ] }, pred.fieldsAndValues());
+
+/*
+ * Test the set operators "in" and "nin".
+ */
+pred = mod_krill.createPredicate({
+    'and': [
+	{ 'in': [ 'dc', [ 'us-east-1', 'us-east-2', 'us-east-3' ] ] },
+	{ 'nin': [ 'pid', [ 1, 2 ] ] },
+	{ 'eq': [ 'dc', 'us-west-1' ] }
+    ]
+}, {
+    'dc': 'string',
+    'pid': 'number'
+});
+mod_assert.deepEqual([ 'dc', 'pid' ], pred.fields().sort());
+mod_assert.deepEqual({
+    dc: [ 'us-east-1', 'us-east-2', 'us-east-3', 'us-west-1' ],
+    pid: [ 1, 2 ]
+}, pred.fieldsAndValues());
+mod_assert.equal('((dc == "us-east-1") || (dc == "us-east-2") || ' +
+    '(dc == "us-east-3")) && ((pid != 1) && (pid != 2)) && ' +
+    '(dc == "us-west-1")', pred.toCStyleString());
+mod_assert.equal('(&(|(dc=us-east-1)(dc=us-east-2)(dc=us-east-3))' +
+    '(&(!(pid=1))(!(pid=2)))(dc=us-west-1))', pred.toLDAPFilterString());
+
+pred = mod_krill.createPredicate({ 'in': [ 'dc', [ 'us-east-1' ] ] });
+mod_assert.equal('dc == "us-east-1"', pred.toCStyleString());
+mod_assert.equal('(dc=us-east-1)', pred.toLDAPFilterString());
+mod_assert.ok(pred.eval({ 'dc': 'us-east-1' }));
+mod_assert.ok(!pred.eval({ 'dc': 'us-east-2' }));
+mod_assert.throws(function () { pred.eval({}); }, /no translation/);
+
+/*
+ * Test nested fields, using both dotted names and JSON Pointers, with a nested
+ * types schema.
+ */
+pred = mod_krill.createPredicate({
+    'and': [
+	{ 'eq': [ 'req.method', 'GET' ] },
+	{ 'ge': [ '/res/statusCode', 500 ] }
+    ]
+}, {
+    'req': { 'method': 'string' },
+    'res': { 'statusCode': 'number' }
+});
+mod_assert.deepEqual([ 'req.method', '/res/statusCode' ], pred.fields());
+mod_assert.equal('(req.method == "GET") && (res.statusCode >= 500)',
+    pred.toCStyleString());
+mod_assert.equal('(&(req.method=GET)(res.statusCode>=500))',
+    pred.toLDAPFilterString());
+mod_assert.ok(pred.eval({
+    'req': { 'method': 'GET' },
+    'res': { 'statusCode': 503 }
+}));
+mod_assert.ok(!pred.eval({
+    'req': { 'method': 'GET' },
+    'res': { 'statusCode': 200 }
+}));
+mod_assert.throws(function () {
+	pred.eval({ 'req': { 'method': 'GET' } });
+}, /no translation for field "\/res\/statusCode" \("\/res" is missing\)/);
+mod_assert.throws(function () {
+	pred.eval({ 'req': { 'method': 'GET' }, 'res': {} });
+}, /no translation for field "\/res\/statusCode"$/);
+mod_assert.throws(function () {
+	pred.eval({ 'req': 'GET', 'res': { 'statusCode': 503 } });
+}, /field "req.method": "req" is not an object/);
+mod_assert.throws(function () {
+	pred.eval({ 'req': { 'method': 'GET' }, 'res': null });
+}, /field "\/res\/statusCode": "\/res" is not an object/);
+
+/* Dotted names match properties with exactly that name first. */
+mod_assert.ok(pred.eval({
+    'req.method': 'GET',
+    'res': { 'statusCode': 503 }
+}));
+
+/* JSON Pointers can refer to properties with "." and "/" in their names. */
+pred = mod_krill.createPredicate({ 'eq': [ '/a.b/c~1d~0', 3 ] },
+    { 'a.b': { 'c/d~': 'number' } });
+mod_assert.ok(pred.eval({ 'a.b': { 'c/d~': 3 } }));
+mod_assert.ok(!pred.eval({ 'a.b': { 'c/d~': 4 } }));
+mod_assert.throws(function () { pred.toCStyleString(); },
+    /field "\/a.b\/c~1d~0": component "a.b" cannot be printed/);
+
 /*
  * Test printing a few odd cases.
  */
@@ -144,5 +376,12 @@ pred = mod_krill.createPredicate({
     'and': [ {}, { 'eq': [ 'latency', 23 ] } ]
 });
 mod_assert.equal('(1) && (latency == 23)', pred.toCStyleString());
+mod_assert.ok(pred.eval({ 'latency': 23 }));
+
+pred = mod_krill.createPredicate({ 'not': {} });
+mod_assert.ok(!pred.trivial());
+mod_assert.deepEqual([], pred.fields());
+mod_assert.equal('!(1)', pred.toCStyleString());
+mod_assert.ok(!pred.eval({}));
 
 console.log('test okay');
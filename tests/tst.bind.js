@@ -0,0 +1,242 @@
+/*
+ * tests/tst.bind.js: tests partial evaluation with Predicate.bind()
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'datacenter': 'string',
+    'hostname': 'string',
+    'latency': 'number',
+    'timestamp': 'date',
+    'src': 'ip',
+    'req': { 'method': 'string' }
+};
+
+var pred, bound, seed, ii;
+
+/*
+ * Known fields are replaced, and the results folded.
+ */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'eq': [ 'datacenter', 'us-east-1' ] },
+    { 'or': [
+	{ 'gt': [ 'latency', 300 ] },
+	{ 'not': { 'in': [ 'datacenter', [ 'us-west-1', 'eu-west-1' ] ] } }
+    ] },
+    { 'prefix': [ 'req.method', 'P' ] }
+] }, types);
+
+bound = pred.bind({ 'datacenter': 'us-east-1' });
+mod_assert.deepEqual(bound.p_pred, { 'prefix': [ 'req.method', 'P' ] });
+mod_assert.deepEqual(bound.fields(), [ 'req.method' ]);
+mod_assert.ok(bound.eval({ 'req': { 'method': 'PUT' } }));
+mod_assert.ok(!bound.eval({ 'req': { 'method': 'GET' } }));
+
+bound = pred.bind({ 'datacenter': 'us-west-1' });
+mod_assert.deepEqual(bound.p_pred, { 'not': {} });
+mod_assert.ok(!bound.eval({}));
+
+/* The result can be printed in each format, and parsed again. */
+mod_assert.equal(bound.toCStyleString(), '!(1)');
+mod_assert.equal(bound.toLDAPFilterString(), '(|)');
+mod_assert.deepEqual(bound.toSQL(), { 'text': 'NOT (TRUE)', 'values': [] });
+mod_assert.deepEqual(bound.toSQL({ 'dialect': 'sqlite' }),
+    { 'text': 'NOT (1)', 'values': [] });
+mod_assert.deepEqual(mod_krill.parse(bound.toCStyleString()).p_pred,
+    bound.p_pred);
+mod_assert.deepEqual(mod_krill.fromLDAPFilter(
+    bound.toLDAPFilterString()).p_pred, bound.p_pred);
+mod_assert.equal(mod_krill.or().toLDAPFilterString(), '(|)');
+
+bound = pred.bind({ 'latency': 500 });
+mod_assert.deepEqual(bound.p_pred, { 'and': [
+    { 'eq': [ 'datacenter', 'us-east-1' ] },
+    { 'prefix': [ 'req.method', 'P' ] }
+] });
+
+bound = pred.bind({ 'latency': 5 });
+mod_assert.deepEqual(bound.p_pred, { 'and': [
+    { 'eq': [ 'datacenter', 'us-east-1' ] },
+    { 'not': { 'in': [ 'datacenter', [ 'us-west-1', 'eu-west-1' ] ] } },
+    { 'prefix': [ 'req.method', 'P' ] }
+] });
+
+bound = pred.bind({ 'datacenter': 'us-east-1', 'req': { 'method': 'POST' } });
+mod_assert.ok(bound.trivial());
+mod_assert.deepEqual(bound.p_pred, {});
+
+/* With nothing known, only constant subpredicates are folded. */
+bound = pred.bind({});
+mod_assert.deepEqual(bound.p_pred, pred.p_pred);
+bound = mod_krill.createPredicate({ 'or': [
+    { 'not': {} },
+    { 'and': [ {}, { 'eq': [ 'hostname', 'spike' ] } ] }
+] }).bind({});
+mod_assert.deepEqual(bound.p_pred, { 'eq': [ 'hostname', 'spike' ] });
+
+/* The original predicate is unchanged. */
+mod_assert.equal(pred.fields().length, 3);
+
+/*
+ * Comparisons are evaluated exactly like eval(), including conversions,
+ * options, and errors.
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'ge': [ 'timestamp', 'now-1h' ] },
+    { 'within': [ 'src', '10.0.0.0/8' ] },
+    { 'exists': [ 'req.method' ] },
+    { 'eq': [ 'hostname', null ] }
+] }, types, {
+    'now': function () { return (Date.UTC(2024, 0, 1, 12)); },
+    'missing': 'false'
+});
+mod_assert.deepEqual(pred.bind({ 'timestamp': '2024-01-01T11:30:00Z' }).p_pred,
+    {});
+mod_assert.deepEqual(pred.bind({ 'timestamp': '2024-01-01T10:30:00Z',
+    'src': '192.168.0.1', 'req': 'GET' }).p_pred,
+    { 'eq': [ 'hostname', null ] });
+mod_assert.deepEqual(pred.bind({ 'src': '10.1.2.3' }).p_pred, {});
+mod_assert.deepEqual(pred.bind({ 'hostname': null }).p_pred, {});
+
+/* Options carry over to the result. */
+bound = pred.bind({ 'src': '192.168.0.1', 'req': { 'method': 'GET' } });
+mod_assert.deepEqual(bound.p_pred, {});
+bound = pred.bind({ 'src': '192.168.0.1', 'hostname': 'spike' });
+mod_assert.deepEqual(bound.p_pred, { 'or': [
+    { 'ge': [ 'timestamp', 'now-1h' ] },
+    { 'exists': [ 'req.method' ] }
+] });
+mod_assert.ok(!bound.eval({}));
+mod_assert.ok(bound.eval({ 'timestamp': '2024-01-01T11:59:00Z' }));
+
+mod_assert.throws(function () {
+	pred.bind({ 'timestamp': 'tuesday' });
+}, new RegExp('subpredicate "{ ge: \\[ \'timestamp\', \'now-1h\' \\] }": ' +
+    'field "timestamp": "tuesday" is not a valid ISO 8601 date'));
+mod_assert.throws(function () {
+	pred.bind({ 'src': 'localhost' });
+}, /"localhost" is not a valid IP address/);
+
+pred = mod_krill.createPredicate({ 'eq': [ 'req.method', 'GET' ] }, types,
+    { 'strict': true });
+mod_assert.throws(function () {
+	pred.bind({ 'req': 'GET' });
+}, /field "req.method": "req" is not an object/);
+mod_assert.throws(function () {
+	pred.bind({ 'req': { 'method': 7 } });
+}, /field "req.method": expected "string"/);
+
+/*
+ * Like eval(), comparisons after one that decides an "and" or "or" aren't
+ * evaluated, so they don't throw.
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'datacenter', 'us-east-1' ] },
+    { 'gt': [ 'latency', 3 ] }
+] });
+mod_assert.ok(pred.eval({ 'datacenter': 'us-east-1', 'latency': 'x' }));
+mod_assert.deepEqual(pred.bind({ 'datacenter': 'us-east-1',
+    'latency': 'x' }).p_pred, {});
+mod_assert.throws(function () {
+	pred.eval({ 'datacenter': 'us-west-1', 'latency': 'x' });
+}, /typeof \(value\) == 'number'/);
+mod_assert.throws(function () {
+	pred.bind({ 'datacenter': 'us-west-1', 'latency': 'x' });
+}, /typeof \(value\) == 'number'/);
+
+/*
+ * If whether the comparison is reached depends on unknown fields, it's left
+ * alone, and throws when the result is evaluated if it's reached then.
+ */
+bound = pred.bind({ 'latency': 'x' });
+mod_assert.deepEqual(bound.p_pred, pred.p_pred);
+mod_assert.ok(bound.eval({ 'datacenter': 'us-east-1', 'latency': 'x' }));
+mod_assert.throws(function () {
+	bound.eval({ 'datacenter': 'us-west-1', 'latency': 'x' });
+}, /typeof \(value\) == 'number'/);
+
+/* Invalid values are still reported even where they'd be skipped. */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'datacenter', 'us-east-1' ] },
+    { 'within': [ 'src', '10.0.0.0/8' ] }
+] }, types);
+mod_assert.throws(function () {
+	pred.bind({ 'datacenter': 'us-east-1', 'src': 'localhost' });
+}, /"localhost" is not a valid IP address/);
+
+mod_assert.throws(function () {
+	pred.bind('GET');
+}, /values \(object\) is required/);
+
+/*
+ * For random predicates, binding some fields and then evaluating is the same as
+ * evaluating with all of them.
+ */
+seed = 7;
+
+function random(n)
+{
+	seed = (seed * 1103515245 + 12345) % 2147483648;
+	return (Math.floor(seed / 2147483648 * n));
+}
+
+function randomPred(depth)
+{
+	var field = [ 'a', 'b', 'c' ][random(3)];
+	var ops = [ 'eq', 'ne', 'lt', 'ge', 'in', 'exists' ];
+	var op, rv, jj;
+
+	switch (depth > 2 ? 3 : random(5)) {
+	case 0:
+		return ({ 'not': randomPred(depth + 1) });
+	case 1:
+		rv = { 'and': [] };
+		break;
+	case 2:
+		rv = { 'or': [] };
+		break;
+	default:
+		op = ops[random(ops.length)];
+		rv = {};
+		if (op == 'exists')
+			rv[op] = [ field ];
+		else if (op == 'in')
+			rv[op] = [ field, [ random(4), random(4) ] ];
+		else
+			rv[op] = [ field, random(4) ];
+		return (rv);
+	}
+
+	for (jj = random(2) + 2; jj > 0; jj--)
+		rv[Object.keys(rv)[0]].push(randomPred(depth + 1));
+	return (rv);
+}
+
+for (ii = 0; ii < 300; ii++) {
+	pred = mod_krill.createPredicate(randomPred(0), null,
+	    { 'missing': 'false' });
+	[ {}, { 'a': random(4) }, { 'a': random(4), 'b': random(4) } ].forEach(
+	    function (known) {
+		var obj, merged;
+
+		bound = pred.bind(known);
+		obj = { 'c': random(4) };
+		if (!known.hasOwnProperty('b') && random(2) === 0)
+			obj['b'] = random(4);
+
+		merged = { 'c': obj['c'] };
+		[ 'a', 'b' ].forEach(function (f) {
+			if (known.hasOwnProperty(f))
+				merged[f] = known[f];
+			else if (obj.hasOwnProperty(f))
+				merged[f] = obj[f];
+		});
+
+		mod_assert.strictEqual(bound.eval(obj), pred.eval(merged),
+		    JSON.stringify([ pred.p_pred, known, obj ]));
+	});
+}
+
+console.log('test okay');
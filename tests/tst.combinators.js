@@ -0,0 +1,130 @@
+/*
+ * tests/tst.combinators.js: tests building predicates programmatically
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var pred, a, b, c, trivial;
+
+/*
+ * Test the leaf builders.
+ */
+pred = mod_krill.eq('hostname', 'spike');
+mod_assert.deepEqual(pred.p_pred, { 'eq': [ 'hostname', 'spike' ] });
+mod_assert.ok(pred.eval({ 'hostname': 'spike' }));
+
+pred = mod_krill.gt('latency', 300, { 'latency': 'number' });
+mod_assert.deepEqual(pred.p_pred, { 'gt': [ 'latency', 300 ] });
+mod_assert.equal(pred.toCStyleString(), 'latency > 300');
+
+pred = mod_krill['in']('dc', [ 'us-east-1', 'us-west-1' ]);
+mod_assert.deepEqual(pred.p_pred,
+    { 'in': [ 'dc', [ 'us-east-1', 'us-west-1' ] ] });
+
+[ 'eq', 'ne', 'lt', 'le', 'gt', 'ge', 'prefix', 'suffix', 'contains', 'glob',
+    'match', 'in', 'nin' ].forEach(function (key) {
+	mod_assert.equal(typeof (mod_krill[key]), 'function');
+});
+mod_assert.equal(mod_krill['not'], undefined);
+
+/* Leaf builders validate their input like createPredicate does. */
+mod_assert.throws(function () {
+	mod_krill.eq('latency', '300', { 'latency': 'number' });
+}, /field "latency" value .* expected "number", but got "string"/);
+mod_assert.throws(function () { mod_krill.match('hostname', '('); },
+    /invalid constant/);
+mod_assert.throws(function () { mod_krill['in']('dc', []); },
+    /expected at least 1 value/);
+
+/*
+ * Test "and" and "or".
+ */
+a = mod_krill.eq('hostname', 'spike', { 'hostname': 'string' });
+b = mod_krill.gt('latency', 300, { 'latency': 'number' });
+c = mod_krill.createPredicate({ 'eq': [ 'req.method', 'GET' ] },
+    { 'req': { 'method': 'string' } });
+trivial = mod_krill.createPredicate({});
+
+pred = mod_krill.and(a, b, c);
+mod_assert.deepEqual(pred.p_pred, { 'and': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'gt': [ 'latency', 300 ] },
+    { 'eq': [ 'req.method', 'GET' ] }
+] });
+mod_assert.deepEqual(pred.p_types, {
+    'hostname': 'string',
+    'latency': 'number',
+    'req': { 'method': 'string' }
+});
+mod_assert.ok(pred.eval({
+    'hostname': 'spike',
+    'latency': 400,
+    'req': { 'method': 'GET' }
+}));
+
+pred = mod_krill.or(a, mod_krill.and(b, c).negate());
+mod_assert.equal(pred.toCStyleString(), '(hostname == "spike") || ' +
+    '(!((latency > 300) && (req.method == "GET")))');
+
+/* The inputs aren't modified. */
+mod_assert.deepEqual(a.p_pred, { 'eq': [ 'hostname', 'spike' ] });
+mod_assert.deepEqual(a.p_types, { 'hostname': 'string' });
+
+/* Trivial operands */
+pred = mod_krill.and(trivial, a, trivial);
+mod_assert.deepEqual(pred.p_pred, a.p_pred);
+mod_assert.deepEqual(pred.p_types, a.p_types);
+pred = mod_krill.and(trivial, trivial);
+mod_assert.deepEqual(pred.p_pred, {});
+pred = mod_krill.and();
+mod_assert.deepEqual(pred.p_pred, {});
+pred = mod_krill.or(a, trivial, b);
+mod_assert.deepEqual(pred.p_pred, {});
+mod_assert.ok(pred.trivial());
+pred = mod_krill.or(a);
+mod_assert.deepEqual(pred.p_pred, a.p_pred);
+pred = mod_krill.or();
+mod_assert.deepEqual(pred.p_pred, { 'not': {} });
+mod_assert.ok(!pred.eval({}));
+
+/* Conflicting types */
+mod_assert.throws(function () {
+	mod_krill.and(a,
+	    mod_krill.eq('hostname', 12, { 'hostname': 'number' }));
+}, /field "hostname": conflicting types "string" and "number"/);
+mod_assert.throws(function () {
+	mod_krill.or(c, mod_krill.eq('req', 'x', { 'req': 'string' }));
+}, /field "req": conflicting types "object" and "string"/);
+mod_assert.throws(function () {
+	mod_krill.or(c, mod_krill.eq('req.url', 'x',
+	    { 'req': { 'method': 'number', 'url': 'string' } }));
+}, /field "req.method": conflicting types "string" and "number"/);
+
+/* Fields of untyped operands must be defined by the typed operands. */
+mod_assert.throws(function () {
+	mod_krill.and(a, mod_krill.eq('zonename', 'global'));
+}, /field "zonename" is not defined/);
+pred = mod_krill.and(a, mod_krill.eq('hostname', 'sharptooth'));
+mod_assert.deepEqual(pred.p_types, { 'hostname': 'string' });
+pred = mod_krill.and(mod_krill.eq('zonename', 'global'),
+    mod_krill.eq('hostname', 'sharptooth'));
+mod_assert.strictEqual(pred.p_types, null);
+
+mod_assert.throws(function () { mod_krill.and(a, { 'eq': [ 'x', 1 ] }); },
+    /argument 1 must be a Predicate/);
+
+/*
+ * Test negate().
+ */
+pred = a.negate();
+mod_assert.deepEqual(pred.p_pred,
+    { 'not': { 'eq': [ 'hostname', 'spike' ] } });
+mod_assert.deepEqual(pred.p_types, a.p_types);
+mod_assert.ok(!pred.eval({ 'hostname': 'spike' }));
+mod_assert.ok(pred.eval({ 'hostname': 'sharptooth' }));
+mod_assert.deepEqual(pred.negate().p_pred, a.p_pred);
+mod_assert.deepEqual(trivial.negate().p_pred, { 'not': {} });
+mod_assert.deepEqual(trivial.negate().negate().p_pred, {});
+
+console.log('test okay');
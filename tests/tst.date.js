@@ -0,0 +1,180 @@
+/*
+ * tests/tst.date.js: tests fields of type "date"
+ */
+
+var mod_assert = require('assert');
+var mod_common = require('./common');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'timestamp': 'date',
+    'hostname': 'string',
+    'req': { 'start': 'date' }
+};
+
+var now = Date.parse('2024-06-01T12:00:00Z');
+var options = { 'now': function () { return (now); } };
+var check = mod_common.checkEval;
+var pred, evaluator;
+
+/*
+ * Test absolute dates, with values of each supported type.
+ */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'ge': [ 'timestamp', '2024-01-01' ] },
+    { 'lt': [ 'timestamp', '2024-01-02T00:00:00.000+01:00' ] }
+] }, types);
+check(pred, { 'timestamp': '2024-01-01T00:00:00Z' }, true);
+check(pred, { 'timestamp': '2023-12-31T23:59:59.999Z' }, false);
+check(pred, { 'timestamp': '2024-01-01T22:59:59.999Z' }, true);
+check(pred, { 'timestamp': '2024-01-01T23:00:00Z' }, false);
+check(pred, { 'timestamp': '2024-01-01T23:30:00+01:00' }, true);
+check(pred, { 'timestamp': new Date('2024-01-01T12:00:00Z') }, true);
+check(pred, { 'timestamp': Date.parse('2024-01-01T12:00:00Z') }, true);
+check(pred, { 'timestamp': Date.parse('2024-01-02T12:00:00Z') }, false);
+check(pred, { 'timestamp': 'yesterday' },
+    /field "timestamp": "yesterday" is not a valid ISO 8601 date/);
+check(pred, { 'timestamp': '2024-01-01T12:00:00' },
+    /is not a valid ISO 8601 date/);
+check(pred, { 'timestamp': true },
+    /field "timestamp": true is not a valid date/);
+check(pred, { 'timestamp': new Date('junk') }, /invalid Date/);
+check(pred, {}, /no translation for field "timestamp"/);
+
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'timestamp', '2024-01-01T00:00:00Z' ] },
+    { 'ne': [ 'req.start', '2024-01-01T01:00:00+01:00' ] }
+] }, types);
+check(pred, {
+    'timestamp': '2024-01-01T01:00:00+01:00',
+    'req': { 'start': '2024-01-01T00:00:00Z' }
+}, true);
+check(pred, {
+    'timestamp': new Date('2024-01-01T00:00:01Z'),
+    'req': { 'start': new Date('2024-01-01T00:00:00Z') }
+}, false);
+check(pred, {
+    'timestamp': '2024-01-01T00:00:01Z',
+    'req': { 'start': '2024-01-01T00:00:01Z' }
+}, true);
+
+/*
+ * Test relative dates.  The clock is read each time the predicate is evaluated.
+ */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'gt': [ 'timestamp', 'now-15m' ] },
+    { 'le': [ 'timestamp', 'now' ] }
+] }, types, options);
+check(pred, { 'timestamp': '2024-06-01T11:50:00Z' }, true);
+check(pred, { 'timestamp': '2024-06-01T11:45:00Z' }, false);
+check(pred, { 'timestamp': '2024-06-01T12:00:00Z' }, true);
+check(pred, { 'timestamp': '2024-06-01T12:00:01Z' }, false);
+
+evaluator = pred.compile();
+now += 60 * 60 * 1000;
+check(pred, { 'timestamp': '2024-06-01T11:50:00Z' }, false);
+check(pred, { 'timestamp': '2024-06-01T12:50:00Z' }, true);
+mod_assert.ok(evaluator({ 'timestamp': '2024-06-01T12:50:00Z' }));
+
+pred = mod_krill.createPredicate({ 'ge': [ 'timestamp', 'now-1d+12h' ] },
+    types, { 'now': function () { return (new Date(now)); } });
+check(pred, { 'timestamp': '2024-06-01T01:00:00Z' }, true);
+check(pred, { 'timestamp': '2024-06-01T00:59:59Z' }, false);
+
+/* Without a clock, the system clock is used. */
+pred = mod_krill.createPredicate({ 'gt': [ 'timestamp', 'now-1h' ] }, types);
+check(pred, { 'timestamp': new Date() }, true);
+check(pred, { 'timestamp': '2024-06-01T12:00:00Z' }, false);
+
+/*
+ * Test printing.
+ */
+now = Date.parse('2024-06-01T12:00:00Z');
+pred = mod_krill.createPredicate({ 'and': [
+    { 'gt': [ 'timestamp', 'now-15m' ] },
+    { 'le': [ 'timestamp', '2024-06-01T14:00:00.250+02:00' ] },
+    { 'eq': [ 'hostname', 'spike' ] }
+] }, types, options);
+mod_assert.equal(pred.toCStyleString(),
+    '(timestamp > "2024-06-01T11:45:00.000Z") && ' +
+    '(timestamp <= "2024-06-01T12:00:00.250Z") && ' +
+    '(hostname == "spike")');
+mod_assert.equal(pred.toLDAPFilterString(),
+    '(&(!(timestamp<=20240601114500Z))(timestamp<=20240601120000.250Z)' +
+    '(hostname=spike))');
+mod_assert.deepEqual(pred.toSQL(), {
+    'text': '("timestamp" > $1) AND ("timestamp" <= $2) AND ' +
+	'("hostname" = $3)',
+    'values': [
+	'2024-06-01T11:45:00.000Z',
+	'2024-06-01T12:00:00.250Z',
+	'spike'
+    ]
+});
+
+/* Printed predicates can be parsed again, with relative dates resolved. */
+mod_assert.deepEqual(mod_krill.parse(pred.toCStyleString(), types).p_pred,
+    { 'and': [
+	{ 'gt': [ 'timestamp', '2024-06-01T11:45:00.000Z' ] },
+	{ 'le': [ 'timestamp', '2024-06-01T12:00:00.250Z' ] },
+	{ 'eq': [ 'hostname', 'spike' ] }
+    ] });
+now += 60 * 1000;
+mod_assert.ok(/^\(timestamp > "2024-06-01T11:46:00.000Z"\)/.test(
+    pred.toCStyleString()));
+mod_assert.deepEqual(mod_krill.fromLDAPFilter(
+    '(&(timestamp>=20240601114500Z)(timestamp<=20240601140000.25+0200))',
+    types).p_pred, { 'and': [
+	{ 'ge': [ 'timestamp', '2024-06-01T11:45:00.000Z' ] },
+	{ 'le': [ 'timestamp', '2024-06-01T12:00:00.250Z' ] }
+    ] });
+mod_assert.throws(function () {
+	mod_krill.fromLDAPFilter('(timestamp>=2024-06-01)', types);
+}, /column 13: attribute "timestamp": "2024-06-01" is not a valid generalized/);
+mod_assert.throws(function () {
+	mod_krill.fromLDAPFilter('(timestamp>=20240230000000Z)', types);
+}, /is not a valid generalized time/);
+
+/*
+ * Test invalid predicates.
+ */
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'gt': [ 'timestamp', 12 ] }, types);
+}, /field "timestamp" value \("12"\) expected "date", but got "number"/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'gt': [ 'timestamp', 'yesterday' ] },
+	    types);
+}, /"yesterday" is neither an ISO 8601 date nor a relative date/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'gt': [ 'timestamp', '2024-02-30' ] },
+	    types);
+}, /"2024-02-30" is not a valid ISO 8601 date/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'gt': [ 'timestamp', 'now-15x' ] }, types);
+}, /"now-15x" is neither an ISO 8601 date nor a relative date/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'prefix': [ 'timestamp', '2024' ] }, types);
+}, /operator "prefix" cannot be applied to fields of type "date"/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'in': [ 'timestamp', [ 'now' ] ] }, types);
+}, /operator "in" cannot be applied to fields of type "date"/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'gt': [ 'timestamp', 'now' ] }, types,
+	    { 'now': 12 });
+}, /options.now/);
+
+/*
+ * Derived predicates keep the clock.
+ */
+pred = mod_krill.createPredicate({ 'gt': [ 'timestamp', 'now-15m' ] }, types,
+    options);
+[ pred.negate().negate(), pred.simplify(),
+    mod_krill.and(pred, mod_krill.eq('hostname', 'spike', types)) ].forEach(
+    function (p) {
+	mod_assert.ok(p.eval({
+	    'timestamp': '2024-06-01T11:50:00Z',
+	    'hostname': 'spike'
+	}));
+});
+
+console.log('test okay');
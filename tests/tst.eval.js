@@ -209,6 +209,186 @@ var test_cases = [ {
 	    trump: 'false'
 	},
 	result: false
+}, {
+	pred: { prefix: ['hostname', 'web'] },	/* prefix */
+	values: { 'hostname': 'web01' },
+	result: true
+}, {
+	pred: { prefix: ['hostname', 'web'] },
+	values: { 'hostname': 'web' },
+	result: true
+}, {
+	pred: { prefix: ['hostname', 'web'] },
+	values: { 'hostname': 'we' },
+	result: false
+}, {
+	pred: { prefix: ['hostname', 'web'] },
+	values: { 'hostname': 'aweb' },
+	result: false
+}, {
+	pred: { suffix: ['hostname', '.com'] },	/* suffix */
+	values: { 'hostname': 'joyent.com' },
+	result: true
+}, {
+	pred: { suffix: ['hostname', '.com'] },
+	values: { 'hostname': '.com' },
+	result: true
+}, {
+	pred: { suffix: ['hostname', '.com'] },
+	values: { 'hostname': 'com' },
+	result: false
+}, {
+	pred: { suffix: ['hostname', '.com'] },
+	values: { 'hostname': 'joyent.com.au' },
+	result: false
+}, {
+	pred: { contains: ['hostname', 'db'] },	/* contains */
+	values: { 'hostname': 'mydb01' },
+	result: true
+}, {
+	pred: { contains: ['hostname', 'db'] },
+	values: { 'hostname': 'd-b' },
+	result: false
+}, {
+	pred: { glob: ['hostname', 'web*'] },	/* glob */
+	values: { 'hostname': 'web01' },
+	result: true
+}, {
+	pred: { glob: ['hostname', '*.com'] },
+	values: { 'hostname': 'x.com' },
+	result: true
+}, {
+	pred: { glob: ['hostname', 'w*b*s'] },
+	values: { 'hostname': 'wbs' },
+	result: true
+}, {
+	pred: { glob: ['hostname', 'w*b*s'] },
+	values: { 'hostname': 'webbies' },
+	result: true
+}, {
+	pred: { glob: ['hostname', 'w*b*s'] },
+	values: { 'hostname': 'webbie' },
+	result: false
+}, {
+	pred: { glob: ['hostname', 'a*a'] },
+	values: { 'hostname': 'a' },
+	result: false
+}, {
+	pred: { glob: ['hostname', 'tony'] },
+	values: { 'hostname': 'tony' },
+	result: true
+}, {
+	pred: { glob: ['hostname', 'tony'] },
+	values: { 'hostname': 'tony2' },
+	result: false
+}, {
+	pred: { glob: ['hostname', '*'] },
+	values: { 'hostname': '' },
+	result: true
+}, {
+	pred: { match: ['hostname', '^web[0-9]+$'] },	/* match */
+	values: { 'hostname': 'web01' },
+	result: true
+}, {
+	pred: { match: ['hostname', '^web[0-9]+$'] },
+	values: { 'hostname': 'web' },
+	result: false
+}, {
+	pred: { match: ['hostname', 'o.y'] },
+	values: { 'hostname': 'tony' },
+	result: true
+}, {
+	pred: { 'in': ['dc', ['us-east-1', 'us-east-2']] },	/* in */
+	values: { 'dc': 'us-east-2' },
+	result: true
+}, {
+	pred: { 'in': ['dc', ['us-east-1', 'us-east-2']] },
+	values: { 'dc': 'us-east-3' },
+	result: false
+}, {
+	pred: { 'in': ['pid', [12, 15]] },
+	values: { 'pid': 15 },
+	result: true
+}, {
+	pred: { 'in': ['pid', [12, 15]] },	/* in: loose equality */
+	values: { 'pid': '15' },
+	result: true
+}, {
+	pred: { 'in': ['pid', ['12', '15']] },
+	values: { 'pid': 15 },
+	result: true
+}, {
+	pred: { 'in': ['pid', ['12', '15']] },
+	values: { 'pid': '15.0' },
+	result: false
+}, {
+	pred: { 'in': ['pid', [12, 15]] },
+	values: { 'pid': '15.0' },
+	result: true
+}, {
+	pred: { 'in': ['pid', [1]] },
+	values: { 'pid': true },
+	result: true
+}, {
+	pred: { 'in': ['pid', [12, 15]] },
+	values: { 'pid': [ 15 ] },
+	result: true
+}, {
+	pred: { 'in': ['audit', [true]] },
+	values: { 'audit': true },
+	result: true
+}, {
+	pred: { 'nin': ['dc', ['us-east-1', 'us-east-2']] },	/* nin */
+	values: { 'dc': 'us-east-2' },
+	result: false
+}, {
+	pred: { 'nin': ['dc', ['us-east-1', 'us-east-2']] },
+	values: { 'dc': 'us-east-3' },
+	result: true
+}, {
+	pred: { 'nin': ['pid', [12, 15]] },
+	values: { 'pid': '12' },
+	result: false
+}, {
+	pred: { not: { eq: [ 'hostname', 'tony' ] } },	/* not: leaf */
+	values: { 'hostname': 'tony' },
+	result: false
+}, {
+	pred: { not: { eq: [ 'hostname', 'tony' ] } },
+	values: { 'hostname': 'louie' },
+	result: true
+}, {
+	pred: {					/* not: compound */
+	    not: {
+		or: [
+		    { eq: [ 'hostname', 'johnny tightlips' ] },
+		    { eq: [ 'pid', 15 ] }
+		]
+	    }
+	},
+	values: {
+	    hostname: 'sid the squealer',
+	    pid: 10
+	},
+	result: true
+}, {
+	pred: {
+	    not: {
+		or: [
+		    { eq: [ 'hostname', 'johnny tightlips' ] },
+		    { eq: [ 'pid', 15 ] }
+		]
+	    }
+	},
+	values: {
+	    hostname: 'sid the squealer',
+	    pid: 15
+	},
+	result: false
+}, {
+	pred: { not: { not: { lt: [ 'pid', 10 ] } } },	/* double negation */
+	values: { 'pid': 5 },
+	result: true
 }, {
 	pred: { eq: [ 'nested.hostname', 'johnny tightlips' ] },
 	values: {
@@ -227,6 +407,37 @@ var test_cases = [ {
 	    pid: 15
 	},
 	result: false
+}, {
+	pred: { eq: [ '/nested/hostname', 'johnny tightlips' ] },
+	values: {				/* JSON Pointer */
+	    nested: {
+	        hostname: 'johnny tightlips'
+	    },
+	    pid: 15
+	},
+	result: true
+}, {
+	pred: { gt: [ 'res.timers.total', 300 ] },	/* deeply nested */
+	values: {
+	    res: {
+		timers: { total: 350 }
+	    }
+	},
+	result: true
+}, {
+	pred: { gt: [ '/res/timers/total', 300 ] },
+	values: {
+	    res: {
+		timers: { total: 250 }
+	    }
+	},
+	result: false
+}, {
+	pred: { eq: [ '/list/1', 'b' ] },	/* array elements */
+	values: {
+	    list: [ 'a', 'b' ]
+	},
+	result: true
 } ];
 
 var ii, pred, result;
@@ -237,6 +448,58 @@ for (ii = 0; ii < test_cases.length; ii++) {
 	pred = mod_krill.createPredicate(test_cases[ii]['pred']);
 	mod_assert.equal(test_cases[ii]['result'], pred.eval(
 	    test_cases[ii]['values']));
+	mod_assert.equal(test_cases[ii]['result'], pred.compile()(
+	    test_cases[ii]['values']));
 }
 
+/*
+ * Check that compiled predicates fail in exactly the same way as eval() for
+ * objects that can't be evaluated.
+ */
+var error_cases = [ {
+	pred: { eq: [ 'hostname', 'tony' ] },
+	values: {}
+}, {
+	pred: {					/* first missing field */
+	    or: [
+		{ eq: [ 'hostname', 'tony' ] },
+		{ gt: [ 'latency', 300 ] },
+		{ lt: [ 'pid', 15 ] }
+	    ]
+	},
+	values: { 'hostname': 'tony' }
+}, {
+	pred: { eq: [ 'req.method', 'GET' ] },	/* missing nested field */
+	values: { 'req': 'GET' }
+}, {
+	pred: { gt: [ 'latency', 300 ] },	/* wrong type */
+	values: { 'latency': 'slow' }
+} ];
+
+function errorOf(func, values)
+{
+	try {
+		func(values);
+	} catch (ex) {
+		return (ex);
+	}
+
+	throw (new Error('expected exception, but found none'));
+}
+
+var evalerr, compileerr;
+for (ii = 0; ii < error_cases.length; ii++) {
+	println('error case %2d: checking %j with values %j',
+	    ii + 1, error_cases[ii]['pred'], error_cases[ii]['values']);
+	pred = mod_krill.createPredicate(error_cases[ii]['pred']);
+	evalerr = errorOf(pred.eval.bind(pred), error_cases[ii]['values']);
+	compileerr = errorOf(pred.compile(), error_cases[ii]['values']);
+	mod_assert.equal(evalerr.name, compileerr.name);
+	mod_assert.equal(evalerr.message, compileerr.message);
+}
+
+/* compile() returns the same function each time. */
+pred = mod_krill.createPredicate({ eq: [ 'hostname', 'tony' ] });
+mod_assert.equal(pred.compile(), pred.compile());
+
 console.log('test okay');
@@ -0,0 +1,173 @@
+/*
+ * tests/tst.explain.js: tests Predicate.explain() and explanationToString()
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number',
+    'timestamp': 'date',
+    'src': 'ip',
+    'req': { 'method': 'string' }
+};
+
+var pred, explanation;
+
+/*
+ * Check that explain() agrees with eval() for "obj", and that the explanation
+ * renders as "expected".
+ */
+function check(obj, expected)
+{
+	explanation = pred.explain(obj);
+	mod_assert.strictEqual(explanation.result, pred.eval(obj));
+	mod_assert.equal(mod_krill.explanationToString(explanation), expected);
+}
+
+/*
+ * Test the structure of an explanation.
+ */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'not': { 'gt': [ 'latency', 300 ] } },
+    { 'prefix': [ 'req.method', 'P' ] }
+] }, types);
+mod_assert.deepEqual(pred.explain({ 'hostname': 'spike', 'latency': 500,
+    'req': { 'method': 'GET' } }), {
+    'predicate': pred.p_pred,
+    'path': '',
+    'operator': 'and',
+    'result': false,
+    'skipped': false,
+    'children': [ {
+	'predicate': { 'eq': [ 'hostname', 'spike' ] },
+	'path': '/and/0',
+	'operator': 'eq',
+	'result': true,
+	'skipped': false,
+	'field': 'hostname',
+	'missing': false,
+	'value': 'spike'
+    }, {
+	'predicate': { 'not': { 'gt': [ 'latency', 300 ] } },
+	'path': '/and/1',
+	'operator': 'not',
+	'result': false,
+	'skipped': false,
+	'children': [ {
+	    'predicate': { 'gt': [ 'latency', 300 ] },
+	    'path': '/and/1/not',
+	    'operator': 'gt',
+	    'result': true,
+	    'skipped': false,
+	    'field': 'latency',
+	    'missing': false,
+	    'value': 500
+	} ]
+    }, {
+	'predicate': { 'prefix': [ 'req.method', 'P' ] },
+	'path': '/and/2',
+	'operator': 'prefix',
+	'result': null,
+	'skipped': true,
+	'field': 'req.method',
+	'missing': false,
+	'value': 'GET'
+    } ]
+});
+
+/*
+ * Test rendering, including short-circuiting.
+ */
+check({ 'hostname': 'spike', 'latency': 500, 'req': { 'method': 'GET' } },
+    '(hostname == "spike" [true: "spike"]) && ' +
+    '(!(latency > 300 [true: 500])) && ' +
+    '(strstr(req.method, "P") == req.method [skipped]) => false');
+check({ 'hostname': 'sharptooth', 'latency': 500,
+    'req': { 'method': 'GET' } },
+    '(hostname == "spike" [false: "sharptooth"]) && ' +
+    '(!(latency > 300 [skipped])) && ' +
+    '(strstr(req.method, "P") == req.method [skipped]) => false');
+check({ 'hostname': 'spike', 'latency': 5, 'req': { 'method': 'PUT' } },
+    '(hostname == "spike" [true: "spike"]) && ' +
+    '(!(latency > 300 [false: 5])) && ' +
+    '(strstr(req.method, "P") == req.method [true: "PUT"]) => true');
+
+/* Operators that C-style syntax can't express are printed as calls. */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'in': [ 'hostname', [ 'spike', 'sharptooth' ] ] },
+    { 'match': [ 'req.method', '^P' ] },
+    { 'exists': [ 'req' ] },
+    {}
+] }, types);
+check({ 'hostname': 'spike', 'req': { 'method': 'GET' } },
+    '(((hostname == "spike") || (hostname == "sharptooth")) ' +
+    '[true: "spike"]) || (match(req.method, "^P") [skipped]) || ' +
+    '(exists(req) [skipped]) || (1 [skipped]) => true');
+check({ 'hostname': 'buffy', 'req': { 'method': 'GET' } },
+    '(((hostname == "spike") || (hostname == "sharptooth")) ' +
+    '[false: "buffy"]) || (match(req.method, "^P") [false: "GET"]) || ' +
+    '(exists(req) [true: {"method":"GET"}]) || (1 [skipped]) => true');
+
+pred = mod_krill.createPredicate({}, types);
+check({}, '1 => true');
+
+/*
+ * Values of "date" and "ip" fields are reported as they appear in the object,
+ * though they're compared in converted form.
+ */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'ge': [ 'timestamp', 'now-1h' ] },
+    { 'within': [ 'src', '10.0.0.0/8' ] }
+] }, types, { 'now': function () { return (Date.UTC(2024, 0, 1, 12)); } });
+check({ 'timestamp': '2024-01-01T11:30:00Z', 'src': '10.1.2.3' },
+    '(timestamp >= "now-1h" [true: "2024-01-01T11:30:00Z"]) && ' +
+    '(within(src, "10.0.0.0/8") [true: "10.1.2.3"]) => true');
+check({ 'timestamp': '2024-01-01T10:30:00Z', 'src': '10.1.2.3' },
+    '(timestamp >= "now-1h" [false: "2024-01-01T10:30:00Z"]) && ' +
+    '(within(src, "10.0.0.0/8") [skipped]) => false');
+
+/*
+ * Test missing fields.
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'hostname', null ] },
+    { 'lt': [ 'latency', 300 ] }
+] }, types, { 'missing': 'null' });
+check({}, '(hostname == NULL [true: missing]) || (latency < 300 [skipped]) ' +
+    '=> true');
+check({ 'hostname': null, 'latency': 200 },
+    '(hostname == NULL [true: null]) || (latency < 300 [skipped]) => true');
+explanation = pred.explain({ 'hostname': null });
+mod_assert.deepEqual([ explanation.children[0].missing,
+    explanation.children[0].value, explanation.children[1].missing,
+    explanation.children[1].value ], [ false, null, true, undefined ]);
+
+pred = mod_krill.createPredicate({ 'lt': [ 'latency', 300 ] }, types,
+    { 'missing': 'false' });
+check({}, 'latency < 300 [false: missing] => false');
+
+/*
+ * Invalid objects cause the same errors as eval(), even in subpredicates that
+ * would have been skipped.
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'ge': [ 'timestamp', '2024-01-01' ] }
+] }, types);
+mod_assert.throws(function () {
+	pred.explain({ 'hostname': 'spike' });
+}, /no translation for field "timestamp"/);
+mod_assert.throws(function () {
+	pred.explain({ 'hostname': 'spike', 'timestamp': 'tuesday' });
+}, /field "timestamp": "tuesday" is not a valid ISO 8601 date/);
+
+pred = mod_krill.createPredicate({ 'eq': [ 'latency', 300 ] }, types,
+    { 'strict': true });
+mod_assert.throws(function () {
+	pred.explain({ 'latency': '300' });
+}, /field "latency": expected "number"/);
+
+console.log('test okay');
@@ -0,0 +1,140 @@
+/*
+ * tests/tst.fromldap.js: tests constructing predicates from LDAP search filters
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number',
+    'audit': 'boolean',
+    'req': { 'method': 'string' }
+};
+
+/*
+ * Each of these is parsed (using "types") and checked against the expected
+ * JSON representation.
+ */
+var cases = [
+    /* INPUT, EXPECTED PREDICATE */
+    [ '(hostname=spike)', { 'eq': [ 'hostname', 'spike' ] } ],
+    [ '(HostName=spike)', { 'eq': [ 'hostname', 'spike' ] } ],
+    [ '(latency=300)', { 'eq': [ 'latency', 300 ] } ],
+    [ '(latency>=-1.5)', { 'ge': [ 'latency', -1.5 ] } ],
+    [ '(latency<=1e3)', { 'le': [ 'latency', 1000 ] } ],
+    [ '(audit=TRUE)', { 'eq': [ 'audit', true ] } ],
+    [ '(audit=false)', { 'eq': [ 'audit', false ] } ],
+    [ '(req.method=GET)', { 'eq': [ 'req.method', 'GET' ] } ],
+    [ '(REQ.Method=GET)', { 'eq': [ 'req.method', 'GET' ] } ],
+    [ '(hostname=a\\2ab\\28c\\29d\\5ce\\00)',
+	{ 'eq': [ 'hostname', 'a*b(c)d\\e\u0000' ] } ],
+    [ '(hostname=caf\\c3\\a9)', { 'eq': [ 'hostname', 'caf\u00e9' ] } ],
+    [ '(hostname=web*)', { 'prefix': [ 'hostname', 'web' ] } ],
+    [ '(hostname=*.com)', { 'suffix': [ 'hostname', '.com' ] } ],
+    [ '(hostname=*db*)', { 'contains': [ 'hostname', 'db' ] } ],
+    [ '(hostname=*\\2a*)', { 'contains': [ 'hostname', '*' ] } ],
+    [ '(hostname=w*b*s)', { 'glob': [ 'hostname', 'w*b*s' ] } ],
+    [ '(hostname=**)', { 'contains': [ 'hostname', '' ] } ],
+    [ '(hostname=*)', { 'exists': [ 'hostname' ] } ],
+    [ '(LATENCY=*)', { 'exists': [ 'latency' ] } ],
+    [ '(!(hostname=spike))', { 'not': { 'eq': [ 'hostname', 'spike' ] } } ],
+    [ '(&(hostname=spike))', { 'eq': [ 'hostname', 'spike' ] } ],
+    [ '(&)', {} ],
+    [ '(|)', { 'not': {} } ],
+    [ '(|(hostname=spike)(&(latency>=300)(!(audit=TRUE))))', {
+	'or': [
+	    { 'eq': [ 'hostname', 'spike' ] },
+	    { 'and': [
+		{ 'ge': [ 'latency', 300 ] },
+		{ 'not': { 'eq': [ 'audit', true ] } }
+	    ] }
+	]
+    } ]
+];
+
+cases.forEach(function (testcase) {
+	var pred;
+
+	console.log('checking "%s"', testcase[0]);
+	pred = mod_krill.fromLDAPFilter(testcase[0], types);
+	mod_assert.deepEqual(pred.p_pred, testcase[1]);
+});
+
+/*
+ * Without types, values are strings except for "<=" and ">=".
+ */
+mod_assert.deepEqual(mod_krill.fromLDAPFilter('(&(pid=12)(pid>=10))').p_pred, {
+    'and': [
+	{ 'eq': [ 'pid', '12' ] },
+	{ 'ge': [ 'pid', 10 ] }
+    ]
+});
+
+/*
+ * Filters printed by toLDAPFilterString() can be parsed back.
+ */
+var pred = mod_krill.createPredicate({
+    'and': [
+	{ 'in': [ 'hostname', [ 'a', 'b' ] ] },
+	{ 'ne': [ 'latency', 12 ] },
+	{ 'ge': [ 'latency', 10 ] },
+	{ 'prefix': [ 'hostname', 'web' ] },
+	{ 'not': { 'eq': [ 'audit', true ] } }
+    ]
+}, types);
+var str = pred.toLDAPFilterString();
+console.log('round-tripping %s', str);
+mod_assert.equal(mod_krill.fromLDAPFilter(str, types).toLDAPFilterString(),
+    str);
+
+/*
+ * Each of these is invalid, and must fail with an error matching the given
+ * regular expression.
+ */
+var invalids = [
+    /* INPUT			ERROR MESSAGE REGEX */
+    /* BEGIN JSSTYLED */
+    [ '',			/column 1: expected "\(", but found end of input/ ],
+    [ 'hostname=spike',		/column 1: expected "\(", but found "h"/ ],
+    [ '(hostname=spike',	/column 16: expected "\)", but found end of input/ ],
+    [ '(hostname=spike))',	/column 17: expected end of input, but found "\)"/ ],
+    [ '(=spike)',		/column 2: expected attribute name, but found "="/ ],
+    [ '(host_name=spike)',	/column 2: invalid attribute name "host_name"/ ],
+    [ '(hostname)',		/column 10: expected filter type, but found "\)"/ ],
+    [ '(hostname~=spike)',	/column 10: approximate match filters are not supported/ ],
+    [ '(hostname:dn:=spike)',	/column 10: extensible match filters are not supported/ ],
+    [ '(latency<300)',		/column 9: unsupported filter type "<"/ ],
+    [ '(hostname=sp(ike)',	/column 13: unescaped "\(" in value/ ],
+    [ '(hostname=sp\\ike)',	/column 13: invalid escape sequence "\\ik"/ ],
+    [ '(hostname=\\c3)',	/column 11: value is not valid UTF-8/ ],
+    [ '(latency>=3*)',		/column 11: "\*" is not allowed with ">="/ ],
+    [ '(latency=3*)',		/substring filters require a string field, but "latency" is a number/ ],
+    [ '(hostname=a*b\\2ac)',	/substring filter with an escaped "\*" cannot be represented/ ],
+    [ '(latency=fast)',		/column 10: attribute "latency": expected a number, but found "fast"/ ],
+    [ '(audit=yes)',		/column 8: attribute "audit": expected "TRUE" or "FALSE", but found "yes"/ ],
+    [ '(uptime=3)',		/column 2: attribute "uptime" is not defined/ ],
+    [ '(req=3)',		/column 2: attribute "req" is not defined/ ],
+    [ '(pid>=abc)',		/expected a number, but found "abc"/, null ]
+    /* END JSSTYLED */
+];
+
+invalids.forEach(function (input) {
+	console.log('checking invalid case "%s"', input[0]);
+	try {
+		mod_krill.fromLDAPFilter(input[0],
+		    input.length > 2 ? input[2] : types);
+	} catch (ex) {
+		console.log('error: ' + ex.message);
+		if (!input[1].test(ex.message))
+			throw (new VError('expected message to match "%s"',
+			    input[1].source));
+		return;
+	}
+
+	throw (new Error('expected exception, but found none'));
+});
+
+console.log('test okay');
@@ -0,0 +1,202 @@
+/*
+ * tests/tst.implies.js: tests implication and equivalence of predicates
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'host': 'string',
+    'latency': 'number',
+    'audit': 'boolean'
+};
+
+/*
+ * Each test case has two predicates and whether each implies the other.
+ */
+var test_cases = [ {
+    'a': { 'gt': [ 'latency', 300 ] },
+    'b': { 'gt': [ 'latency', 100 ] },
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    'a': { 'gt': [ 'latency', 100 ] },
+    'b': { 'ge': [ 'latency', 100 ] },
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    /* Both "le" and "gt" are false for null. */
+    'a': { 'not': { 'le': [ 'latency', 100 ] } },
+    'b': { 'gt': [ 'latency', 100 ] },
+    'a_implies_b': false,
+    'b_implies_a': true
+}, {
+    'a': { 'and': [
+	{ 'eq': [ 'host', 'spike' ] },
+	{ 'gt': [ 'latency', 300 ] }
+    ] },
+    'b': { 'eq': [ 'host', 'spike' ] },
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    'a': { 'eq': [ 'host', 'spike' ] },
+    'b': { 'or': [
+	{ 'eq': [ 'host', 'spike' ] },
+	{ 'eq': [ 'host', 'sharptooth' ] }
+    ] },
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    'a': { 'in': [ 'host', [ 'spike', 'sharptooth' ] ] },
+    'b': { 'or': [
+	{ 'eq': [ 'host', 'sharptooth' ] },
+	{ 'eq': [ 'host', 'spike' ] }
+    ] },
+    'a_implies_b': true,
+    'b_implies_a': true
+}, {
+    'a': { 'nin': [ 'host', [ 'spike', 'sharptooth' ] ] },
+    'b': { 'ne': [ 'host', 'spike' ] },
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    /* De Morgan's laws */
+    'a': { 'not': { 'and': [
+	{ 'eq': [ 'audit', true ] },
+	{ 'lt': [ 'latency', 10 ] }
+    ] } },
+    'b': { 'or': [
+	{ 'not': { 'eq': [ 'audit', true ] } },
+	{ 'not': { 'lt': [ 'latency', 10 ] } }
+    ] },
+    'a_implies_b': true,
+    'b_implies_a': true
+}, {
+    /* If "audit" is null, only "a" is true. */
+    'a': { 'not': { 'and': [
+	{ 'eq': [ 'audit', true ] },
+	{ 'lt': [ 'latency', 10 ] }
+    ] } },
+    'b': { 'or': [
+	{ 'eq': [ 'audit', false ] },
+	{ 'ge': [ 'latency', 10 ] }
+    ] },
+    'a_implies_b': false,
+    'b_implies_a': true
+}, {
+    'a': { 'and': [
+	{ 'ge': [ 'latency', 10 ] },
+	{ 'le': [ 'latency', 20 ] }
+    ] },
+    'b': { 'or': [
+	{ 'and': [
+	    { 'ge': [ 'latency', 10 ] },
+	    { 'lt': [ 'latency', 15 ] }
+	] },
+	{ 'and': [
+	    { 'ge': [ 'latency', 15 ] },
+	    { 'le': [ 'latency', 20 ] }
+	] }
+    ] },
+    'a_implies_b': true,
+    'b_implies_a': true
+}, {
+    'a': { 'and': [
+	{ 'ge': [ 'latency', 10 ] },
+	{ 'le': [ 'latency', 20 ] }
+    ] },
+    'b': { 'or': [
+	{ 'and': [
+	    { 'ge': [ 'latency', 10 ] },
+	    { 'lt': [ 'latency', 15 ] }
+	] },
+	{ 'and': [
+	    { 'gt': [ 'latency', 15 ] },
+	    { 'le': [ 'latency', 20 ] }
+	] }
+    ] },
+    'a_implies_b': false,
+    'b_implies_a': true
+}, {
+    'a': { 'prefix': [ 'host', 'web-east' ] },
+    'b': { 'prefix': [ 'host', 'web' ] },
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    'a': { 'eq': [ 'host', 'web0' ] },
+    'b': { 'glob': [ 'host', 'web*' ] },
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    /* Everything implies the trivial predicate, and false implies anything. */
+    'a': { 'eq': [ 'audit', true ] },
+    'b': {},
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    'a': { 'not': {} },
+    'b': { 'eq': [ 'audit', true ] },
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    /* "audit" may be null. */
+    'a': { 'or': [
+	{ 'eq': [ 'audit', true ] },
+	{ 'eq': [ 'audit', false ] }
+    ] },
+    'b': {},
+    'a_implies_b': true,
+    'b_implies_a': false
+}, {
+    'a': { 'or': [
+	{ 'eq': [ 'audit', true ] },
+	{ 'eq': [ 'audit', false ] }
+    ] },
+    'b': { 'ne': [ 'audit', null ] },
+    'a_implies_b': true,
+    'b_implies_a': true
+}, {
+    /* Regular expressions aren't analyzed, so this can't be proven. */
+    'a': { 'match': [ 'host', '^web[0-9]+$' ] },
+    'b': { 'match': [ 'host', '^web' ] },
+    'a_implies_b': false,
+    'b_implies_a': false
+} ];
+
+test_cases.forEach(function (tc) {
+	var a, b;
+
+	console.error('checking %j and %j', tc.a, tc.b);
+	a = mod_krill.createPredicate(tc.a, types);
+	b = mod_krill.createPredicate(tc.b, types);
+	mod_assert.equal(a.implies(b), tc.a_implies_b);
+	mod_assert.equal(b.implies(a), tc.b_implies_a);
+	mod_assert.equal(a.equivalent(b), tc.a_implies_b && tc.b_implies_a);
+	mod_assert.equal(b.equivalent(a), tc.a_implies_b && tc.b_implies_a);
+	mod_assert.ok(a.implies(a));
+	mod_assert.ok(a.equivalent(a));
+	mod_assert.ok(a.equivalent(a.simplify()));
+});
+
+/*
+ * Types come from the other predicate if this one doesn't have any.
+ */
+var a = mod_krill.createPredicate({ 'eq': [ 'audit', true ] });
+var b = mod_krill.createPredicate({ 'ne': [ 'audit', false ] }, types);
+mod_assert.ok(a.implies(b));
+mod_assert.ok(!b.implies(a));
+
+/*
+ * Without types at all, loose equality means that the number 1 satisfies both
+ * of these.
+ */
+a = mod_krill.createPredicate({ 'eq': [ 'pid', '1' ] });
+b = mod_krill.createPredicate({ 'ne': [ 'pid', '1.0' ] });
+mod_assert.ok(a.eval({ 'pid': 1 }) && !b.eval({ 'pid': 1 }));
+mod_assert.ok(!a.implies(b));
+
+mod_assert.throws(function () {
+	a.implies({ 'eq': [ 'audit', true ] });
+}, /other must be a Predicate/);
+
+console.log('test okay');
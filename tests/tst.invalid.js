@@ -9,7 +9,11 @@ var VError = mod_verror.VError;
 
 var types = {
     's': 'string',
-    'n': 'number'
+    'n': 'number',
+    'o': {
+	's': 'string',
+	'n': 'number'
+    }
 };
 
 var invalids = [
@@ -21,11 +25,19 @@ var invalids = [
     [ [ 'foo' ],		/unknown operator/ ],
     [ { 'foo': 1 },		/unknown operator/ ],
     [ { 'foo': [ 1, 2 ] },	/unknown operator/ ],
+    [ { 'toString': [ 1, 2 ] },	/unknown operator "toString"/ ],
+    [ { 'not': { 'hasOwnProperty': [ 's', 1 ] } },
+        /unknown operator "hasOwnProperty"/ ],
     [ { 'and': 1 },		/expected array/ ],
     [ { 'and': [] },		/expected at least 2 elements in array/ ],
     [ { 'or': 1 },		/expected array/ ],
     [ { 'or': [] },		/expected at least 2 elements in array/ ],
     [ { 'or': [ {}, 'foo' ] },	/predicate 'foo': must be an object/ ],
+    [ { 'not': 1 },		/must be an object/ ],
+    [ { 'not': [] },		/expected object, not array/ ],
+    [ { 'not': [ {}, {} ] },	/expected object, not array/ ],
+    [ { 'not': { 'foo': 1 } },	/unknown operator/ ],
+    [ { 'not': { 'le': [ 's', 3 ] } },	/expected "string"/, types ],
     [ { 'eq': {} },		/expected array/ ],
     [ { 'eq': [] },		/"eq" array must have 2 elements/ ],
     [ { 'eq': [ 'foo' ] },	/"eq" array must have 2 elements/ ],
@@ -37,12 +49,55 @@ var invalids = [
     [ { 'le': [ 's', '3' ] },	/cannot be applied to fields of type/, types ],
     [ { 'ge': [ 's', '3' ] },	/cannot be applied to fields of type/, types ],
     [ { 'gt': [ 's', '3' ] },	/cannot be applied to fields of type/, types ],
-    [ { 'eq': [ 'foo', null ] },
-        /predicate { eq: \[ 'foo', null \] }: field "foo" is not a string, number, or boolean/ ]
+    [ { 'prefix': [ 'n', 3 ] },	/cannot be applied to fields of type/, types ],
+    [ { 'suffix': [ 'n', 3 ] },	/cannot be applied to fields of type/, types ],
+    [ { 'contains': [ 'n', 3 ] },
+        /cannot be applied to fields of type/, types ],
+    [ { 'glob': [ 's', true ] },
+        /cannot be applied to fields of type/, types ],
+    [ { 'prefix': [ 'n', '3' ] },	/expected "number"/, types ],
+    [ { 'match': [ 'n', 3 ] },	/cannot be applied to fields of type/, types ],
+    [ { 'match': [ 's', '[a-' ] },
+        /"match": invalid constant "\[a-": Invalid regular/ ],
+    [ { 'not': { 'match': [ 's', '(' ] } },
+        /"match": invalid constant "\(": Invalid regular/ ],
+    [ { 'in': 1 },		/expected array/ ],
+    [ { 'in': [ 's' ] },	/"in" array must have 2 elements/ ],
+    [ { 'in': [ 's', 'a' ] },	/expected array of values/ ],
+    [ { 'nin': [ 's', [] ] },	/expected at least 1 value/ ],
+    [ { 'in': [ 's', [ 'a', null ] ] },
+        /field "s": value 1 is not a string, number, or boolean/ ],
+    [ { 'in': [ 's', [ 'a', 3 ] ] },	/expected "string"/, types ],
+    [ { 'nin': [ 'n', [ 3, '4' ] ] },	/expected "number"/, types ],
+    [ { 'in': [ 'x', [ 3 ] ] },	/field "x" is not defined/, types ],
+    [ { 'eq': [ 'o.s', 3 ] },	/field "o.s" value \("3"\) expected "string"/,
+        types ],
+    [ { 'eq': [ '/o/n', 's' ] },	/expected "number"/, types ],
+    [ { 'eq': [ 'o.x', 's' ] },	/field "o.x" is not defined/, types ],
+    [ { 'eq': [ 'o', 's' ] },	/field "o" is an object, not a value/,
+        types ],
+    [ { 'eq': [ 's.x', 's' ] },
+        /field "s.x" is not defined: field "s.x": "s" is not an object/,
+        types ],
+    [ { 'eq': [ '/o/~2', 's' ] },	/field "\/o\/~2": invalid JSON Pointer/ ],
+    [ { 'eq': [ '/o/~', 's' ] },	/invalid JSON Pointer/ ],
+    [ { 'eq': [ 'o', 's' ] },	/field "o.x": unknown type "bool"/,
+        { 'o': { 'x': 'bool' } } ],
+    [ { 'eq': [ 'o', 's' ] },	/field "o": expected type name or object/,
+        { 'o': [] } ],
+    [ { 'eq': [ 'o', 's' ] },	/types: expected object, but found 5/, 5 ],
+    [ { 'eq': [ 'o', 's' ] },	/types: expected object, but found \[\]/, [] ],
+    [ { 'lt': [ 'foo', null ] },
+        /predicate { lt: \[ 'foo', null \] }: field "foo" is not a string, number, or boolean/ ],
+    [ { 'exists': [ 'foo', 'bar' ] },	/"exists" array must have 1 element/ ],
+    [ { 'exists': 'foo' },	/operator "exists": expected array/ ],
+    [ { 'exists': [ 'foo' ] },	/field "foo" is not defined/, { 'bar': 'string' } ]
     /* END JSSTYLED */
 ];
 
 invalids.forEach(function (input) {
+	var errors;
+
 	console.log('checking invalid case', input[0]);
 	try {
 		mod_krill.createPredicate(input[0], input[2] || null);
@@ -51,6 +106,13 @@ invalids.forEach(function (input) {
 		if (!input[1].test(ex.message))
 			throw (new VError('expected message to match "%s"',
 			    input[1].source));
+
+		/* validate() reports the same error first. */
+		mod_assert.equal(typeof (ex.code), 'string');
+		errors = mod_krill.validate(input[0], input[2] || null);
+		mod_assert.ok(errors.length > 0);
+		mod_assert.equal(errors[0].message, ex.message);
+		mod_assert.equal(errors[0].code, ex.code);
 		return;
 	}
 
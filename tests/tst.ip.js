@@ -0,0 +1,185 @@
+/*
+ * tests/tst.ip.js: tests fields of type "ip" and the "within" operator
+ */
+
+var mod_assert = require('assert');
+var mod_common = require('./common');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'src': 'ip',
+    'hostname': 'string',
+    'nic': { 'addr': 'ip' }
+};
+
+var check = mod_common.checkEval;
+var pred, stream, results, errors;
+
+/*
+ * Test "within" for IPv4 and IPv6.
+ */
+pred = mod_krill.createPredicate(
+    { 'within': [ 'src', '10.0.0.0/8' ] }, types);
+check(pred, { 'src': '10.0.0.0' }, true);
+check(pred, { 'src': '10.255.255.255' }, true);
+check(pred, { 'src': '11.0.0.1' }, false);
+check(pred, { 'src': '9.255.255.255' }, false);
+check(pred, { 'src': '::ffff:10.0.0.1' }, false);
+check(pred, { 'src': 'fd00::1' }, false);
+check(pred, { 'src': 'spike' },
+    /field "src": "spike" is not a valid IP address/);
+check(pred, { 'src': '010.0.0.1' }, /"010.0.0.1" is not a valid IP address/);
+check(pred, { 'src': 10 }, /field "src": 10 is not a valid IP address/);
+check(pred, {}, /no translation for field "src"/);
+
+pred = mod_krill.createPredicate({ 'or': [
+    { 'within': [ 'src', '192.168.1.128/25' ] },
+    { 'within': [ 'nic.addr', 'FD00::/8' ] }
+] }, types);
+check(pred, { 'src': '192.168.1.200', 'nic': { 'addr': '::1' } }, true);
+check(pred, { 'src': '192.168.1.127', 'nic': { 'addr': '::1' } }, false);
+check(pred, { 'src': '192.168.1.127', 'nic': { 'addr': 'fdab:0::1' } }, true);
+check(pred, { 'src': '192.168.1.127', 'nic': { 'addr': 'FEAB::1' } }, false);
+
+/* Host bits in the block are ignored, and a bare address is a block of one. */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'within': [ 'src', '172.16.5.4/12' ] },
+    { 'not': { 'within': [ 'src', '172.16.0.1' ] } }
+] }, types);
+check(pred, { 'src': '172.31.0.1' }, true);
+check(pred, { 'src': '172.16.0.1' }, false);
+check(pred, { 'src': '172.32.0.1' }, false);
+
+pred = mod_krill.createPredicate({ 'within': [ 'src', '::/0' ] }, types);
+check(pred, { 'src': '::1' }, true);
+check(pred, { 'src': '127.0.0.1' }, false);
+
+/*
+ * Test equality of addresses written differently.
+ */
+pred = mod_krill.createPredicate({ 'eq': [ 'src', '0:0::1' ] }, types);
+check(pred, { 'src': '::1' }, true);
+check(pred, { 'src': '0:0:0:0:0:0:0:1' }, true);
+check(pred, { 'src': '::2' }, false);
+check(pred, { 'src': 'localhost' }, /"localhost" is not a valid IP address/);
+
+pred = mod_krill.createPredicate({ 'ne': [ 'src', '2001:DB8::a' ] }, types);
+check(pred, { 'src': '2001:db8:0:0:0:0:0:A' }, false);
+check(pred, { 'src': '2001:db8::b' }, true);
+
+pred = mod_krill.createPredicate({ 'eq': [ 'src', '::ffff:a00:1' ] }, types);
+check(pred, { 'src': '::FFFF:10.0.0.1' }, true);
+check(pred, { 'src': '10.0.0.1' }, false);
+
+/* Without types, "eq" compares strings, but "within" still works. */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'eq': [ 'src', '::1' ] },
+    { 'within': [ 'src', '::/64' ] }
+] });
+check(pred, { 'src': '::1' }, true);
+check(pred, { 'src': '0::1' }, false);
+pred = mod_krill.createPredicate({ 'within': [ 'src', '::/64' ] });
+check(pred, { 'src': 'spike' }, /"spike" is not a valid IP address/);
+
+/*
+ * Test the streaming interface.
+ */
+pred = mod_krill.createPredicate(
+    { 'within': [ 'src', '10.0.0.0/8' ] }, types);
+stream = mod_krill.createPredicateStream({ 'predicate': pred });
+results = [];
+errors = [];
+stream.on('data', function (obj) { results.push(obj.src); });
+stream.on('invalid_object', function (obj, err) { errors.push(err.message); });
+stream.write({ 'src': '10.1.2.3' });
+stream.write({ 'src': '192.168.0.1' });
+stream.write({ 'src': 'bogus' });
+stream.write({ 'src': '10.3.2.1' });
+stream.end();
+mod_assert.deepEqual(results, [ '10.1.2.3', '10.3.2.1' ]);
+mod_assert.equal(errors.length, 1);
+mod_assert.ok(/"bogus" is not a valid IP address/.test(errors[0]));
+mod_assert.deepEqual(stream.stats(), {
+    'ninputs': 4,
+    'nerrors': 1,
+    'nfilteredout': 1
+});
+
+/*
+ * Test printing.  Only PostgreSQL can express "within".
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'within': [ 'src', '10.0.0.0/8' ] },
+    { 'eq': [ 'src', '::1' ] }
+] }, types);
+mod_assert.deepEqual(pred.toSQL(), {
+    'text': '("src" <<= $1) OR ("src" = $2)',
+    'values': [ '10.0.0.0/8', '::1' ]
+});
+mod_assert.throws(function () { pred.toSQL({ 'dialect': 'mysql' }); },
+    /operator "within" cannot be expressed in the "mysql" SQL dialect/);
+mod_assert.throws(function () { pred.toSQL({ 'dialect': 'sqlite' }); },
+    /operator "within" cannot be expressed in the "sqlite" SQL dialect/);
+mod_assert.throws(function () { pred.toCStyleString(); },
+    /operator "within" cannot be expressed in C-style syntax/);
+mod_assert.throws(function () { pred.toLDAPFilterString(); },
+    /operator "within" cannot be expressed as an LDAP search filter/);
+
+pred = mod_krill.createPredicate({ 'eq': [ 'src', '::1' ] }, types);
+mod_assert.equal(pred.toCStyleString(), 'src == "::1"');
+mod_assert.equal(pred.toLDAPFilterString(), '(src=::1)');
+
+/*
+ * Test the leaf builder, and analysis (which doesn't look at addresses).
+ */
+pred = mod_krill.within('src', '10.0.0.0/8', types);
+mod_assert.deepEqual(pred.p_pred, { 'within': [ 'src', '10.0.0.0/8' ] });
+mod_assert.ok(pred.isSatisfiable());
+mod_assert.ok(pred.implies(pred));
+mod_assert.ok(!pred.implies(mod_krill.within('src', '10.0.0.0/7', types)));
+mod_assert.ok(mod_krill.and(pred, pred.negate()).simplify().p_pred['not']);
+mod_assert.ok(mod_krill.createPredicate({ 'and': [
+    { 'eq': [ 'src', '10.0.0.1' ] },
+    { 'eq': [ 'src', '10.0.0.2' ] }
+] }, types).isSatisfiable());
+
+/*
+ * Test invalid predicates.
+ */
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'within': [ 'src', '10.0.0.0/33' ] },
+	    types);
+}, new RegExp('operator "within": invalid constant "10.0.0.0/33": ' +
+    '"10.0.0.0/33" is not a valid CIDR block: expected a prefix length ' +
+    'between 0 and 32'));
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'within': [ 'src', 'spike/8' ] });
+}, new RegExp('invalid constant "spike/8": "spike/8" is not a valid CIDR ' +
+    'block: "spike" is not a valid IP address'));
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'within': [ 'src', 8 ] });
+}, /invalid constant "8": 8 is not a valid CIDR block/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'eq': [ 'src', '10.0.0.256' ] }, types);
+}, /field "src": "10.0.0.256" is not a valid IP address/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'eq': [ 'src', 12 ] }, types);
+}, /field "src" value \("12"\) expected "ip", but got "number"/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'lt': [ 'src', '10.0.0.1' ] }, types);
+}, /operator "lt" cannot be applied to fields of type "ip"/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'prefix': [ 'src', '10.' ] }, types);
+}, /operator "prefix" cannot be applied to fields of type "ip"/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'in': [ 'src', [ '10.0.0.1' ] ] }, types);
+}, /operator "in" cannot be applied to fields of type "ip"/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'within': [ 'hostname', '10.0.0.0/8' ] },
+	    types);
+}, /operator "within" cannot be applied to fields of type "string"/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'eq': [ 'src', '1' ] }, { 'src': 'ipv4' });
+}, /field "src": unknown type "ipv4"/);
+
+console.log('test okay');
@@ -0,0 +1,203 @@
+/*
+ * tests/tst.jsonschema.js: tests the JSON Schema describing valid predicates
+ */
+
+var mod_ajv = require('ajv');
+var mod_assert = require('assert');
+var mod_ip = require('../lib/ip');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number',
+    'audit': 'boolean',
+    'timestamp': 'date',
+    'src': 'ip',
+    'req': { 'method': 'string', 'a/b~c': 'number' }
+};
+
+var ajv = new mod_ajv();
+var schema, schematypes, validator;
+
+/*
+ * Check that "schema" accepts "pred" (according to a standard draft-07
+ * validator) if and only if krill does (using the types map "schematypes"),
+ * and that krill's verdict is "expected".
+ */
+function check(pred, expected)
+{
+	var valid = mod_krill.validate(pred, schematypes).length === 0;
+	mod_assert.equal(valid, expected, JSON.stringify(pred));
+	mod_assert.equal(validator(pred), expected, JSON.stringify(pred));
+}
+
+/*
+ * Sets the schema used by check().
+ */
+function useSchema(newschema)
+{
+	schema = newschema;
+	validator = ajv.compile(schema);
+}
+
+/*
+ * Test the overall structure.
+ */
+useSchema(mod_krill.jsonSchema(types));
+mod_assert.equal(schema['$schema'], 'http://json-schema.org/draft-07/schema#');
+mod_assert.deepEqual(Object.keys(schema['definitions']), [ 'trivial', 'and',
+    'or', 'not', 'le', 'lt', 'ge', 'gt', 'eq', 'ne', 'prefix', 'suffix',
+    'contains', 'glob', 'match', 'within', 'in', 'nin', 'exists' ]);
+mod_assert.deepEqual(schema['definitions']['prefix'], {
+    'type': 'object',
+    'required': [ 'prefix' ],
+    'additionalProperties': false,
+    'properties': {
+	'prefix': {
+	    'type': 'array',
+	    'items': [
+		{ 'enum': [ 'hostname', '/hostname', 'req.method',
+		    '/req/method' ] },
+		{ 'type': 'string' }
+	    ],
+	    'additionalItems': false,
+	    'minItems': 2
+	}
+    }
+});
+mod_assert.deepEqual(schema['definitions']['within']['properties']['within'],
+    {
+	'type': 'array',
+	'items': [
+	    { 'enum': [ 'src', '/src' ] },
+	    { 'type': 'string', 'pattern': mod_ip.cidrPattern() }
+	],
+	'additionalItems': false,
+	'minItems': 2
+    });
+
+/* The schema is plain JSON. */
+mod_assert.deepEqual(JSON.parse(JSON.stringify(schema)), schema);
+
+/*
+ * Compare the schema's verdict with krill's for many predicates.
+ */
+schematypes = types;
+check({}, true);
+check({ 'eq': [ 'hostname', 'spike' ] }, true);
+check({ 'eq': [ '/hostname', 'spike' ] }, true);
+check({ 'eq': [ 'hostname', null ] }, true);
+check({ 'eq': [ 'hostname', 12 ] }, false);
+check({ 'eq': [ 'zonename', 'global' ] }, false);
+check({ 'eq': [ 'hostname' ] }, false);
+check({ 'eq': [ 'hostname', 'spike', 'sharptooth' ] }, false);
+check({ 'eq': [ 'hostname', 'spike' ], 'ne': [ 'latency', 3 ] }, false);
+check({ 'eq': 'hostname' }, false);
+check({ 'like': [ 'hostname', 'spike' ] }, false);
+check(12, false);
+check(null, false);
+check({ 'ne': [ 'audit', false ] }, true);
+check({ 'ne': [ 'audit', 'false' ] }, false);
+check({ 'lt': [ 'latency', 300 ] }, true);
+check({ 'lt': [ 'latency', null ] }, false);
+check({ 'lt': [ 'hostname', 'spike' ] }, false);
+check({ 'lt': [ 'audit', true ] }, false);
+check({ 'ge': [ 'req.a/b~c', 3 ] }, true);
+check({ 'ge': [ '/req/a~1b~0c', 3 ] }, true);
+check({ 'ge': [ '/req/a/b~c', 3 ] }, false);
+check({ 'ge': [ 'timestamp', '2024-01-01' ] }, true);
+check({ 'ge': [ 'timestamp', '2024-01-01T12:00:00Z' ] }, true);
+check({ 'ge': [ 'timestamp', 'now-1h' ] }, true);
+check({ 'ge': [ 'timestamp', 'yesterday' ] }, false);
+check({ 'ge': [ 'timestamp', 1700000000 ] }, false);
+check({ 'prefix': [ 'req.method', 'G' ] }, true);
+check({ 'prefix': [ 'latency', 3 ] }, false);
+check({ 'prefix': [ 'timestamp', '2024' ] }, false);
+check({ 'match': [ 'hostname', '^s' ] }, true);
+check({ 'match': [ 'hostname', '[s' ] }, false);
+check({ 'glob': [ 'req.method', 'G*' ] }, true);
+check({ 'within': [ 'src', '10.0.0.0/8' ] }, true);
+check({ 'within': [ 'src', '10.0.0.1' ] }, true);
+check({ 'within': [ 'src', 'fd00::/8' ] }, true);
+check({ 'within': [ 'src', '::ffff:10.0.0.0/104' ] }, true);
+check({ 'within': [ 'src', '10.0.0.0/33' ] }, false);
+check({ 'within': [ 'src', 'fd00::/129' ] }, false);
+check({ 'within': [ 'src', '10.0.0.0/08' ] }, false);
+check({ 'within': [ 'src', '10.0.0.0/' ] }, false);
+check({ 'within': [ 'src', '010.0.0.0/8' ] }, false);
+check({ 'within': [ 'src', 'bogus' ] }, false);
+check({ 'within': [ 'hostname', '10.0.0.0/8' ] }, false);
+check({ 'eq': [ 'src', '::1' ] }, true);
+check({ 'eq': [ 'src', '1:2:3:4:5:6:1.2.3.4' ] }, true);
+check({ 'eq': [ 'src', '1:2:3:4:5:6:7:1.2.3.4' ] }, false);
+check({ 'eq': [ 'src', '10.0.0.0/8' ] }, false);
+check({ 'eq': [ 'src', '256.0.0.1' ] }, false);
+check({ 'eq': [ 'src', 1 ] }, false);
+check({ 'in': [ 'hostname', [ 'spike', 'sharptooth' ] ] }, true);
+check({ 'in': [ 'latency', [ 1, 2 ] ] }, true);
+check({ 'in': [ 'latency', [ 1, '2' ] ] }, false);
+check({ 'in': [ 'latency', [] ] }, false);
+check({ 'in': [ 'latency', 1 ] }, false);
+check({ 'nin': [ 'audit', [ true ] ] }, true);
+check({ 'in': [ 'src', [ '::1' ] ] }, false);
+check({ 'exists': [ 'req' ] }, true);
+check({ 'exists': [ 'timestamp' ] }, true);
+check({ 'exists': [ 'req.url' ] }, false);
+check({ 'exists': [] }, false);
+check({ 'eq': [ 'req', 'GET' ] }, false);
+check({ 'not': { 'eq': [ 'hostname', 'spike' ] } }, true);
+check({ 'not': [ { 'eq': [ 'hostname', 'spike' ] } ] }, false);
+check({ 'not': { 'eq': [ 'hostname', 3 ] } }, false);
+check({ 'and': [ {}, { 'or': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'not': { 'gt': [ 'latency', 300 ] } }
+] } ] }, true);
+check({ 'and': [ {}, { 'or': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'not': { 'gt': [ 'latency', '300' ] } }
+] } ] }, false);
+check({ 'or': [ {} ] }, false);
+check({ 'or': {} }, false);
+
+/*
+ * Without types, any field can be used with any operator.
+ */
+useSchema(mod_krill.jsonSchema());
+mod_assert.deepEqual(schema['definitions']['eq']['properties']['eq'], {
+    'type': 'array',
+    'items': [
+	{ 'type': 'string' },
+	{ 'type': [ 'string', 'number', 'boolean', 'null' ] }
+    ],
+    'additionalItems': false,
+    'minItems': 2
+});
+schematypes = null;
+check({ 'eq': [ 'hostname', 'spike' ] }, true);
+check({ 'eq': [ 'hostname', 12 ] }, true);
+check({ 'lt': [ 'hostname', 'spike' ] }, true);
+check({ 'prefix': [ 'hostname', true ] }, true);
+check({ 'lt': [ 'hostname', null ] }, false);
+check({ 'in': [ 'hostname', [ 'spike', 12 ] ] }, true);
+check({ 'in': [ 'hostname', [ {} ] ] }, false);
+check({ 'within': [ 'src', '10.0.0.0/8' ] }, true);
+check({ 'within': [ 'src', 8 ] }, false);
+check({ 'within': [ 'src', 'bogus' ] }, false);
+check({ 'exists': [ 'src' ] }, true);
+check({ 'eq': [ 12, 'spike' ] }, false);
+
+/*
+ * Operators that can't be used with any field are left out.
+ */
+useSchema(mod_krill.jsonSchema({ 'audit': 'boolean' }));
+mod_assert.deepEqual(Object.keys(schema['definitions']), [ 'trivial', 'and',
+    'or', 'not', 'eq', 'ne', 'in', 'nin', 'exists' ]);
+schematypes = { 'audit': 'boolean' };
+check({ 'lt': [ 'audit', true ] }, false);
+check({ 'eq': [ 'audit', true ] }, true);
+
+mod_assert.throws(function () {
+	mod_krill.jsonSchema({ 'hostname': 'str' });
+}, /field "hostname": unknown type "str"/);
+
+console.log('test okay');
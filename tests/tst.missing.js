@@ -0,0 +1,341 @@
+/*
+ * tests/tst.missing.js: tests missing fields, null values, and "exists"
+ */
+
+var mod_assert = require('assert');
+var mod_common = require('./common');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number',
+    'timestamp': 'date',
+    'src': 'ip',
+    'req': { 'method': 'string' }
+};
+
+var check = mod_common.checkEval;
+var pred, stream, results, errors;
+
+/*
+ * Test "exists", which never throws because a field is missing.
+ */
+pred = mod_krill.createPredicate({ 'exists': [ 'hostname' ] }, types);
+check(pred, { 'hostname': 'spike' }, true);
+check(pred, { 'hostname': null }, true);
+check(pred, { 'hostname': '' }, true);
+check(pred, {}, false);
+
+pred = mod_krill.createPredicate({ 'exists': [ 'req.method' ] }, types);
+check(pred, { 'req': { 'method': 'GET' } }, true);
+check(pred, { 'req': {} }, false);
+check(pred, { 'req': 'GET' }, false);
+check(pred, {}, false);
+
+pred = mod_krill.createPredicate({ 'exists': [ 'req' ] }, types);
+check(pred, { 'req': {} }, true);
+check(pred, {}, false);
+
+pred = mod_krill.createPredicate({ 'not': { 'exists': [ '/req/method' ] } });
+check(pred, { 'req': { 'method': 'GET' } }, false);
+check(pred, {}, true);
+
+/*
+ * Test the default mode, in which other comparisons of missing fields throw,
+ * even if "exists" would make them irrelevant.
+ */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'exists': [ 'latency' ] },
+    { 'gt': [ 'latency', 300 ] }
+] }, types);
+check(pred, { 'latency': 400 }, true);
+check(pred, { 'latency': 200 }, false);
+check(pred, {}, /no translation for field "latency"/);
+
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'gt': [ 'latency', 300 ] }
+] }, types, { 'missing': 'error' });
+check(pred, { 'hostname': 'spike' },
+    /subpredicate "{ gt: \[ 'latency', 300 \] }": no translation for field/);
+
+/*
+ * Test missing: "false", where each comparison of a missing field is false.
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'ne': [ 'hostname', 'spike' ] },
+    { 'not': { 'eq': [ 'req.method', 'GET' ] } },
+    { 'exists': [ 'latency' ] }
+] }, types, { 'missing': 'false' });
+check(pred, { 'req': { 'method': 'GET' } }, false);
+check(pred, {}, true);
+check(pred, { 'hostname': 'spike', 'req': {} }, true);
+check(pred, { 'hostname': 'spike', 'req': { 'method': 'GET' } }, false);
+check(pred, { 'hostname': 'spike', 'req': { 'method': 'GET' }, 'latency': 1 },
+    true);
+check(pred, { 'req': 'GET' }, /"req" is not an object/);
+
+pred = mod_krill.createPredicate({ 'and': [
+    { 'lt': [ 'latency', 300 ] },
+    { 'in': [ 'hostname', [ 'spike', 'sharptooth' ] ] },
+    { 'nin': [ 'req.method', [ 'POST' ] ] }
+] }, types, { 'missing': 'false' });
+check(pred, { 'latency': 12, 'hostname': 'spike', 'req': { 'method': 'GET' } },
+    true);
+check(pred, { 'latency': 12, 'hostname': 'spike' }, false);
+check(pred, { 'hostname': 'spike', 'req': { 'method': 'GET' } }, false);
+check(pred, { 'latency': 12, 'req': { 'method': 'GET' } }, false);
+
+/* Missing values aren't converted, but present ones are still checked. */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'gt': [ 'timestamp', '2024-01-01' ] },
+    { 'within': [ 'src', '10.0.0.0/8' ] }
+] }, types, { 'missing': 'false' });
+check(pred, {}, false);
+check(pred, { 'src': '10.1.2.3' }, true);
+check(pred, { 'timestamp': '2024-06-01' }, true);
+check(pred, { 'timestamp': 'yesterday' },
+    /"yesterday" is not a valid ISO 8601/);
+check(pred, { 'src': 'bogus' }, /"bogus" is not a valid IP address/);
+
+/*
+ * Test missing: "null", where missing fields are compared as null.  A null
+ * value is equal only to null.
+ */
+pred = mod_krill.createPredicate({ 'eq': [ 'hostname', null ] }, types,
+    { 'missing': 'null' });
+check(pred, {}, true);
+check(pred, { 'hostname': null }, true);
+check(pred, { 'hostname': 'spike' }, false);
+check(pred, { 'hostname': '' }, false);
+
+pred = mod_krill.createPredicate({ 'ne': [ 'hostname', 'spike' ] }, types,
+    { 'missing': 'null' });
+check(pred, {}, true);
+check(pred, { 'hostname': null }, true);
+check(pred, { 'hostname': 'spike' }, false);
+
+[ { 'eq': [ 'hostname', 'spike' ] },
+    { 'lt': [ 'latency', 300 ] },
+    { 'ge': [ 'latency', -300 ] },
+    { 'prefix': [ 'hostname', '' ] },
+    { 'suffix': [ 'hostname', 'x' ] },
+    { 'contains': [ 'hostname', 'x' ] },
+    { 'glob': [ 'hostname', '*' ] },
+    { 'match': [ 'hostname', '.*' ] },
+    { 'in': [ 'hostname', [ 'spike' ] ] },
+    { 'eq': [ 'timestamp', '2024-01-01' ] },
+    { 'le': [ 'timestamp', 'now' ] },
+    { 'eq': [ 'src', '::1' ] },
+    { 'within': [ 'src', '::/0' ] } ].forEach(function (input) {
+	pred = mod_krill.createPredicate(input, types, { 'missing': 'null' });
+	check(pred, {}, false);
+	check(pred, { 'hostname': null, 'latency': null, 'timestamp': null,
+	    'src': null }, false);
+	pred = pred.negate();
+	check(pred, {}, true);
+});
+
+[ { 'ne': [ 'hostname', 'spike' ] },
+    { 'nin': [ 'latency', [ 1, 2 ] ] },
+    { 'ne': [ 'timestamp', 'now' ] },
+    { 'ne': [ 'src', '::1' ] } ].forEach(function (input) {
+	pred = mod_krill.createPredicate(input, types, { 'missing': 'null' });
+	check(pred, {}, true);
+	check(pred, { 'hostname': null, 'latency': null, 'timestamp': null,
+	    'src': null }, true);
+});
+
+/* "exists" still distinguishes missing fields from null ones. */
+pred = mod_krill.createPredicate({ 'exists': [ 'hostname' ] }, types,
+    { 'missing': 'null' });
+check(pred, {}, false);
+check(pred, { 'hostname': null }, true);
+
+/*
+ * Test null constants, which are allowed for fields of any type.
+ */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'ne': [ 'latency', null ] },
+    { 'eq': [ 'timestamp', null ] },
+    { 'ne': [ 'src', null ] },
+    { 'eq': [ 'req.method', null ] }
+] }, types);
+check(pred, { 'latency': 0, 'timestamp': null, 'src': '::1',
+    'req': { 'method': null } }, true);
+check(pred, { 'latency': null, 'timestamp': null, 'src': '::1',
+    'req': { 'method': null } }, false);
+check(pred, { 'latency': 0, 'timestamp': '2024-01-01', 'src': '::1',
+    'req': { 'method': null } }, false);
+check(pred, { 'latency': 0, 'timestamp': null, 'src': '::1' },
+    /no translation for field "req.method"/);
+
+/* Null values of typed fields aren't converted. */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'timestamp', '2024-01-01' ] },
+    { 'ne': [ 'src', '::1' ] }
+] }, types);
+check(pred, { 'timestamp': null, 'src': null }, true);
+check(pred, { 'timestamp': null, 'src': '0::1' }, false);
+
+/* Without types, null compares equal only to null. */
+pred = mod_krill.createPredicate({ 'eq': [ 'hostname', null ] });
+check(pred, { 'hostname': null }, true);
+check(pred, { 'hostname': 0 }, false);
+check(pred, { 'hostname': '' }, false);
+check(pred, { 'hostname': false }, false);
+
+/*
+ * Test the streaming interface.
+ */
+pred = mod_krill.createPredicate({ 'ne': [ 'hostname', 'spike' ] }, types,
+    { 'missing': 'false' });
+stream = mod_krill.createPredicateStream({ 'predicate': pred });
+results = [];
+errors = [];
+stream.on('data', function (obj) { results.push(obj.hostname); });
+stream.on('invalid_object', function (obj, err) { errors.push(err.message); });
+stream.write({ 'hostname': 'sharptooth' });
+stream.write({});
+stream.write({ 'hostname': null });
+stream.write({ 'hostname': 'spike' });
+stream.end();
+mod_assert.deepEqual(results, [ 'sharptooth', null ]);
+mod_assert.deepEqual(errors, []);
+mod_assert.deepEqual(stream.stats(), {
+    'ninputs': 4,
+    'nerrors': 0,
+    'nfilteredout': 2
+});
+
+/*
+ * Test printing and parsing.  None of these depend on the missing option.
+ */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'eq': [ 'hostname', null ] },
+    { 'ne': [ 'latency', null ] }
+] }, types, { 'missing': 'null' });
+mod_assert.equal(pred.toCStyleString(),
+    '(hostname == NULL) && (latency != NULL)');
+mod_assert.deepEqual(mod_krill.parse(pred.toCStyleString(), types).p_pred,
+    pred.p_pred);
+mod_assert.equal(pred.toLDAPFilterString(),
+    '(&(!(hostname=*))(latency=*))');
+mod_assert.deepEqual(pred.toSQL(), {
+    'text': '("hostname" IS NULL) AND ("latency" IS NOT NULL)',
+    'values': []
+});
+
+pred = mod_krill.createPredicate({ 'or': [
+    { 'exists': [ 'req.method' ] },
+    { 'not': { 'exists': [ 'hostname' ] } },
+    { 'eq': [ 'latency', 300 ] }
+] }, types);
+mod_assert.equal(pred.toLDAPFilterString(),
+    '(|(req.method=*)(!(hostname=*))(latency=300))');
+mod_assert.deepEqual(mod_krill.fromLDAPFilter(pred.toLDAPFilterString(),
+    types).p_pred, pred.p_pred);
+mod_assert.deepEqual(pred.toSQL({ 'dialect': 'mysql' }), {
+    'text': '(`req`.`method` IS NOT NULL) OR ' +
+	'(NOT (`hostname` IS NOT NULL)) OR (`latency` = ?)',
+    'values': [ 300 ]
+});
+mod_assert.throws(function () { pred.toCStyleString(); },
+    /operator "exists" cannot be expressed in C-style syntax/);
+
+mod_assert.throws(function () { mod_krill.parse('latency < NULL'); },
+    /column 11: expected string, number, or boolean, but found "NULL"/);
+
+/*
+ * Test the builder, fields, and analysis.
+ */
+pred = mod_krill.exists('hostname', types);
+mod_assert.deepEqual(pred.p_pred, { 'exists': [ 'hostname' ] });
+mod_assert.deepEqual(pred.p_types, types);
+mod_assert.deepEqual(pred.fields(), [ 'hostname' ]);
+mod_assert.deepEqual(pred.fieldsAndValues(), { 'hostname': [] });
+mod_assert.ok(pred.isSatisfiable());
+mod_assert.ok(pred.implies(pred));
+mod_assert.ok(!mod_krill.and(pred, pred.negate()).isSatisfiable());
+mod_assert.ok(mod_krill.and(pred,
+    mod_krill.eq('hostname', null, types)).isSatisfiable());
+mod_assert.ok(!mod_krill.createPredicate({ 'and': [
+    { 'eq': [ 'latency', null ] },
+    { 'eq': [ 'latency', 3 ] }
+] }, types).isSatisfiable());
+mod_assert.deepEqual(mod_krill.createPredicate({ 'or': [
+    { 'exists': [ 'hostname' ] },
+    { 'exists': [ 'hostname' ] }
+] }).simplify().p_pred, { 'exists': [ 'hostname' ] });
+
+/*
+ * The analysis accounts for null and missing values, for which the negation of
+ * a comparison isn't the opposite comparison.
+ */
+[ 'error', 'false', 'null' ].forEach(function (missing) {
+	var options = { 'missing': missing };
+	var a, b;
+
+	pred = mod_krill.createPredicate({ 'and': [
+	    { 'not': { 'gt': [ 'latency', 1 ] } },
+	    { 'not': { 'le': [ 'latency', 1 ] } }
+	] }, types, options);
+	mod_assert.ok(pred.eval({ 'latency': null }));
+	mod_assert.ok(pred.isSatisfiable());
+	mod_assert.deepEqual(pred.contradictions(), []);
+
+	pred = mod_krill.createPredicate(
+	    { 'not': { 'contains': [ 'hostname', '' ] } }, types, options);
+	mod_assert.ok(pred.eval({ 'hostname': null }));
+	mod_assert.ok(pred.isSatisfiable());
+
+	a = mod_krill.createPredicate({ 'not': { 'eq': [ 'latency', 1 ] } },
+	    types, options);
+	b = mod_krill.createPredicate({ 'ne': [ 'latency', 1 ] }, types,
+	    options);
+	mod_assert.equal(a.eval({ 'latency': null }),
+	    b.eval({ 'latency': null }));
+	mod_assert.ok(b.implies(a));
+	mod_assert.equal(a.implies(b), missing != 'false');
+	mod_assert.equal(a.equivalent(b), missing != 'false');
+	if (missing != 'error')
+		mod_assert.equal(a.eval({}) == b.eval({}), missing == 'null');
+
+	pred = mod_krill.createPredicate({ 'and': [
+	    { 'not': { 'exists': [ 'hostname' ] } },
+	    { 'ne': [ 'hostname', 'spike' ] }
+	] }, types, options);
+	mod_assert.ok(!pred.eval({ 'hostname': null }));
+	mod_assert.equal(pred.isSatisfiable(), missing == 'null');
+	if (missing != 'error')
+		mod_assert.equal(pred.eval({}), missing == 'null');
+});
+
+/*
+ * Test invalid predicates and options.
+ */
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'exists': [ 'zonename' ] }, types);
+}, /field "zonename" is not defined/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'exists': [ 12 ] });
+}, /field "exists" is not a string/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'exists': [ 'hostname', 'spike' ] });
+}, /"exists" array must have 1 element/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'gt': [ 'latency', null ] }, types);
+}, /field "latency" is not a string, number, or boolean/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'within': [ 'src', null ] }, types);
+}, /field "src" is not a string, number, or boolean/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'in': [ 'hostname', [ null ] ] }, types);
+}, /is not a string, number, or boolean/);
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'eq': [ 'hostname', 'spike' ] }, types,
+	    { 'missing': 'ignore' });
+}, new RegExp('options.missing: expected one of "error", "false", "null", ' +
+    'but found "ignore"'));
+
+console.log('test okay');
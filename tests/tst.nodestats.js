@@ -0,0 +1,181 @@
+/*
+ * tests/tst.nodestats.js: tests per-subpredicate statistics in PredicateStream
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number',
+    'timestamp': 'date'
+};
+
+var pred, stream, results, errors;
+
+/*
+ * Returns the counts for a subpredicate.
+ */
+function counts(nevaluated, ntrue, nfalse, nerrors)
+{
+	return ({
+	    'nevaluated': nevaluated,
+	    'ntrue': ntrue,
+	    'nfalse': nfalse,
+	    'nerrors': nerrors
+	});
+}
+
+/*
+ * Writes "objects" to a new stream for "pred" with the given options, and
+ * returns the stream.
+ */
+function run(options, objects)
+{
+	var s;
+
+	options.predicate = pred;
+	s = mod_krill.createPredicateStream(options);
+	results = [];
+	errors = [];
+	s.on('data', function (obj) { results.push(obj); });
+	s.on('invalid_object', function (obj, err) {
+		errors.push(err.message);
+	});
+	objects.forEach(function (obj) { s.write(obj); });
+	s.end();
+	return (s);
+}
+
+/*
+ * Test counting, including short-circuiting and errors.
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'gt': [ 'latency', 300 ] },
+    { 'and': [
+	{ 'eq': [ 'hostname', 'spike' ] },
+	{ 'not': { 'ge': [ 'timestamp', '2024-01-01' ] } }
+    ] }
+] }, types);
+
+stream = run({ 'nodeStats': true }, [
+    { 'hostname': 'spike', 'latency': 500, 'timestamp': '2023-06-01' },
+    { 'hostname': 'spike', 'latency': 5, 'timestamp': '2023-06-01' },
+    { 'hostname': 'spike', 'latency': 5, 'timestamp': '2024-06-01' },
+    { 'hostname': 'sharptooth', 'latency': 5, 'timestamp': '2023-06-01' },
+    { 'hostname': 'spike', 'latency': 5, 'timestamp': 'tuesday' },
+    { 'hostname': 'spike', 'timestamp': '2023-06-01' }
+]);
+mod_assert.equal(results.length, 2);
+mod_assert.equal(errors.length, 2);
+mod_assert.deepEqual(stream.stats(), {
+    'ninputs': 6,
+    'nerrors': 2,
+    'nfilteredout': 2,
+    'nodes': {
+	'': counts(4, 2, 2, 2),
+	'/or/0': counts(4, 1, 3, 1),
+	'/or/1': counts(3, 1, 2, 1),
+	'/or/1/and/0': counts(3, 2, 1, 0),
+	'/or/1/and/1': counts(2, 1, 1, 1),
+	'/or/1/and/1/not': counts(2, 1, 1, 1)
+    }
+});
+
+/* The counts are a copy. */
+stream.stats().nodes[''].ntrue = 100;
+mod_assert.equal(stream.stats().nodes[''].ntrue, 2);
+
+/* Errors count for the first subpredicate using the field. */
+mod_assert.equal(mod_krill.nodeStatsToString(pred, stream.stats().nodes),
+    '((latency > 300 [evaluated 4, true 1, false 3, errors 1]) || ' +
+    '(((hostname == "spike" [evaluated 3, true 2, false 1, errors 0]) && ' +
+    '((!(timestamp >= "2024-01-01" ' +
+    '[evaluated 2, true 1, false 1, errors 1])) ' +
+    '[evaluated 2, true 1, false 1, errors 1])) ' +
+    '[evaluated 3, true 1, false 2, errors 1])) ' +
+    '[evaluated 4, true 2, false 2, errors 2]');
+
+/*
+ * Without "nodeStats", nothing extra is reported.
+ */
+stream = run({}, [ { 'hostname': 'spike', 'latency': 500,
+    'timestamp': '2023-06-01' } ]);
+mod_assert.deepEqual(stream.stats(), {
+    'ninputs': 1,
+    'nerrors': 0,
+    'nfilteredout': 0
+});
+
+/*
+ * Strict mode errors count for the subpredicate that checked the value.
+ */
+pred = mod_krill.createPredicate({ 'and': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'lt': [ 'latency', 300 ] },
+    { 'exists': [ 'timestamp' ] }
+] }, types, { 'strict': true });
+stream = run({ 'nodeStats': true }, [
+    { 'hostname': 'spike', 'latency': 5 },
+    { 'hostname': 'spike', 'latency': '5' }
+]);
+mod_assert.equal(errors.length, 1);
+mod_assert.deepEqual(stream.stats().nodes, {
+    '': counts(1, 0, 1, 1),
+    '/and/0': counts(1, 1, 0, 0),
+    '/and/1': counts(1, 1, 0, 1),
+    '/and/2': counts(1, 0, 1, 0)
+});
+mod_assert.equal(mod_krill.nodeStatsToString(pred, stream.stats().nodes),
+    '((hostname == "spike" [evaluated 1, true 1, false 0, errors 0]) && ' +
+    '(latency < 300 [evaluated 1, true 1, false 0, errors 1]) && ' +
+    '(exists(timestamp) [evaluated 1, true 0, false 1, errors 0])) ' +
+    '[evaluated 1, true 0, false 1, errors 1]');
+
+/*
+ * Errors thrown by an operator count for that subpredicate and the ones
+ * containing it, like other errors.
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'not': { 'within': [ 'src', '10.0.0.0/8' ] } }
+] });
+stream = run({ 'nodeStats': true }, [
+    { 'hostname': 'spike', 'src': 'bogus' },
+    { 'hostname': 'sharptooth', 'src': '10.1.2.3' },
+    { 'hostname': 'sharptooth', 'src': 'bogus' }
+]);
+mod_assert.deepEqual(errors, [ '"bogus" is not a valid IP address' ]);
+mod_assert.deepEqual(stream.stats(), {
+    'ninputs': 3,
+    'nerrors': 1,
+    'nfilteredout': 1,
+    'nodes': {
+	'': counts(2, 1, 1, 1),
+	'/or/0': counts(3, 1, 2, 0),
+	'/or/1': counts(1, 0, 1, 1),
+	'/or/1/not': counts(1, 1, 0, 1)
+    }
+});
+
+/*
+ * Test the trivial predicate.
+ */
+pred = mod_krill.createPredicate({});
+stream = run({ 'nodeStats': true }, [ {}, {} ]);
+mod_assert.deepEqual(stream.stats().nodes, { '': counts(2, 2, 0, 0) });
+mod_assert.equal(mod_krill.nodeStatsToString(pred, stream.stats().nodes),
+    '1 [evaluated 2, true 2, false 0, errors 0]');
+
+/* Subpredicates without counts aren't annotated. */
+pred = mod_krill.createPredicate({ 'not': { 'eq': [ 'hostname', 'spike' ] } });
+mod_assert.equal(mod_krill.nodeStatsToString(pred,
+    { '/not': counts(1, 0, 1, 0) }),
+    '!(hostname == "spike" [evaluated 1, true 0, false 1, errors 0])');
+
+mod_assert.throws(function () {
+	mod_krill.createPredicateStream({ 'predicate': pred,
+	    'nodeStats': 'yes' });
+}, /args.nodeStats \(bool\) is required/);
+
+console.log('test okay');
@@ -0,0 +1,181 @@
+/*
+ * tests/tst.parse.js: tests parsing predicates from C-style strings
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+var mod_verror = require('verror');
+var VError = mod_verror.VError;
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number',
+    'audit': 'boolean',
+    'req': { 'method': 'string' }
+};
+
+/*
+ * Each of these is parsed and checked against the expected JSON
+ * representation.
+ */
+var cases = [
+    /* INPUT, EXPECTED PREDICATE */
+    [ '1', {} ],
+    [ '(1)', {} ],
+    [ 'hostname == "spike"', { 'eq': [ 'hostname', 'spike' ] } ],
+    [ 'latency>300', { 'gt': [ 'latency', 300 ] } ],
+    [ 'latency >= -1.5e3', { 'ge': [ 'latency', -1500 ] } ],
+    [ 'latency < .5', { 'lt': [ 'latency', 0.5 ] } ],
+    [ 'latency <= 10', { 'le': [ 'latency', 10 ] } ],
+    [ 'audit != true', { 'ne': [ 'audit', true ] } ],
+    [ 'audit == false', { 'eq': [ 'audit', false ] } ],
+    [ 'req.method == "GET"', { 'eq': [ 'req.method', 'GET' ] } ],
+    [ 'hostname == "a \\"quoted\\"\\\\ \\x41\\tname"',
+	{ 'eq': [ 'hostname', 'a "quoted"\\ A\tname' ] } ],
+    [ 'hostname == "spike" || latency > 300', {
+	'or': [
+	    { 'eq': [ 'hostname', 'spike' ] },
+	    { 'gt': [ 'latency', 300 ] }
+	]
+    } ],
+    [ 'hostname == "a" || hostname == "b" && latency > 3 || audit == true', {
+	'or': [
+	    { 'eq': [ 'hostname', 'a' ] },
+	    { 'and': [
+		{ 'eq': [ 'hostname', 'b' ] },
+		{ 'gt': [ 'latency', 3 ] }
+	    ] },
+	    { 'eq': [ 'audit', true ] }
+	]
+    } ],
+    [ '((hostname == "a") || (hostname == "b")) && (latency > 3)', {
+	'and': [
+	    { 'or': [
+		{ 'eq': [ 'hostname', 'a' ] },
+		{ 'eq': [ 'hostname', 'b' ] }
+	    ] },
+	    { 'gt': [ 'latency', 3 ] }
+	]
+    } ],
+    [ '!(hostname == "spike" && latency > 300)', {
+	'not': {
+	    'and': [
+		{ 'eq': [ 'hostname', 'spike' ] },
+		{ 'gt': [ 'latency', 300 ] }
+	    ]
+	}
+    } ],
+    [ '!!(latency > 3)', { 'not': { 'not': { 'gt': [ 'latency', 3 ] } } } ],
+    [ '!(1)', { 'not': {} } ],
+    [ 'strstr(hostname, "web") == hostname',
+	{ 'prefix': [ 'hostname', 'web' ] } ],
+    [ 'strstr(hostname, "db") != NULL',
+	{ 'contains': [ 'hostname', 'db' ] } ]
+];
+
+cases.forEach(function (testcase) {
+	var pred;
+
+	console.log('checking "%s"', testcase[0]);
+	pred = mod_krill.parse(testcase[0], types);
+	mod_assert.deepEqual(pred.p_pred, testcase[1]);
+	mod_assert.deepEqual(mod_krill.parse(testcase[0]).p_pred, testcase[1]);
+});
+
+/*
+ * Each of these predicates is printed with toCStyleString() and parsed back,
+ * which must produce a predicate that prints identically.
+ */
+var roundtrips = [
+    {},
+    { 'not': {} },
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'eq': [ 'hostname', 'back\\slash, "quote", \'single\'\nnewline' ] },
+    { 'ne': [ 'audit', false ] },
+    { 'and': [ {}, { 'eq': [ 'latency', 23 ] } ] },
+    {
+	'and': [
+	    { 'or': [
+		{ 'eq': [ 'hostname', 'spike' ] },
+		{ 'in': [ 'hostname', [ 'a', 'b', 'c' ] ] }
+	    ] },
+	    { 'not': { 'lt': [ 'latency', 12.5 ] } },
+	    { 'nin': [ 'latency', [ 1, 2 ] ] },
+	    { 'prefix': [ 'hostname', 'web' ] },
+	    { 'contains': [ 'req.method', 'E' ] },
+	    { 'le': [ '/req/size', 1e21 ] }
+	]
+    }
+];
+
+roundtrips.forEach(function (input) {
+	var pred, str, parsed;
+
+	pred = mod_krill.createPredicate(input);
+	str = pred.toCStyleString();
+	console.log('round-tripping %s', str);
+	parsed = mod_krill.parse(str);
+	mod_assert.equal(parsed.toCStyleString(), str);
+});
+
+/*
+ * Fields whose names the parser can't read back aren't printed at all.
+ */
+[ 'host-name', 'true', 'strstr', '/a/b c' ].forEach(function (field) {
+	var pred = mod_krill.createPredicate({ 'eq': [ field, 'spike' ] });
+
+	mod_assert.throws(function () { pred.toCStyleString(); },
+	    /cannot be printed/);
+	mod_assert.throws(function () { pred.negate().toCStyleString(); },
+	    /cannot be printed/);
+});
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'exists': [ 'host-name' ] })
+	    .toCStyleString();
+}, /field "host-name" cannot be printed in C-style syntax/);
+mod_assert.equal(mod_krill.parse(mod_krill.createPredicate(
+    { 'eq': [ 'NULL', 'spike' ] }).toCStyleString()).toCStyleString(),
+    'NULL == "spike"');
+
+/*
+ * Each of these is invalid, and must fail with an error matching the given
+ * regular expression.
+ */
+var invalids = [
+    /* INPUT			ERROR MESSAGE REGEX */
+    /* BEGIN JSSTYLED */
+    [ '',			/column 1: expected field name, but found end of input/ ],
+    [ 'hostname',		/column 9: expected relational operator, but found end of input/ ],
+    [ 'hostname = "a"',		/column 10: unexpected character "="/ ],
+    [ 'hostname == spike',	/column 13: expected string, number, or boolean, but found "spike"/ ],
+    [ 'hostname == "spike',	/column 13: unterminated string/ ],
+    [ 'hostname == "\\q"',	/column 14: invalid escape sequence "\\q"/ ],
+    [ '(latency > 3',		/column 13: expected "\)", but found end of input/ ],
+    [ 'latency > 3)',		/column 12: expected end of input, but found "\)"/ ],
+    [ 'latency > 3 &&',		/column 15: expected field name, but found end of input/ ],
+    [ '!latency > 3',		/column 2: expected "\(" or "!", but found "latency"/ ],
+    [ 'latency > 3 # 4',	/column 13: unexpected character "#"/ ],
+    [ 'strstr(hostname, "a") == zonename',	/column 26: expected "hostname"/ ],
+    [ 'strstr(hostname, "a") != 0',	/column 26: expected "NULL", but found "0"/ ],
+    [ 'strstr(hostname, 3) != NULL',	/column 18: expected string, but found "3"/ ],
+    [ 'latency == "3"',		/field "latency" value .* expected "number"/, types ],
+    [ 'uptime == 3',		/field "uptime" is not defined/, types ]
+    /* END JSSTYLED */
+];
+
+invalids.forEach(function (input) {
+	console.log('checking invalid case "%s"', input[0]);
+	try {
+		mod_krill.parse(input[0], input[2] || null);
+	} catch (ex) {
+		console.log('error: ' + ex.message);
+		if (!input[1].test(ex.message))
+			throw (new VError('expected message to match "%s"',
+			    input[1].source));
+		return;
+	}
+
+	throw (new Error('expected exception, but found none'));
+});
+
+console.log('test okay');
@@ -0,0 +1,277 @@
+/*
+ * tests/tst.predicateset.js: tests sets of named predicates
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number',
+    'timestamp': 'date',
+    'req': { 'method': 'string' }
+};
+
+var set, stream, results, errors, seed, preds, objs, ii;
+
+/*
+ * Test adding, removing, and matching.
+ */
+set = mod_krill.createPredicateSet();
+set.add('spike', mod_krill.createPredicate(
+    { 'eq': [ 'hostname', 'spike' ] }, types));
+set.add('slow', mod_krill.createPredicate({ 'and': [
+    { 'gt': [ 'latency', 300 ] },
+    { 'le': [ 'latency', 1000 ] }
+] }, types));
+set.add('writes', mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'req.method', 'PUT' ] },
+    { 'in': [ 'req.method', [ 'POST', 'DELETE' ] ] }
+] }, types));
+set.add('recent', mod_krill.createPredicate(
+    { 'ge': [ 'timestamp', '2024-01-01' ] }, types));
+set.add('all', mod_krill.createPredicate({}, types));
+
+mod_assert.deepEqual(set.names(),
+    [ 'spike', 'slow', 'writes', 'recent', 'all' ]);
+mod_assert.ok(set.has('slow'));
+mod_assert.ok(!set.has('fast'));
+
+mod_assert.deepEqual(set.match({ 'hostname': 'spike', 'latency': 500,
+    'timestamp': '2023-06-01', 'req': { 'method': 'GET' } }),
+    [ 'spike', 'slow', 'all' ]);
+mod_assert.deepEqual(set.match({ 'hostname': 'sharptooth', 'latency': 2000,
+    'timestamp': '2024-06-01', 'req': { 'method': 'DELETE' } }),
+    [ 'writes', 'recent', 'all' ]);
+mod_assert.deepEqual(set.match({ 'hostname': 'sharptooth', 'latency': 300,
+    'timestamp': '2023-06-01', 'req': { 'method': 'PUT' } }),
+    [ 'writes', 'all' ]);
+
+mod_assert.ok(set.remove('all'));
+mod_assert.ok(!set.remove('all'));
+mod_assert.ok(set.remove('writes'));
+mod_assert.deepEqual(set.names(), [ 'spike', 'slow', 'recent' ]);
+mod_assert.deepEqual(set.match({ 'hostname': 'sharptooth', 'latency': 2000,
+    'timestamp': '2024-06-01', 'req': { 'method': 'DELETE' } }),
+    [ 'recent' ]);
+
+/* Names can be reused after they're removed, and then come last. */
+set.add('all', mod_krill.createPredicate({}, types));
+set.add('writes', mod_krill.createPredicate(
+    { 'eq': [ 'req.method', 'PUT' ] }, types));
+mod_assert.deepEqual(set.match({ 'hostname': 'spike', 'latency': 500,
+    'timestamp': '2024-06-01', 'req': { 'method': 'PUT' } }),
+    [ 'spike', 'slow', 'recent', 'all', 'writes' ]);
+
+mod_assert.throws(function () {
+	set.add('all', mod_krill.createPredicate({}));
+}, /predicate "all" is already in the set/);
+mod_assert.throws(function () {
+	set.add('bogus', { 'eq': [ 'hostname', 'spike' ] });
+}, /predicate must be a Predicate/);
+
+/*
+ * Predicates that fail to be evaluated don't match, and errors are reported
+ * for the ones that the index doesn't rule out.
+ */
+errors = [];
+mod_assert.deepEqual(set.match({ 'hostname': 'spike', 'latency': 500,
+    'timestamp': 'tuesday', 'req': { 'method': 'PUT' } }, errors),
+    [ 'spike', 'slow', 'all', 'writes' ]);
+mod_assert.equal(errors.length, 1);
+mod_assert.equal(errors[0].name, 'recent');
+mod_assert.ok(/"tuesday" is not a valid ISO 8601 date/.test(
+    errors[0].error.message));
+
+/* "spike" is ruled out by the index, so its missing field isn't reported. */
+errors = [];
+mod_assert.deepEqual(set.match({ 'latency': 5, 'timestamp': '2024-06-01',
+    'req': 'PUT' }, errors), [ 'recent', 'all' ]);
+mod_assert.deepEqual(errors.map(function (e) { return (e.name); }),
+    [ 'writes' ]);
+mod_assert.ok(/"req" is not an object/.test(errors[0].error.message));
+
+/*
+ * Equality uses the same loose comparison as eval().
+ */
+set = mod_krill.createPredicateSet();
+set.add('twelve', mod_krill.createPredicate({ 'eq': [ 'pid', 12 ] }));
+set.add('one', mod_krill.createPredicate({ 'eq': [ 'pid', '1' ] }));
+set.add('strings', mod_krill.createPredicate(
+    { 'in': [ 'pid', [ '12', 'init' ] ] }));
+mod_assert.deepEqual(set.match({ 'pid': 12 }), [ 'twelve', 'strings' ]);
+mod_assert.deepEqual(set.match({ 'pid': '12' }), [ 'twelve', 'strings' ]);
+mod_assert.deepEqual(set.match({ 'pid': ' 12 ' }), [ 'twelve' ]);
+mod_assert.deepEqual(set.match({ 'pid': true }), [ 'one' ]);
+mod_assert.deepEqual(set.match({ 'pid': [ 12 ] }), [ 'twelve', 'strings' ]);
+mod_assert.deepEqual(set.match({ 'pid': 'init' }), [ 'strings' ]);
+mod_assert.deepEqual(set.match({ 'pid': null }), []);
+
+/*
+ * Numeric ranges rule out predicates whose range doesn't contain the value,
+ * whether they're bounded above or below.  Predicates that are evaluated report
+ * the missing field "hostname", so "errors" shows which ones weren't ruled out.
+ */
+set = mod_krill.createPredicateSet();
+[ 3, 1, 2, 2 ].forEach(function (bound, jj) {
+	[ 'lt', 'le', 'gt', 'ge' ].forEach(function (op) {
+		var range = {};
+
+		range[op] = [ 'latency', bound ];
+		set.add(op + bound + (jj == 3 ? 'b' : ''),
+		    mod_krill.createPredicate({ 'and': [
+			range,
+			{ 'ne': [ 'hostname', 'spike' ] }
+		    ] }, types));
+	});
+});
+
+function evaluated(obj)
+{
+	errors = [];
+	mod_assert.deepEqual(set.match(obj, errors), []);
+	return (errors.map(function (e) { return (e.name); }));
+}
+
+mod_assert.deepEqual(evaluated({ 'latency': 2 }),
+    [ 'lt3', 'le3', 'gt1', 'ge1', 'le2', 'ge2', 'le2b', 'ge2b' ]);
+mod_assert.deepEqual(evaluated({ 'latency': 0 }),
+    [ 'lt3', 'le3', 'lt1', 'le1', 'lt2', 'le2', 'lt2b', 'le2b' ]);
+mod_assert.deepEqual(evaluated({ 'latency': 3.5 }),
+    [ 'gt3', 'ge3', 'gt1', 'ge1', 'gt2', 'ge2', 'gt2b', 'ge2b' ]);
+mod_assert.deepEqual(evaluated({ 'latency': NaN }), []);
+mod_assert.deepEqual(evaluated({ 'latency': null }), []);
+mod_assert.equal(evaluated({ 'latency': '2' }).length, 16);
+
+[ 'le2', 'gt1', 'ge2b', 'lt3' ].forEach(function (name) {
+	mod_assert.ok(set.remove(name));
+});
+mod_assert.deepEqual(evaluated({ 'latency': 2 }),
+    [ 'le3', 'ge1', 'ge2', 'le2b' ]);
+
+/*
+ * Compare matching with evaluating every predicate, for many predicates and
+ * objects generated using a simple pseudorandom number generator.
+ */
+seed = 1;
+
+function random(n)
+{
+	seed = (seed * 1103515245 + 12345) % 2147483648;
+	return (Math.floor(seed / 2147483648 * n));
+}
+
+function randomLeaf()
+{
+	var field = [ 'a', 'b', 'c' ][random(3)];
+	var ops = [ 'eq', 'ne', 'lt', 'le', 'gt', 'ge', 'in', 'exists' ];
+	var op = ops[random(ops.length)];
+	var rv = {};
+
+	if (op == 'exists')
+		rv[op] = [ field ];
+	else if (op == 'in')
+		rv[op] = [ field, [ random(5), random(5) ] ];
+	else
+		rv[op] = [ field, random(5) ];
+	return (rv);
+}
+
+function randomPred(depth)
+{
+	var rv, n, jj;
+
+	switch (depth > 2 ? 3 : random(5)) {
+	case 0:
+	case 1:
+		rv = { 'and': [] };
+		break;
+	case 2:
+		rv = { 'or': [] };
+		break;
+	case 3:
+		return (randomLeaf());
+	default:
+		return ({ 'not': randomPred(depth + 1) });
+	}
+
+	n = 2 + random(2);
+	for (jj = 0; jj < n; jj++)
+		rv[Object.keys(rv)[0]].push(randomPred(depth + 1));
+	return (rv);
+}
+
+function randomObj()
+{
+	var rv = {};
+
+	[ 'a', 'b', 'c' ].forEach(function (field) {
+		if (random(6) !== 0)
+			rv[field] = random(6);
+	});
+
+	return (rv);
+}
+
+set = mod_krill.createPredicateSet();
+preds = {};
+for (ii = 0; ii < 300; ii++) {
+	preds['p' + ii] = mod_krill.createPredicate(randomPred(0), null,
+	    { 'missing': 'false' });
+	set.add('p' + ii, preds['p' + ii]);
+}
+
+for (ii = 0; ii < 100; ii += 3) {
+	set.remove('p' + ii);
+	delete (preds['p' + ii]);
+}
+
+objs = [];
+for (ii = 0; ii < 200; ii++)
+	objs.push(randomObj());
+
+objs.forEach(function (obj) {
+	var expected = Object.keys(preds).filter(function (name) {
+		return (preds[name].eval(obj));
+	});
+
+	mod_assert.deepEqual(set.match(obj), expected, JSON.stringify(obj));
+});
+
+/*
+ * Test the routing stream.
+ */
+set = mod_krill.createPredicateSet();
+set.add('spike', mod_krill.createPredicate(
+    { 'eq': [ 'hostname', 'spike' ] }, types));
+set.add('slow', mod_krill.createPredicate(
+    { 'gt': [ 'latency', 300 ] }, types, { 'strict': true }));
+stream = mod_krill.createPredicateSetStream({ 'predicateSet': set });
+results = [];
+errors = [];
+stream.on('data', function (c) {
+	results.push(c.record.hostname + ': ' + c.names.join(', '));
+});
+stream.on('invalid_object', function (obj, err, count, name) {
+	errors.push(count + ' ' + name + ': ' + err.message);
+});
+stream.write({ 'hostname': 'spike', 'latency': 500 });
+stream.write({ 'hostname': 'sharptooth', 'latency': 5 });
+set.remove('spike');
+stream.write({ 'hostname': 'spike', 'latency': 500 });
+stream.write({ 'hostname': 'buffy', 'latency': '500' });
+stream.end();
+mod_assert.deepEqual(results, [ 'spike: spike, slow', 'spike: slow' ]);
+mod_assert.equal(errors.length, 1);
+mod_assert.ok(/^4 slow: /.test(errors[0]));
+mod_assert.deepEqual(stream.stats(), {
+    'ninputs': 4,
+    'nerrors': 1,
+    'nfilteredout': 2
+});
+
+mod_assert.throws(function () {
+	mod_krill.createPredicateSetStream({ 'predicateSet': {} });
+}, /args.predicateSet must be a PredicateSet/);
+
+console.log('test okay');
@@ -0,0 +1,292 @@
+/*
+ * tests/tst.satisfiable.js: tests satisfiability analysis of predicates
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'host': 'string',
+    'latency': 'number',
+    'audit': 'boolean'
+};
+
+/*
+ * Each test case has a predicate, whether it's satisfiable, and the paths of
+ * the contradictions that we expect to be reported.  Test cases use "types"
+ * unless they specify "untyped".
+ */
+var test_cases = [ {
+    'pred': {},
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'pred': { 'not': {} },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    'pred': { 'and': [
+	{ 'gt': [ 'latency', 500 ] },
+	{ 'lt': [ 'latency', 100 ] }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    'pred': { 'and': [
+	{ 'ge': [ 'latency', 100 ] },
+	{ 'le': [ 'latency', 100 ] }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'pred': { 'and': [
+	{ 'ge': [ 'latency', 100 ] },
+	{ 'le': [ 'latency', 100 ] },
+	{ 'nin': [ 'latency', [ 50, 100 ] ] }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    'pred': { 'and': [
+	{ 'ge': [ 'latency', 100 ] },
+	{ 'le': [ 'latency', 101 ] },
+	{ 'nin': [ 'latency', [ 100, 101 ] ] }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'pred': { 'and': [
+	{ 'in': [ 'latency', [ 1, 2, 3 ] ] },
+	{ 'gt': [ 'latency', 1 ] },
+	{ 'ne': [ 'latency', 2 ] },
+	{ 'not': { 'gt': [ 'latency', 3 ] } }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'pred': { 'and': [
+	{ 'in': [ 'latency', [ 1, 2, 3 ] ] },
+	{ 'in': [ 'latency', [ 3, 4 ] ] },
+	{ 'not': { 'eq': [ 'latency', 3 ] } }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    'pred': { 'and': [
+	{ 'eq': [ 'host', 'a' ] },
+	{ 'eq': [ 'host', 'b' ] }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    'pred': { 'and': [
+	{ 'eq': [ 'audit', true ] },
+	{ 'ne': [ 'audit', true ] }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    /* A null value is neither true nor false. */
+    'pred': { 'and': [
+	{ 'ne': [ 'audit', true ] },
+	{ 'ne': [ 'audit', false ] }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    /* Only the unsatisfiable alternative of an "or" is reported. */
+    'pred': { 'or': [
+	{ 'eq': [ 'audit', true ] },
+	{ 'and': [
+	    { 'eq': [ 'host', 'a' ] },
+	    { 'eq': [ 'host', 'b' ] }
+	] }
+    ] },
+    'satisfiable': true,
+    'contradictions': [ '/or/1' ]
+}, {
+    'pred': { 'and': [
+	{ 'eq': [ 'audit', true ] },
+	{ 'or': [
+	    { 'and': [
+		{ 'gt': [ 'latency', 5 ] },
+		{ 'lt': [ 'latency', 5 ] }
+	    ] },
+	    { 'not': {} }
+	] }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '/and/1/or/0', '/and/1/or/1' ]
+}, {
+    /* Each alternative is fine, but not in combination with the rest. */
+    'pred': { 'and': [
+	{ 'or': [
+	    { 'eq': [ 'host', 'a' ] },
+	    { 'eq': [ 'host', 'b' ] }
+	] },
+	{ 'not': { 'in': [ 'host', [ 'a', 'b' ] ] } }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    /* Both of these are false for null. */
+    'pred': { 'not': { 'or': [
+	{ 'lt': [ 'latency', 5 ] },
+	{ 'ge': [ 'latency', 5 ] }
+    ] } },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'pred': { 'and': [
+	{ 'ne': [ 'latency', null ] },
+	{ 'not': { 'or': [
+	    { 'lt': [ 'latency', 5 ] },
+	    { 'ge': [ 'latency', 5 ] }
+	] } }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    'pred': { 'and': [
+	{ 'prefix': [ 'host', 'web' ] },
+	{ 'prefix': [ 'host', 'db' ] }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    'pred': { 'and': [
+	{ 'prefix': [ 'host', 'web' ] },
+	{ 'not': { 'contains': [ 'host', 'eb' ] } }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    'pred': { 'and': [
+	{ 'glob': [ 'host', 'web*.local' ] },
+	{ 'not': { 'suffix': [ 'host', 'local' ] } }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    'pred': { 'and': [
+	{ 'glob': [ 'host', 'web*.local' ] },
+	{ 'contains': [ 'host', '-east-' ] },
+	{ 'ne': [ 'host', 'web-east-.local' ] },
+	{ 'not': { 'match': [ 'host', '^web[0-9]' ] } }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'pred': { 'and': [
+	{ 'in': [ 'host', [ 'web0', 'db0' ] ] },
+	{ 'match': [ 'host', '^db' ] }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'pred': { 'and': [
+	{ 'in': [ 'host', [ 'web0', 'db0' ] ] },
+	{ 'match': [ 'host', '^x' ] }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    /*
+     * Without types, fields compared with constants of different types are
+     * not analyzed, since "eq" uses JavaScript's loose equality.
+     */
+    'untyped': true,
+    'pred': { 'and': [
+	{ 'eq': [ 'pid', 1 ] },
+	{ 'eq': [ 'pid', '1' ] }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'untyped': true,
+    'pred': { 'and': [
+	{ 'eq': [ 'pid', 1 ] },
+	{ 'eq': [ 'pid', 2 ] }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    /*
+     * The same goes for booleans and strings that convert to numbers: both
+     * of these are true for the number 1 or 2, respectively.
+     */
+    'untyped': true,
+    'pred': { 'and': [
+	{ 'eq': [ 'pid', '1' ] },
+	{ 'eq': [ 'pid', '1.0' ] }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'untyped': true,
+    'pred': { 'and': [
+	{ 'nin': [ 'audit', [ true ] ] },
+	{ 'ne': [ 'audit', false ] }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+}, {
+    'untyped': true,
+    'pred': { 'and': [
+	{ 'eq': [ 'host', 'a' ] },
+	{ 'in': [ 'host', [ 'b', 'c' ] ] }
+    ] },
+    'satisfiable': false,
+    'contradictions': [ '' ]
+}, {
+    /* Nothing can be proven about regular expressions alone. */
+    'pred': { 'and': [
+	{ 'match': [ 'host', '^a' ] },
+	{ 'match': [ 'host', '^b' ] }
+    ] },
+    'satisfiable': true,
+    'contradictions': []
+} ];
+
+test_cases.forEach(function (tc) {
+	var pred;
+
+	console.error('checking %j', tc.pred);
+	pred = mod_krill.createPredicate(tc.pred, tc.untyped ? null : types);
+	mod_assert.equal(pred.isSatisfiable(), tc.satisfiable);
+	mod_assert.deepEqual(pred.contradictions().map(function (c) {
+		return (c.path);
+	}), tc.contradictions);
+});
+
+/*
+ * Check the contents of a contradiction.
+ */
+var pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'audit', true ] },
+    { 'and': [ { 'eq': [ 'host', 'a' ] }, { 'eq': [ 'host', 'b' ] } ] }
+] }, types);
+mod_assert.deepEqual(pred.contradictions(), [ {
+    'path': '/or/1',
+    'predicate': { 'and': [
+	{ 'eq': [ 'host', 'a' ] },
+	{ 'eq': [ 'host', 'b' ] }
+    ] }
+} ]);
+
+/*
+ * When there are too many cases to check, the analysis gives up and assumes
+ * the predicate is satisfiable.
+ */
+var elts = [];
+var ii;
+for (ii = 0; ii < 30; ii++) {
+	elts.push({ 'or': [
+	    { 'eq': [ 'latency', ii ] },
+	    { 'eq': [ 'latency', ii + 1 ] }
+	] });
+}
+pred = mod_krill.createPredicate({ 'and': elts }, types);
+mod_assert.ok(pred.isSatisfiable());
+
+console.log('test okay');
@@ -0,0 +1,199 @@
+/*
+ * tests/tst.simplify.js: tests simplifying predicates
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number',
+    'pid': 'number',
+    'audit': 'boolean'
+};
+
+/*
+ * Each test case has an input predicate and the expected simplified predicate.
+ * We also check that both predicates evaluate identically for each of the
+ * sample objects below.
+ */
+var test_cases = [ {
+    'input': {},
+    'output': {}
+}, {
+    'input': { 'eq': [ 'hostname', 'spike' ] },
+    'output': { 'eq': [ 'hostname', 'spike' ] }
+}, {
+    /* Nested "and" and "or" expressions are flattened. */
+    'input': { 'and': [
+	{ 'eq': [ 'hostname', 'spike' ] },
+	{ 'and': [
+	    { 'ge': [ 'latency', 10 ] },
+	    { 'and': [ { 'eq': [ 'pid', 12 ] }, { 'eq': [ 'audit', true ] } ] }
+	] }
+    ] },
+    'output': { 'and': [
+	{ 'eq': [ 'hostname', 'spike' ] },
+	{ 'ge': [ 'latency', 10 ] },
+	{ 'eq': [ 'pid', 12 ] },
+	{ 'eq': [ 'audit', true ] }
+    ] }
+}, {
+    'input': { 'or': [
+	{ 'or': [ { 'eq': [ 'pid', 1 ] }, { 'eq': [ 'pid', 2 ] } ] },
+	{ 'and': [ { 'eq': [ 'pid', 3 ] }, { 'eq': [ 'audit', true ] } ] }
+    ] },
+    'output': { 'or': [
+	{ 'eq': [ 'pid', 1 ] },
+	{ 'eq': [ 'pid', 2 ] },
+	{ 'and': [ { 'eq': [ 'pid', 3 ] }, { 'eq': [ 'audit', true ] } ] }
+    ] }
+}, {
+    /* Duplicates are removed, and a single remaining element is unwrapped. */
+    'input': { 'or': [
+	{ 'eq': [ 'hostname', 'spike' ] },
+	{ 'or': [
+	    { 'eq': [ 'hostname', 'spike' ] },
+	    { 'eq': [ 'hostname', 'spike' ] }
+	] }
+    ] },
+    'output': { 'eq': [ 'hostname', 'spike' ] }
+}, {
+    'input': { 'in': [ 'pid', [ 1, 2, 1, 12, 2 ] ] },
+    'output': { 'in': [ 'pid', [ 1, 2, 12 ] ] }
+}, {
+    /* Numeric bounds are merged. */
+    'input': { 'and': [
+	{ 'gt': [ 'latency', 100 ] },
+	{ 'eq': [ 'hostname', 'spike' ] },
+	{ 'gt': [ 'latency', 300 ] },
+	{ 'ge': [ 'latency', 200 ] },
+	{ 'lt': [ 'latency', 500 ] },
+	{ 'le': [ 'latency', 500 ] }
+    ] },
+    'output': { 'and': [
+	{ 'gt': [ 'latency', 300 ] },
+	{ 'eq': [ 'hostname', 'spike' ] },
+	{ 'lt': [ 'latency', 500 ] }
+    ] }
+}, {
+    'input': { 'and': [
+	{ 'ge': [ 'latency', 300 ] },
+	{ 'gt': [ 'latency', 300 ] },
+	{ 'gt': [ 'pid', 300 ] }
+    ] },
+    'output': { 'and': [
+	{ 'gt': [ 'latency', 300 ] },
+	{ 'gt': [ 'pid', 300 ] }
+    ] }
+}, {
+    'input': { 'or': [
+	{ 'gt': [ 'latency', 100 ] },
+	{ 'gt': [ 'latency', 300 ] },
+	{ 'ge': [ 'latency', 100 ] },
+	{ 'lt': [ 'latency', 10 ] },
+	{ 'lt': [ 'latency', 5 ] }
+    ] },
+    'output': { 'or': [
+	{ 'ge': [ 'latency', 100 ] },
+	{ 'lt': [ 'latency', 10 ] }
+    ] }
+}, {
+    /* Bounds that can't be satisfied together make an "and" false. */
+    'input': { 'and': [
+	{ 'gt': [ 'latency', 300 ] },
+	{ 'lt': [ 'latency', 100 ] }
+    ] },
+    'output': { 'not': {} }
+}, {
+    'input': { 'and': [
+	{ 'ge': [ 'latency', 300 ] },
+	{ 'lt': [ 'latency', 300 ] }
+    ] },
+    'output': { 'not': {} }
+}, {
+    'input': { 'and': [
+	{ 'ge': [ 'latency', 300 ] },
+	{ 'le': [ 'latency', 300 ] }
+    ] },
+    'output': { 'and': [
+	{ 'ge': [ 'latency', 300 ] },
+	{ 'le': [ 'latency', 300 ] }
+    ] }
+}, {
+    /* Constant subpredicates are folded. */
+    'input': { 'and': [ {}, { 'eq': [ 'pid', 12 ] } ] },
+    'output': { 'eq': [ 'pid', 12 ] }
+}, {
+    'input': { 'and': [ { 'not': {} }, { 'eq': [ 'pid', 12 ] } ] },
+    'output': { 'not': {} }
+}, {
+    'input': { 'or': [ {}, { 'eq': [ 'pid', 12 ] } ] },
+    'output': {}
+}, {
+    'input': { 'or': [ { 'not': {} }, { 'eq': [ 'pid', 12 ] } ] },
+    'output': { 'eq': [ 'pid', 12 ] }
+}, {
+    'input': { 'or': [ { 'not': {} }, { 'not': { 'not': { 'not': {} } } } ] },
+    'output': { 'not': {} }
+}, {
+    'input': { 'not': { 'not': { 'eq': [ 'pid', 12 ] } } },
+    'output': { 'eq': [ 'pid', 12 ] }
+}, {
+    'input': { 'not': { 'or': [ {}, { 'eq': [ 'pid', 12 ] } ] } },
+    'output': { 'not': {} }
+}, {
+    /* A subpredicate and its negation determine the result. */
+    'input': { 'and': [
+	{ 'eq': [ 'pid', 12 ] },
+	{ 'eq': [ 'hostname', 'spike' ] },
+	{ 'not': { 'eq': [ 'pid', 12 ] } }
+    ] },
+    'output': { 'not': {} }
+}, {
+    'input': { 'or': [
+	{ 'not': { 'eq': [ 'audit', true ] } },
+	{ 'not': { 'not': { 'eq': [ 'audit', true ] } } }
+    ] },
+    'output': {}
+} ];
+
+var objects = [
+    { 'hostname': 'spike', 'latency': 0, 'pid': 1, 'audit': true },
+    { 'hostname': 'spike', 'latency': 100, 'pid': 2, 'audit': false },
+    { 'hostname': 'sharptooth', 'latency': 150, 'pid': 3, 'audit': true },
+    { 'hostname': 'spike', 'latency': 300, 'pid': 12, 'audit': true },
+    { 'hostname': 'spike', 'latency': 400, 'pid': 12, 'audit': false },
+    { 'hostname': 'spike', 'latency': 500, 'pid': 12, 'audit': true }
+];
+
+test_cases.forEach(function (tc) {
+	var pred, simplified;
+
+	console.error('checking %j', tc.input);
+	pred = mod_krill.createPredicate(tc.input, types);
+	simplified = pred.simplify();
+	mod_assert.deepEqual(simplified.p_pred, tc.output);
+	mod_assert.deepEqual(pred.p_pred, tc.input);
+	mod_assert.strictEqual(pred.simplify(), simplified);
+	mod_assert.deepEqual(simplified.simplify().p_pred, tc.output);
+	mod_assert.equal(pred.trivial(), Object.keys(tc.output).length === 0);
+
+	objects.forEach(function (obj) {
+		mod_assert.equal(pred.eval(obj), simplified.eval(obj));
+		mod_assert.equal(pred.eval(obj), simplified.compile()(obj));
+	});
+});
+
+/*
+ * Predicates that simplify to the trivial predicate are trivial, but they can
+ * still be printed as they are.
+ */
+var pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'pid', 12 ] },
+    { 'not': { 'eq': [ 'pid', 12 ] } }
+] }, types);
+mod_assert.ok(pred.trivial());
+mod_assert.equal(pred.toLDAPFilterString(), '(|(pid=12)(!(pid=12)))');
+
+console.log('test okay');
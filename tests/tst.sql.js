@@ -0,0 +1,161 @@
+/*
+ * tests/tst.sql.js: tests generating SQL expressions from predicates
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var pred, sql;
+
+/*
+ * Test the trivial predicate and its negation.
+ */
+pred = mod_krill.createPredicate({});
+mod_assert.deepEqual(pred.toSQL(), { 'text': 'TRUE', 'values': [] });
+mod_assert.deepEqual(pred.toSQL({ 'dialect': 'sqlite' }),
+    { 'text': '1', 'values': [] });
+pred = mod_krill.createPredicate({ 'not': {} });
+mod_assert.deepEqual(pred.toSQL(), { 'text': 'NOT (TRUE)', 'values': [] });
+
+/*
+ * Test the relational, logical, and set operators with the default dialect
+ * (PostgreSQL).
+ */
+pred = mod_krill.createPredicate({
+    'and': [
+	{ 'eq': [ 'hostname', 'spike' ] },
+	{ 'ne': [ 'zonename', 'global' ] },
+	{ 'or': [
+	    { 'lt': [ 'latency', 10 ] },
+	    { 'le': [ 'latency', 20 ] },
+	    { 'gt': [ 'latency', 30 ] },
+	    { 'ge': [ 'latency', 40 ] }
+	] },
+	{ 'not': { 'eq': [ 'audit', true ] } },
+	{ 'in': [ 'dc', [ 'us-east-1', 'us-east-2' ] ] },
+	{ 'nin': [ 'pid', [ 1 ] ] }
+    ]
+});
+sql = pred.toSQL();
+mod_assert.equal(sql.text, '("hostname" = $1) AND ' +
+    '("zonename" <> $2 OR "zonename" IS NULL) AND ' +
+    '(("latency" < $3) OR ("latency" <= $4) OR ("latency" > $5) OR ' +
+    '("latency" >= $6)) AND (NOT ("audit" = $7)) AND ' +
+    '("dc" IN ($8, $9)) AND ("pid" NOT IN ($10) OR "pid" IS NULL)');
+mod_assert.deepEqual(sql.values, [ 'spike', 'global', 10, 20, 30, 40, true,
+    'us-east-1', 'us-east-2', 1 ]);
+
+/*
+ * Test the MySQL dialect, with a column map.
+ */
+sql = pred.toSQL({
+    'dialect': 'mysql',
+    'columnMap': {
+	'hostname': 'vms.host`name',
+	'zonename': 'zone',
+	'latency': 'latency_ms',
+	'audit': 'audit',
+	'dc': 'datacenter',
+	'pid': 'pid'
+    }
+});
+mod_assert.equal(sql.text, '(`vms`.`host``name` = ?) AND ' +
+    '(`zone` <> ? OR `zone` IS NULL) AND ' +
+    '((`latency_ms` < ?) OR (`latency_ms` <= ?) OR (`latency_ms` > ?) OR ' +
+    '(`latency_ms` >= ?)) AND (NOT (`audit` = ?)) AND ' +
+    '(`datacenter` IN (?, ?)) AND (`pid` NOT IN (?) OR `pid` IS NULL)');
+mod_assert.equal(sql.values.length, 10);
+
+/*
+ * Like eval(), "ne" and "nin" match null values (but not null constants).
+ */
+pred = mod_krill.createPredicate({ 'ne': [ 'zonename', 'global' ] });
+mod_assert.ok(pred.eval({ 'zonename': null }));
+mod_assert.deepEqual(pred.toSQL(), {
+    'text': '"zonename" <> $1 OR "zonename" IS NULL',
+    'values': [ 'global' ]
+});
+mod_assert.equal(pred.negate().toSQL().text,
+    'NOT ("zonename" <> $1 OR "zonename" IS NULL)');
+pred = mod_krill.createPredicate({ 'nin': [ 'pid', [ 1, 2 ] ] });
+mod_assert.ok(pred.eval({ 'pid': null }));
+mod_assert.equal(pred.toSQL().text, '"pid" NOT IN ($1, $2) OR "pid" IS NULL');
+pred = mod_krill.createPredicate({ 'ne': [ 'zonename', null ] });
+mod_assert.deepEqual(pred.toSQL(),
+    { 'text': '"zonename" IS NOT NULL', 'values': [] });
+
+/*
+ * Test placeholder styles.
+ */
+pred = mod_krill.createPredicate({ 'eq': [ 'a"b', 'x\'; DROP TABLE y; --' ] });
+mod_assert.deepEqual(pred.toSQL({ 'placeholderStyle': '?' }), {
+    'text': '"a""b" = ?',
+    'values': [ 'x\'; DROP TABLE y; --' ]
+});
+mod_assert.deepEqual(pred.toSQL({
+    'dialect': 'sqlite',
+    'placeholderStyle': '$'
+}), {
+    'text': '"a""b" = $1',
+    'values': [ 'x\'; DROP TABLE y; --' ]
+});
+
+/*
+ * Test the string-matching operators, which use LIKE with escaping.
+ */
+pred = mod_krill.createPredicate({
+    'or': [
+	{ 'prefix': [ 'hostname', 'web_1' ] },
+	{ 'suffix': [ 'hostname', '100%' ] },
+	{ 'contains': [ 'hostname', 'a!b' ] },
+	{ 'glob': [ 'hostname', 'w*b_*s' ] },
+	{ 'match': [ 'hostname', '^web[0-9]+$' ] }
+    ]
+});
+sql = pred.toSQL();
+mod_assert.equal(sql.text, '("hostname" LIKE $1 ESCAPE \'!\') OR ' +
+    '("hostname" LIKE $2 ESCAPE \'!\') OR ' +
+    '("hostname" LIKE $3 ESCAPE \'!\') OR ' +
+    '("hostname" LIKE $4 ESCAPE \'!\') OR ' +
+    '("hostname" ~ $5)');
+mod_assert.deepEqual(sql.values,
+    [ 'web!_1%', '%100!%', '%a!!b%', 'w%b!_%s', '^web[0-9]+$' ]);
+mod_assert.equal(pred.toSQL({ 'dialect': 'mysql' }).text.split(' OR ')[4],
+    '(`hostname` REGEXP ?)');
+
+/*
+ * Test nested fields.
+ */
+pred = mod_krill.createPredicate({
+    'and': [
+	{ 'eq': [ 'req.method', 'GET' ] },
+	{ 'ge': [ '/res/statusCode', 500 ] }
+    ]
+});
+mod_assert.throws(function () { pred.toSQL(); },
+    /field "\/res\/statusCode": JSON Pointer fields require a columnMap/);
+mod_assert.deepEqual(pred.toSQL({
+    'columnMap': {
+	'req.method': 'method',
+	'/res/statusCode': 'r.status'
+    }
+}), {
+    'text': '("method" = $1) AND ("r"."status" >= $2)',
+    'values': [ 'GET', 500 ]
+});
+
+/*
+ * Test invalid options.
+ */
+pred = mod_krill.createPredicate({ 'eq': [ 'hostname', 'spike' ] });
+mod_assert.throws(function () { pred.toSQL({ 'dialect': 'oracle' }); },
+    /unsupported SQL dialect "oracle"/);
+mod_assert.throws(function () { pred.toSQL({ 'placeholderStyle': ':' }); },
+    /unsupported placeholder style ":"/);
+mod_assert.throws(function () { pred.toSQL({ 'columnMap': {} }); },
+    /field "hostname": no column in columnMap/);
+mod_assert.throws(function () {
+	pred.toSQL({ 'columnMap': { 'hostname': 'a..b' } });
+}, /field "hostname": invalid column name "a..b"/);
+
+console.log('test okay');
@@ -68,3 +68,33 @@ stream.on('end', function () {
 	console.error(stream.stats());
 	console.log('test okay');
 });
+
+/*
+ * Check that a "match" predicate compiles its regular expression once, when
+ * the predicate is created, and uses that same RegExp for every record.
+ */
+var matchpred, matchre, matchstream, matched, ntested;
+matchpred = mod_krill.createPredicate(
+    { 'match': [ 'hostname', '^web[0-9]+$' ] }, { 'hostname': 'string' });
+matchre = matchpred.p_compiled['match'][JSON.stringify('^web[0-9]+$')];
+mod_assert.ok(matchre instanceof RegExp);
+mod_assert.equal(matchre.source, '^web[0-9]+$');
+ntested = 0;
+matchre.test = function (str) {
+	ntested++;
+	return (RegExp.prototype.test.call(this, str));
+};
+matchstream = mod_krill.createPredicateStream({ 'predicate': matchpred });
+matched = [];
+matchstream.on('data', function (c) { matched.push(c.hostname); });
+matchstream.on('end', function () {
+	mod_assert.deepEqual(matched, [ 'web1', 'web3' ]);
+	mod_assert.equal(ntested, 3);
+	mod_assert.strictEqual(matchpred.p_compiled['match'][
+	    JSON.stringify('^web[0-9]+$')], matchre);
+	console.log('match test okay');
+});
+matchstream.write({ 'hostname': 'web1' });
+matchstream.write({ 'hostname': 'db2' });
+matchstream.write({ 'hostname': 'web3' });
+matchstream.end();
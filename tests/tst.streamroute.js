@@ -0,0 +1,204 @@
+/*
+ * tests/tst.streamroute.js: tests handling of invalid and rejected objects in
+ * PredicateStream
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number'
+};
+
+var pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'gt': [ 'latency', 300 ] }
+] }, types);
+
+var inputs = [
+    { 'hostname': 'spike', 'latency': 12 },
+    { 'hostname': 'sharptooth', 'latency': 12 },
+    { 'hostname': 'invalid' },
+    { 'hostname': 'sharptooth', 'latency': 400 }
+];
+
+var stream, output, passed, invalid, rejected, errors;
+
+/*
+ * Creates a stream with the given options, writes "inputs" to it, and records
+ * the results (as the hostnames and latencies of the objects, and the objects
+ * that passed).
+ */
+function run(options)
+{
+	var summarize = function (obj) {
+		return (obj.hostname + '/' + obj.latency);
+	};
+
+	options.predicate = pred;
+	stream = mod_krill.createPredicateStream(options);
+	output = [];
+	passed = [];
+	invalid = [];
+	rejected = [];
+	errors = [];
+
+	stream.on('data', function (obj) {
+		output.push(summarize(obj));
+		passed.push(obj);
+	});
+	stream.on('invalid_object', function (obj, err, count) {
+		errors.push(count + ': ' + err.message);
+	});
+	if (stream.invalid !== null)
+		stream.invalid.on('data', function (obj) {
+			invalid.push(summarize(obj));
+		});
+	if (stream.rejected !== null)
+		stream.rejected.on('data', function (obj) {
+			rejected.push(summarize(obj));
+		});
+
+	inputs.forEach(function (obj) { stream.write(obj); });
+	stream.end();
+}
+
+/*
+ * By default, invalid and rejected objects are dropped.
+ */
+run({});
+mod_assert.deepEqual(output, [ 'spike/12', 'sharptooth/400' ]);
+mod_assert.deepEqual(errors, [ '3: subpredicate "{ gt: [ \'latency\', ' +
+    '300 ] }": no translation for field "latency"' ]);
+mod_assert.strictEqual(stream.invalid, null);
+mod_assert.strictEqual(stream.rejected, null);
+
+run({ 'invalid': 'drop', 'rejected': 'drop' });
+mod_assert.deepEqual(output, [ 'spike/12', 'sharptooth/400' ]);
+
+/*
+ * Invalid objects can be passed through.
+ */
+run({ 'invalid': 'pass' });
+mod_assert.deepEqual(output,
+    [ 'spike/12', 'invalid/undefined', 'sharptooth/400' ]);
+mod_assert.equal(errors.length, 1);
+mod_assert.deepEqual(stream.stats(), {
+    'ninputs': 4,
+    'nerrors': 1,
+    'nfilteredout': 1
+});
+
+/*
+ * Invalid and rejected objects can be routed to separate streams, which end
+ * with the main one.
+ */
+run({ 'invalid': 'route', 'rejected': 'route' });
+mod_assert.deepEqual(output, [ 'spike/12', 'sharptooth/400' ]);
+mod_assert.deepEqual(invalid, [ 'invalid/undefined' ]);
+mod_assert.deepEqual(rejected, [ 'sharptooth/12' ]);
+mod_assert.equal(errors.length, 1);
+
+run({ 'rejected': 'route' });
+mod_assert.deepEqual(output, [ 'spike/12', 'sharptooth/400' ]);
+mod_assert.strictEqual(stream.invalid, null);
+mod_assert.deepEqual(rejected, [ 'sharptooth/12' ]);
+
+(function () {
+	var ended = [];
+
+	run({ 'invalid': 'route', 'rejected': 'route' });
+	stream.invalid.on('end', function () { ended.push('invalid'); });
+	stream.rejected.on('end', function () { ended.push('rejected'); });
+	stream.on('finish', function () {
+		setImmediate(function () {
+			mod_assert.deepEqual(ended.sort(),
+			    [ 'invalid', 'rejected' ]);
+		});
+	});
+})();
+
+/*
+ * In "error" mode, the first invalid object aborts the stream.
+ */
+(function () {
+	var emitted = [];
+
+	var results, rejects, ended;
+
+	run({ 'invalid': 'error', 'rejected': 'route' });
+	results = output;
+	rejects = rejected;
+	stream.on('error', function (err) { emitted.push(err.message); });
+	stream.rejected.on('end', function () { ended = true; });
+	setImmediate(function () {
+		mod_assert.deepEqual(emitted, [ 'object 3: subpredicate ' +
+		    '"{ gt: [ \'latency\', 300 ] }": no translation for ' +
+		    'field "latency"' ]);
+		mod_assert.deepEqual(results, [ 'spike/12' ]);
+		mod_assert.deepEqual(rejects, [ 'sharptooth/12' ]);
+		mod_assert.ok(ended);
+	});
+})();
+
+/*
+ * Passing objects can be annotated with the subpredicates that matched.  The
+ * annotation is set on a copy, leaving the objects that were written alone.
+ */
+run({ 'annotate': 'match' });
+mod_assert.equal(passed.length, 2);
+mod_assert.deepEqual(passed[0], { 'hostname': 'spike', 'latency': 12,
+    'match': { 'ordinal': 1, 'matched': [ '/or/0' ] } });
+mod_assert.deepEqual(passed[1], { 'hostname': 'sharptooth', 'latency': 400,
+    'match': { 'ordinal': 4, 'matched': [ '/or/1' ] } });
+inputs.forEach(function (obj) {
+	mod_assert.ok(!obj.hasOwnProperty('match'));
+});
+
+pred = mod_krill.createPredicate({ 'and': [
+    { 'not': { 'eq': [ 'hostname', 'spike' ] } },
+    { 'or': [ { 'lt': [ 'latency', 20 ] }, { 'gt': [ 'latency', 300 ] } ] }
+] }, types);
+run({ 'annotate': 'match', 'invalid': 'pass' });
+mod_assert.deepEqual(output, [ 'sharptooth/12', 'invalid/undefined',
+    'sharptooth/400' ]);
+mod_assert.deepEqual(passed[0].match,
+    { 'ordinal': 2, 'matched': [ '/and/1/or/0' ] });
+mod_assert.ok(!passed[1].hasOwnProperty('match'));
+mod_assert.strictEqual(passed[1], inputs[2]);
+mod_assert.deepEqual(passed[2].match,
+    { 'ordinal': 4, 'matched': [ '/and/1/or/1' ] });
+
+/*
+ * The matches come from the same evaluation that passed the object, so they
+ * agree with the counts in "nodeStats".
+ */
+run({ 'annotate': 'match', 'nodeStats': true });
+mod_assert.deepEqual(passed.map(function (obj) { return (obj.match); }), [
+    { 'ordinal': 2, 'matched': [ '/and/1/or/0' ] },
+    { 'ordinal': 4, 'matched': [ '/and/1/or/1' ] }
+]);
+mod_assert.equal(stream.stats().nodes['/and/0/not'].nevaluated, 3);
+mod_assert.equal(stream.stats().nodes['/and/1/or/0'].nevaluated, 2);
+
+/*
+ * Test invalid options.
+ */
+mod_assert.throws(function () {
+	mod_krill.createPredicateStream({ 'predicate': pred,
+	    'invalid': 'ignore' });
+}, new RegExp('args.invalid: expected one of "drop", "pass", "error", ' +
+    '"route", but found "ignore"'));
+mod_assert.throws(function () {
+	mod_krill.createPredicateStream({ 'predicate': pred,
+	    'rejected': 'pass' });
+}, /args.rejected: expected one of "drop", "route", but found "pass"/);
+mod_assert.throws(function () {
+	mod_krill.createPredicateStream({ 'predicate': pred,
+	    'annotate': true });
+}, /args.annotate \(string\) is required/);
+
+setImmediate(function () {
+	setImmediate(function () { console.log('test okay'); });
+});
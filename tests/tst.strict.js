@@ -0,0 +1,150 @@
+/*
+ * tests/tst.strict.js: tests strict type checking during evaluation
+ */
+
+var mod_assert = require('assert');
+var mod_common = require('./common');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'pid': 'number',
+    'hostname': 'string',
+    'audit': 'boolean',
+    'timestamp': 'date',
+    'req': { 'method': 'string' }
+};
+
+var strict = { 'strict': true };
+var check = mod_common.checkEval;
+var pred, stream, results, errors;
+
+/*
+ * Without strict mode, "eq" uses loose equality.
+ */
+pred = mod_krill.createPredicate({ 'eq': [ 'pid', 12 ] }, types);
+check(pred, { 'pid': 12 }, true);
+check(pred, { 'pid': '12' }, true);
+
+/*
+ * With it, values must have the field's type.
+ */
+pred = mod_krill.createPredicate({ 'eq': [ 'pid', 12 ] }, types, strict);
+check(pred, { 'pid': 12 }, true);
+check(pred, { 'pid': 13 }, false);
+check(pred, { 'pid': '12' }, new RegExp('subpredicate "{ eq: \\[ \'pid\', 12 ' +
+    '\\] }": field "pid": expected "number", but found \'12\' ' +
+    '\\(type "string"\\)'));
+check(pred, { 'pid': true }, /field "pid": expected "number", but found true/);
+check(pred, { 'pid': [ 12 ] }, /but found \[ 12 \] \(type "object"\)/);
+check(pred, {}, /no translation for field "pid"/);
+
+pred = mod_krill.createPredicate({ 'and': [
+    { 'ne': [ 'hostname', 'spike' ] },
+    { 'lt': [ 'pid', 100 ] },
+    { 'eq': [ 'audit', false ] },
+    { 'prefix': [ 'req.method', 'G' ] }
+] }, types, strict);
+check(pred, { 'hostname': 'sharptooth', 'pid': 12, 'audit': false,
+    'req': { 'method': 'GET' } }, true);
+check(pred, { 'hostname': 'spike', 'pid': 12, 'audit': false,
+    'req': { 'method': 'GET' } }, false);
+check(pred, { 'hostname': 'sharptooth', 'pid': '12', 'audit': false,
+    'req': { 'method': 'GET' } }, /field "pid": expected "number"/);
+check(pred, { 'hostname': 'sharptooth', 'pid': 12, 'audit': 0,
+    'req': { 'method': 'GET' } }, /field "audit": expected "boolean"/);
+check(pred, { 'hostname': 'sharptooth', 'pid': 12, 'audit': false,
+    'req': { 'method': 7 } }, /field "req.method": expected "string"/);
+
+/* Values are checked before anything is evaluated, in order. */
+check(pred, { 'hostname': 'spike', 'pid': 'x', 'audit': 'x',
+    'req': { 'method': 7 } }, /field "pid"/);
+
+/* Missing fields are still reported first. */
+check(pred, { 'hostname': 'spike', 'pid': 'x', 'audit': false },
+    /no translation for field "req.method"/);
+
+/*
+ * Without types, values must have the type of the constants.
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'pid', 12 ] },
+    { 'in': [ 'hostname', [ 'spike', 7 ] ] }
+] }, null, strict);
+check(pred, { 'pid': 12, 'hostname': 'sharptooth' }, true);
+check(pred, { 'pid': 13, 'hostname': 7 }, true);
+check(pred, { 'pid': 13, 'hostname': 'sharptooth' }, false);
+check(pred, { 'pid': 13, 'hostname': true },
+    /field "hostname": expected "string" or "number", but found true/);
+check(pred, { 'pid': '12', 'hostname': 'spike' },
+    /field "pid": expected "number"/);
+
+/* Sets of mixed types compare each value only with constants of its type. */
+pred = mod_krill.createPredicate({ 'in': [ 'pid', [ 12, 'abc' ] ] }, null,
+    strict);
+check(pred, { 'pid': 12 }, true);
+check(pred, { 'pid': 'abc' }, true);
+check(pred, { 'pid': '12' }, false);
+check(pred, { 'pid': null }, false);
+pred = mod_krill.createPredicate({ 'nin': [ 'pid', [ 12, 'abc', '1' ] ] },
+    null, strict);
+check(pred, { 'pid': '12' }, true);
+check(pred, { 'pid': 1 }, true);
+check(pred, { 'pid': '1' }, false);
+check(pred, { 'pid': 12 }, false);
+pred = mod_krill.createPredicate({ 'in': [ 'pid', [ 12, 'abc' ] ] });
+check(pred, { 'pid': '12' }, true);
+
+/*
+ * Null and missing values, "exists", and null constants aren't checked.
+ */
+pred = mod_krill.createPredicate({ 'or': [
+    { 'eq': [ 'pid', 12 ] },
+    { 'eq': [ 'hostname', null ] },
+    { 'exists': [ 'audit' ] }
+] }, types, { 'strict': true, 'missing': 'null' });
+check(pred, {}, true);
+check(pred, { 'pid': null, 'hostname': 'spike' }, false);
+check(pred, { 'pid': 12, 'hostname': 12, 'audit': 'yes' }, true);
+check(pred, { 'pid': '12' }, /field "pid": expected "number"/);
+
+/*
+ * Values of "date" fields are checked when they're converted, as usual.
+ */
+pred = mod_krill.createPredicate({ 'gt': [ 'timestamp', '2024-01-01' ] },
+    types, strict);
+check(pred, { 'timestamp': '2024-06-01T00:00:00Z' }, true);
+check(pred, { 'timestamp': true },
+    /field "timestamp": true is not a valid date/);
+
+/*
+ * Test the streaming interface.
+ */
+pred = mod_krill.createPredicate({ 'eq': [ 'pid', 12 ] }, types, strict);
+stream = mod_krill.createPredicateStream({ 'predicate': pred });
+results = [];
+errors = [];
+stream.on('data', function (obj) { results.push(obj.pid); });
+stream.on('invalid_object', function (obj, err) { errors.push(err.message); });
+stream.write({ 'pid': 12 });
+stream.write({ 'pid': '12' });
+stream.write({ 'pid': 13 });
+stream.end();
+mod_assert.deepEqual(results, [ 12 ]);
+mod_assert.equal(errors.length, 1);
+mod_assert.ok(/field "pid": expected "number"/.test(errors[0]));
+
+/*
+ * Derived predicates are strict, too.
+ */
+pred = mod_krill.createPredicate({ 'eq': [ 'pid', 12 ] }, types, strict);
+pred = mod_krill.and(pred.negate(), mod_krill.eq('hostname', 'spike', types));
+check(pred, { 'pid': 13, 'hostname': 'spike' }, true);
+check(pred, { 'pid': '13', 'hostname': 'spike' },
+    /field "pid": expected "number"/);
+
+mod_assert.throws(function () {
+	mod_krill.createPredicate({ 'eq': [ 'pid', 12 ] }, types,
+	    { 'strict': 'yes' });
+}, /options.strict \(bool\) is required/);
+
+console.log('test okay');
@@ -0,0 +1,280 @@
+/*
+ * tests/tst.validate.js: tests validation error properties and validate()
+ */
+
+var mod_assert = require('assert');
+var mod_krill = require('../lib/krill');
+
+var types = {
+    'hostname': 'string',
+    'latency': 'number',
+    'timestamp': 'date',
+    'src': 'ip',
+    'req': { 'method': 'string' }
+};
+
+/*
+ * Returns the properties of "err" that identify the problem.
+ */
+function summarize(err)
+{
+	return ({
+	    'code': err.code,
+	    'path': err.path,
+	    'operator': err.operator,
+	    'field': err.field
+	});
+}
+
+/*
+ * Check that createPredicate() throws an error with the given properties, and
+ * that validate() reports it (and nothing else).
+ */
+function checkOne(pred, predtypes, expected)
+{
+	var errors;
+
+	mod_assert.throws(function () {
+		mod_krill.createPredicate(pred, predtypes);
+	}, function (err) {
+		mod_assert.deepEqual(summarize(err), expected);
+		return (true);
+	});
+
+	errors = mod_krill.validate(pred, predtypes);
+	mod_assert.equal(errors.length, 1);
+	mod_assert.deepEqual(summarize(errors[0]), expected);
+}
+
+/*
+ * Test the code, path, operator, and field of each kind of error.
+ */
+checkOne(12, null, {
+    'code': 'INVALID_PREDICATE',
+    'path': '',
+    'operator': null,
+    'field': null
+});
+checkOne({ 'not': { 'eq': [ 'a', 1 ], 'ne': [ 'a', 2 ] } }, null, {
+    'code': 'INVALID_PREDICATE',
+    'path': '/not',
+    'operator': null,
+    'field': null
+});
+checkOne({ 'and': [ {}, { 'like': [ 'hostname', 'a' ] } ] }, null, {
+    'code': 'UNKNOWN_OPERATOR',
+    'path': '/and/1',
+    'operator': 'like',
+    'field': null
+});
+checkOne({ 'not': { 'toString': [ 1, 2 ] } }, null, {
+    'code': 'UNKNOWN_OPERATOR',
+    'path': '/not',
+    'operator': 'toString',
+    'field': null
+});
+checkOne({ 'or': [ {}, { 'eq': [ 'hostname' ] } ] }, null, {
+    'code': 'INVALID_OPERANDS',
+    'path': '/or/1',
+    'operator': 'eq',
+    'field': null
+});
+checkOne({ 'or': [ {} ] }, null, {
+    'code': 'INVALID_OPERANDS',
+    'path': '',
+    'operator': 'or',
+    'field': null
+});
+checkOne({ 'not': [ {} ] }, null, {
+    'code': 'INVALID_OPERANDS',
+    'path': '',
+    'operator': 'not',
+    'field': null
+});
+checkOne({ 'not': { 'exists': [] } }, null, {
+    'code': 'INVALID_OPERANDS',
+    'path': '/not',
+    'operator': 'exists',
+    'field': null
+});
+checkOne({ 'eq': [ 12, 'spike' ] }, null, {
+    'code': 'INVALID_FIELD',
+    'path': '',
+    'operator': 'eq',
+    'field': null
+});
+checkOne({ 'in': [ '/req/~2', [ 'GET' ] ] }, null, {
+    'code': 'INVALID_FIELD',
+    'path': '',
+    'operator': 'in',
+    'field': '/req/~2'
+});
+checkOne({ 'match': [ 'hostname', '(' ] }, null, {
+    'code': 'INVALID_CONSTANT',
+    'path': '',
+    'operator': 'match',
+    'field': 'hostname'
+});
+checkOne({ 'nin': [ 'hostname', [ 'a', {} ] ] }, null, {
+    'code': 'INVALID_CONSTANT',
+    'path': '',
+    'operator': 'nin',
+    'field': 'hostname'
+});
+checkOne({ 'gt': [ 'timestamp', 'yesterday' ] }, types, {
+    'code': 'INVALID_CONSTANT',
+    'path': '',
+    'operator': 'gt',
+    'field': 'timestamp'
+});
+checkOne({ 'eq': [ 'src', '10.0.0.256' ] }, types, {
+    'code': 'INVALID_CONSTANT',
+    'path': '',
+    'operator': 'eq',
+    'field': 'src'
+});
+checkOne({ 'and': [ {}, { 'eq': [ 'zonename', 'global' ] } ] }, types, {
+    'code': 'UNDEFINED_FIELD',
+    'path': '/and/1',
+    'operator': 'eq',
+    'field': 'zonename'
+});
+checkOne({ 'eq': [ 'req', 'GET' ] }, types, {
+    'code': 'UNDEFINED_FIELD',
+    'path': '',
+    'operator': 'eq',
+    'field': 'req'
+});
+checkOne({ 'exists': [ 'res.statusCode' ] }, types, {
+    'code': 'UNDEFINED_FIELD',
+    'path': '',
+    'operator': 'exists',
+    'field': 'res.statusCode'
+});
+checkOne({ 'lt': [ 'hostname', 'spike' ] }, types, {
+    'code': 'UNSUPPORTED_TYPE',
+    'path': '',
+    'operator': 'lt',
+    'field': 'hostname'
+});
+checkOne({ 'prefix': [ 'timestamp', '2024' ] }, types, {
+    'code': 'UNSUPPORTED_TYPE',
+    'path': '',
+    'operator': 'prefix',
+    'field': 'timestamp'
+});
+checkOne({ 'within': [ 'hostname', '10.0.0.0/8' ] }, types, {
+    'code': 'UNSUPPORTED_TYPE',
+    'path': '',
+    'operator': 'within',
+    'field': 'hostname'
+});
+checkOne({ 'not': { 'eq': [ 'req.method', 12 ] } }, types, {
+    'code': 'TYPE_MISMATCH',
+    'path': '/not',
+    'operator': 'eq',
+    'field': 'req.method'
+});
+checkOne({ 'le': [ 'timestamp', 12 ] }, types, {
+    'code': 'TYPE_MISMATCH',
+    'path': '',
+    'operator': 'le',
+    'field': 'timestamp'
+});
+checkOne({ 'eq': [ 'hostname', 'spike' ] }, { 'hostname': 'str' }, {
+    'code': 'INVALID_TYPES',
+    'path': null,
+    'operator': null,
+    'field': 'hostname'
+});
+checkOne({ 'eq': [ 'hostname', 'spike' ] }, { 'req': { 'method': [] } }, {
+    'code': 'INVALID_TYPES',
+    'path': null,
+    'operator': null,
+    'field': 'req.method'
+});
+checkOne({ 'eq': [ 'hostname', 'spike' ] }, 5, {
+    'code': 'INVALID_TYPES_ARGUMENT',
+    'path': null,
+    'operator': null,
+    'field': null
+});
+
+/*
+ * validate() reports every problem, syntax errors first.
+ */
+mod_assert.deepEqual(mod_krill.validate({}), []);
+mod_assert.deepEqual(mod_krill.validate({ 'or': [
+    { 'eq': [ 'hostname', 'spike' ] },
+    { 'exists': [ 'req' ] }
+] }, types), []);
+
+mod_assert.deepEqual(mod_krill.validate({ 'and': [
+    { 'eq': [ 'hostname', 12 ] },
+    { 'or': [
+	{ 'gt': [ 'latency' ] },
+	{ 'not': { 'prefix': [ 'hostname', 3 ] } },
+	{ 'eq': [ 'zonename', 'global' ] }
+    ] },
+    null,
+    { 'in': [ 'latency', [ 1, '2' ] ] },
+    { 'eq': [ 'latency', 300 ] }
+] }, types).map(summarize), [ {
+    'code': 'INVALID_OPERANDS',
+    'path': '/and/1/or/0',
+    'operator': 'gt',
+    'field': null
+}, {
+    'code': 'INVALID_PREDICATE',
+    'path': '/and/2',
+    'operator': null,
+    'field': null
+}, {
+    'code': 'TYPE_MISMATCH',
+    'path': '/and/0',
+    'operator': 'eq',
+    'field': 'hostname'
+}, {
+    'code': 'UNSUPPORTED_TYPE',
+    'path': '/and/1/or/1/not',
+    'operator': 'prefix',
+    'field': 'hostname'
+}, {
+    'code': 'UNDEFINED_FIELD',
+    'path': '/and/1/or/2',
+    'operator': 'eq',
+    'field': 'zonename'
+}, {
+    'code': 'TYPE_MISMATCH',
+    'path': '/and/3',
+    'operator': 'in',
+    'field': 'latency'
+} ]);
+
+/* Messages are the same as the errors thrown by createPredicate(). */
+mod_assert.deepEqual(mod_krill.validate({ 'or': [
+    { 'eq': [ 'hostname', 12 ] },
+    { 'foo': 1 }
+] }, types).map(function (err) { return (err.message); }), [
+    'predicate { foo: 1 }: unknown operator "foo"',
+    'predicate { eq: [ \'hostname\', 12 ] }: field "hostname" value ("12") ' +
+	'expected "string", but got "number"'
+]);
+
+/* With an invalid types map, nothing is checked against it. */
+mod_assert.deepEqual(mod_krill.validate({ 'and': [
+    { 'eq': [ 'hostname', 12 ] },
+    { 'foo': 1 }
+] }, 'string').map(summarize), [ {
+    'code': 'UNKNOWN_OPERATOR',
+    'path': '/and/1',
+    'operator': 'foo',
+    'field': null
+}, {
+    'code': 'INVALID_TYPES_ARGUMENT',
+    'path': null,
+    'operator': null,
+    'field': null
+} ]);
+
+console.log('test okay');